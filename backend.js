@@ -6,7 +6,13 @@ const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
 const { createClient } = require('@supabase/supabase-js');
+const { loadMigrations, migrationLabel } = require('./migrate');
 require('dotenv').config();
 
 const app = express();
@@ -14,1491 +20,9748 @@ const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
 
-// Supabase Client
+// Condition photos and ID proofs are posted as base64 images, so only those routes get the large limit.
+// Whichever parser runs first wins; the default one below skips bodies that are already parsed.
+const UPLOAD_ROUTES = [
+  '/api/admin/rentals/bookings/:id/check-out',
+  '/api/admin/rentals/bookings/:id/check-in',
+  '/api/rentals/bookings/:id/id-proof'
+];
+
+app.use(UPLOAD_ROUTES, express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' }));
+app.use(express.json({
+  // Keep the exact bytes for webhook signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Supabase Client. The backend is the only writer of orders, so it needs the service role key;
+// the anon key (which used to ship in index.html) has no write access to them
 const supabase = createClient(
   process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY
 );
 
 // ============================================
-// 📦 DATABASE TABLES CREATION (Auto-create if not exists)
+// 🗄️ DATABASE MIGRATIONS (node migrate.js up / down / status / seed)
+// ============================================
+
+// The schema is owned by migrations/*.sql; warn at startup when the database is behind this code
+const checkMigrations = async () => {
+  const { data: applied, error } = await supabase
+    .from('schema_migrations')
+    .select('version');
+  
+  if (error) {
+    console.warn(`⚠️ Could not read schema_migrations (${error.message}). Run: node migrate.js up`);
+    return;
+  }
+  
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const pending = loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+  
+  if (pending.length) {
+    console.warn(`⚠️ ${pending.length} database migration(s) not applied: ${pending.map(migrationLabel).join(', ')}. Run: node migrate.js up`);
+  } else {
+    console.log('✅ Database schema is up to date');
+  }
+};
+
+// ============================================
+// 🔐 MIDDLEWARE FUNCTIONS
 // ============================================
 
-async function initializeDatabase() {
-  console.log('🔧 Initializing database...');
+// The employee's current role, or null once they are deactivated (or deleted)
+const activeEmployeeRole = async (id) => {
+  const { data: employee, error } = await supabase
+    .from('employees')
+    .select('role, is_active')
+    .eq('id', id)
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  return employee && employee.is_active ? employee.role : null;
+};
+
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Access token required' });
+  }
   
+  let decoded;
   try {
-    // 1. Create customers table
-    const { error: customersError } = await supabase.rpc('create_customers_table', {});
-    if (customersError && !customersError.message.includes('already exists')) {
-      console.log('Creating customers table...');
-      await supabase.from(`
-        CREATE TABLE IF NOT EXISTS customers (
-          id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-          name VARCHAR(100) NOT NULL,
-          phone VARCHAR(15) UNIQUE NOT NULL,
-          email VARCHAR(100),
-          password VARCHAR(255),
-          address TEXT,
-          created_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
-    }
-
-    // 2. Create products table
-    const { error: productsError } = await supabase.rpc('create_products_table', {});
-    if (productsError && !productsError.message.includes('already exists')) {
-      console.log('Creating products table...');
-      await supabase.from(`
-        CREATE TABLE IF NOT EXISTS products (
-          id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-          name VARCHAR(200) NOT NULL,
-          description TEXT,
-          price DECIMAL(10,2) NOT NULL,
-          category VARCHAR(50),
-          stock_quantity INTEGER DEFAULT 0,
-          images TEXT[],
-          is_active BOOLEAN DEFAULT true,
-          created_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
-    }
-
-    // 3. Create orders table
-    const { error: ordersError } = await supabase.rpc('create_orders_table', {});
-    if (ordersError && !ordersError.message.includes('already exists')) {
-      console.log('Creating orders table...');
-      await supabase.from(`
-        CREATE TABLE IF NOT EXISTS orders (
-          id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-          customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
-          total_amount DECIMAL(10,2) NOT NULL,
-          status VARCHAR(20) DEFAULT 'pending',
-          payment_status VARCHAR(20) DEFAULT 'pending',
-          payment_method VARCHAR(50),
-          delivery_address TEXT,
-          created_at TIMESTAMP DEFAULT NOW(),
-          updated_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
-    }
-
-    // 4. Create order_items table
-    const { error: orderItemsError } = await supabase.rpc('create_order_items_table', {});
-    if (orderItemsError && !orderItemsError.message.includes('already exists')) {
-      console.log('Creating order_items table...');
-      await supabase.from(`
-        CREATE TABLE IF NOT EXISTS order_items (
-          id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-          order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
-          product_id UUID REFERENCES products(id) ON DELETE CASCADE,
-          quantity INTEGER NOT NULL,
-          price DECIMAL(10,2) NOT NULL,
-          created_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
-    }
-
-    // 5. Create services table
-    const { error: servicesError } = await supabase.rpc('create_services_table', {});
-    if (servicesError && !servicesError.message.includes('already exists')) {
-      console.log('Creating services table...');
-      await supabase.from(`
-        CREATE TABLE IF NOT EXISTS services (
-          id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-          customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
-          device_type VARCHAR(100),
-          problem_description TEXT,
-          estimated_cost DECIMAL(10,2),
-          actual_cost DECIMAL(10,2),
-          status VARCHAR(20) DEFAULT 'pending',
-          technician_id UUID,
-          completion_date TIMESTAMP,
-          created_at TIMESTAMP DEFAULT NOW(),
-          updated_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
-    }
-
-    // 6. Create cart table
-    const { error: cartError } = await supabase.rpc('create_cart_table', {});
-    if (cartError && !cartError.message.includes('already exists')) {
-      console.log('Creating cart table...');
-      await supabase.from(`
-        CREATE TABLE IF NOT EXISTS cart (
-          id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-          customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
-          product_id UUID REFERENCES products(id) ON DELETE CASCADE,
-          quantity INTEGER DEFAULT 1,
-          created_at TIMESTAMP DEFAULT NOW(),
-          UNIQUE(customer_id, product_id)
-        )
-      `);
-    }
-
-    // 7. Create employees table
-    const { error: employeesError } = await supabase.rpc('create_employees_table', {});
-    if (employeesError && !employeesError.message.includes('already exists')) {
-      console.log('Creating employees table...');
-      await supabase.from(`
-        CREATE TABLE IF NOT EXISTS employees (
-          id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-          name VARCHAR(100) NOT NULL,
-          phone VARCHAR(15) UNIQUE NOT NULL,
-          email VARCHAR(100),
-          role VARCHAR(50) DEFAULT 'technician',
-          salary DECIMAL(10,2),
-          joining_date DATE,
-          is_active BOOLEAN DEFAULT true,
-          created_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
-    }
-
-    // 8. Create inventory_log table
-    const { error: inventoryError } = await supabase.rpc('create_inventory_log_table', {});
-    if (inventoryError && !inventoryError.message.includes('already exists')) {
-      console.log('Creating inventory_log table...');
-      await supabase.from(`
-        CREATE TABLE IF NOT EXISTS inventory_log (
-          id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-          product_id UUID REFERENCES products(id) ON DELETE CASCADE,
-          quantity_change INTEGER NOT NULL,
-          type VARCHAR(20),
-          reason TEXT,
-          created_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
+    decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-this');
+  } catch (error) {
+    return res.status(403).json({ success: false, error: 'Invalid or expired token' });
+  }
+  
+  // Only login tokens sign someone in (customers' carry no type). OTP verification, rental
+  // upload and live-updates tickets share the secret but are only good on their own routes.
+  if (decoded.type !== undefined && decoded.type !== 'employee') {
+    return res.status(403).json({ success: false, error: 'Invalid or expired token' });
+  }
+  
+  // Deactivating an employee or changing their role takes effect on their next request,
+  // not when their token runs out
+  if (decoded.type === 'employee') {
+    let role;
+    try {
+      role = await activeEmployeeRole(decoded.id);
+    } catch (error) {
+      console.error('Employee check error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to check your account' });
+    }
+    
+    if (!role) {
+      return res.status(401).json({ success: false, error: 'This account has been deactivated' });
     }
+    
+    decoded.role = role;
+  }
+  
+  req.user = decoded;
+  next();
+};
 
-    // 9. Insert sample products if empty
-    const { count: productCount } = await supabase
-      .from('products')
-      .select('*', { count: 'exact', head: true });
+// For public routes that do more for signed-in users: no token is fine, a bad one is not
+const optionalAuthentication = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  
+  if (!authHeader) return next();
+  
+  return authenticateToken(req, res, next);
+};
 
-    if (productCount === 0) {
-      console.log('Adding sample products...');
-      const sampleProducts = [
-        {
-          name: 'Fast USB Charger 20W',
-          description: 'Fast charging for all smartphones',
-          price: 499.00,
-          category: 'charger',
-          stock_quantity: 50,
-          images: ['https://images.unsplash.com/photo-1609592071310-3d8cde5612e1?ixlib=rb-4.0.3&auto=format&fit=crop&w=500&q=60']
-        },
-        {
-          name: 'Premium Wireless Earphones',
-          description: 'Bluetooth 5.0, 20hrs battery',
-          price: 699.00,
-          category: 'earphone',
-          stock_quantity: 30,
-          images: ['https://images.unsplash.com/photo-1505740420928-5e560c06d30e?ixlib=rb-4.0.3&auto=format&fit=crop&w=500&q=60']
-        },
-        {
-          name: 'Designer Mobile Cover',
-          description: 'Shockproof, all phone models',
-          price: 299.00,
-          category: 'cover',
-          stock_quantity: 100,
-          images: ['https://images.unsplash.com/photo-1556656793-08538906a9f8?ixlib=rb-4.0.3&auto=format&fit=crop&w=500&q=60']
-        },
-        {
-          name: 'Tempered Glass Screen Guard',
-          description: '9H hardness, anti-scratch',
-          price: 199.00,
-          category: 'screen',
-          stock_quantity: 150,
-          images: ['https://images.unsplash.com/photo-1598300042247-d088f8ab3a91?ixlib=rb-4.0.3&auto=format&fit=crop&w=500&q=60']
-        },
+const isAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ success: false, error: 'Admin access required' });
+  }
+  next();
+};
+
+// Employee roles and what each one may do.
+// ':assigned' permissions only cover records assigned to the employee.
+const EMPLOYEE_ROLES = ['admin', 'manager', 'technician', 'delivery'];
+
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  manager: [
+    'orders:read', 'orders:update',
+    'services:read', 'services:update',
+    'products:write',
+    'inventory:read', 'inventory:write',
+    'rentals:read', 'rentals:write',
+    'customers:read',
+    'analytics:read',
+    'promotions:write'
+  ],
+  technician: ['services:read:assigned', 'services:update:assigned'],
+  delivery: ['orders:read', 'orders:update']
+};
+
+const hasPermission = (user, permission) => {
+  const granted = ROLE_PERMISSIONS[user && user.role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+// Passes when the user holds at least one of the given permissions
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!permissions.some(permission => hasPermission(req.user, permission))) {
+    return res.status(403).json({ 
+      success: false, 
+      error: 'You do not have permission to perform this action' 
+    });
+  }
+  next();
+};
+
+// ============================================
+// ✅ REQUEST VALIDATION (Declarative schemas + one error shape)
+// ============================================
+
+// Every error response looks like { success: false, error, code } where code is machine-readable.
+// Validation failures (code VALIDATION_FAILED) also list each field that was rejected so
+// forms can show the message next to the input:
+//   details: [{ field: 'items[0].quantity', in: 'body', code: 'too_small', message: 'Quantity must be at least 1' }]
+// Field codes: required, invalid_type, invalid_format, too_short, too_long, too_small, too_large, not_allowed, duplicate.
+// Routes may send their own code; otherwise one is picked from the HTTP status.
+const ERROR_CODES_BY_STATUS = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  502: 'UPSTREAM_FAILED',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  
+  res.json = (body) => {
+    if (body && body.success === false && !body.code) {
+      const code = ERROR_CODES_BY_STATUS[res.statusCode] || (res.statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+      return json({ ...body, code });
+    }
+    return json(body);
+  };
+  next();
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Field rules take the raw value and return { value } (cleaned up) or { error, code }.
+// A field that is left out (undefined, null or '') fails as required unless its rule is
+// wrapped in optional() or nullable(); the label names the field in that message.
+const withLabel = (label, rule) => Object.assign(rule, { label });
+
+// optional(rule, fallback): a left-out field gets the fallback, or stays left out
+const optional = (rule, fallback) => Object.assign((...args) => rule(...args), {
+  label: rule.label,
+  optional: true,
+  fallback
+});
+
+// nullable(rule): null is kept as null (to clear a column); undefined stays left out
+const nullable = (rule) => Object.assign((...args) => rule(...args), {
+  label: rule.label,
+  optional: true,
+  nullable: true
+});
+
+// required(rule): must be sent even in a partial update (see validate)
+const required = (rule) => Object.assign((...args) => rule(...args), {
+  label: rule.label,
+  required: true
+});
+
+// In a partial update every field that is not required() is checked only when sent, and
+// exactly as sent, so null reaches the rule (and can clear a column)
+const partialRules = (rules) => Object.fromEntries(Object.entries(rules).map(([field, rule]) => [
+  field,
+  rule.required ? rule : Object.assign((...args) => rule(...args), { label: rule.label, nullable: rule.nullable, partial: true })
+]));
+
+const textField = (label, max, transform = value => value) => withLabel(label, (value) => {
+  if (typeof value !== 'string') return { error: `${label} must be text`, code: 'invalid_type' };
+  
+  const text = value.trim();
+  return text.length >= 1 && text.length <= max
+    ? { value: transform(text) }
+    : { error: `${label} must be 1-${max} characters`, code: text.length ? 'too_long' : 'too_short' };
+});
+
+// Passwords are taken as typed, spaces included
+const passwordField = (label, min = 8) => withLabel(label, (value) => {
+  if (typeof value !== 'string') return { error: `${label} must be text`, code: 'invalid_type' };
+  if (value.length < min) return { error: `${label} must be at least ${min} characters`, code: 'too_short' };
+  if (value.length > 128) return { error: `${label} must be at most 128 characters`, code: 'too_long' };
+  return { value };
+});
+
+// Whole numbers; query strings and form posts send them as text
+const integerField = (label, { min, max } = {}) => withLabel(label, (value) => {
+  const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+  
+  if (!Number.isInteger(number)) return { error: `${label} must be a whole number`, code: 'invalid_type' };
+  if (min !== undefined && number < min) return { error: `${label} must be at least ${min}`, code: 'too_small' };
+  if (max !== undefined && number > max) return { error: `${label} must be at most ${max}`, code: 'too_large' };
+  return { value: number };
+});
+
+const amountField = (label, { nullable = false, positive = false } = {}) => withLabel(label, (value) => {
+  if (nullable && value === null) return { value: null };
+  const amount = typeof value === 'number' ? value : Number(String(value ?? '').trim() || NaN);
+  
+  if (isNaN(amount)) return { error: `${label} must be a number`, code: 'invalid_type' };
+  return (positive ? amount > 0 : amount >= 0) && amount <= 1000000
+    ? { value: Math.round(amount * 100) / 100 }
+    : {
+      error: `${label} must be ${positive ? 'more than 0' : '0 or more'}${nullable ? ' (or null)' : ''}`,
+      code: amount > 1000000 ? 'too_large' : 'too_small'
+    };
+});
+
+const limitField = (label) => withLabel(label, (value) => value === null || (Number.isInteger(value) && value > 0)
+  ? { value }
+  : { error: `${label} must be a whole number of 1 or more (or null for no limit)`, code: 'too_small' });
+
+const dateField = (label, { nullable = false } = {}) => withLabel(label, (value) => {
+  if (nullable && value === null) return { value: null };
+  const date = new Date(value);
+  return typeof value === 'string' && !isNaN(date.getTime())
+    ? { value: date.toISOString() }
+    : { error: `${label} must be a date${nullable ? ' (or null)' : ''}`, code: 'invalid_format' };
+});
+
+// Query strings and form posts send 'true' / 'false'
+const booleanField = (label) => withLabel(label, (value) => {
+  if (typeof value === 'boolean') return { value };
+  if (value === 'true' || value === 'false') return { value: value === 'true' };
+  return { error: `${label} must be true or false`, code: 'invalid_type' };
+});
+
+const oneOfField = (label, allowed) => withLabel(label, (value) => allowed.includes(value)
+  ? { value }
+  : { error: `${label} must be one of: ${allowed.join(', ')}`, code: 'not_allowed' });
+
+const uuidField = (label) => withLabel(label, (value) => typeof value === 'string' && UUID_PATTERN.test(value.trim())
+  ? { value: value.trim().toLowerCase() }
+  : { error: `${label} is malformed`, code: 'invalid_format' });
+
+// Accepts "98765 43210", "+91-9876543210" or "09876543210" and keeps the 10-digit number
+const phoneField = (label = 'Phone number') => withLabel(label, (value) => {
+  const digits = typeof value === 'string' || typeof value === 'number' ? String(value).replace(/[\s\-().]/g, '') : '';
+  const local = digits.replace(/^(\+?91|0)(?=\d{10}$)/, '');
+  return /^\d{10}$/.test(local)
+    ? { value: local }
+    : { error: `${label} must be a 10-digit mobile number`, code: 'invalid_format' };
+});
+
+const emailField = (label = 'Email') => withLabel(label, (value) => typeof value === 'string' &&
+  value.trim().length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim())
+  ? { value: value.trim() }
+  : { error: `${label} must be an email address`, code: 'invalid_format' });
+
+const urlField = (label) => withLabel(label, (value) => typeof value === 'string' &&
+  value.trim().length <= 2000 && /^https?:\/\/\S+$/i.test(value.trim())
+  ? { value: value.trim() }
+  : { error: `${label} must be an http(s) link`, code: 'invalid_format' });
+
+// Uploads arrive as base64 data URLs; type, size and content are checked where they are saved
+const dataUrlField = (label) => withLabel(label, (value) => typeof value === 'string' &&
+  /^data:[a-z]+\/[a-z0-9.+-]+;base64,/i.test(value)
+  ? { value }
+  : { error: `${label} must be sent as a base64 data URL`, code: 'invalid_format' });
+
+// A list whose items all pass itemRule; item problems are reported as field[index]
+const listField = (label, itemRule, { min = 0, max = 100 } = {}) => withLabel(label, (value, path, location) => {
+  if (!Array.isArray(value)) return { error: `${label} must be a list`, code: 'invalid_type' };
+  if (value.length < min) return { error: min === 1 ? `${label} must not be empty` : `${label} needs at least ${min} entries`, code: 'too_short' };
+  if (value.length > max) return { error: `${label} can have at most ${max} entries`, code: 'too_long' };
+  
+  const values = [];
+  const details = [];
+  
+  value.forEach((item, index) => {
+    const result = checkFields({ [index]: item }, { [index]: itemRule }, location, `${path}[`, ']');
+    details.push(...result.details);
+    values.push(result.values[index]);
+  });
+  
+  return details.length ? { details } : { value: values };
+});
+
+// A nested object checked against its own rules; unknown keys are dropped
+const objectField = (label, rules) => withLabel(label, (value, path, location) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: `${label} must be an object`, code: 'invalid_type' };
+  }
+  
+  const result = checkFields(value, rules, location, `${path}.`);
+  return result.details.length ? { details: result.details } : { value: result.values };
+});
+
+// Shared ?page=&limit= rules; limits above max are refused rather than silently cut
+const pageQuery = (maxLimit = 50) => ({
+  page: optional(integerField('Page', { min: 1, max: 10000 }), 1),
+  limit: optional(integerField('Limit', { min: 1, max: maxLimit }), 20)
+});
+
+// Checks input against { field: rule }. Unknown fields are dropped.
+// Returns { values, details } with one entry in details per rejected field.
+const checkFields = (input, rules, location, prefix = '', suffix = '') => {
+  const source = input && typeof input === 'object' ? input : {};
+  const values = {};
+  const details = [];
+  
+  Object.entries(rules).forEach(([field, rule]) => {
+    const path = `${prefix}${field}${suffix}`;
+    const raw = source[field];
+    
+    if (raw === null && rule.nullable) {
+      values[field] = null;
+      return;
+    }
+    
+    if (rule.partial) {
+      if (raw === undefined) return;
+    } else if (raw === undefined || raw === null || raw === '') {
+      if (!rule.optional) {
+        details.push({ field: path, in: location, code: 'required', message: `${rule.label || field} is required` });
+      } else if (rule.fallback !== undefined) {
+        values[field] = rule.fallback;
+      }
+      return;
+    }
+    
+    const result = rule(raw, path, location);
+    
+    if (result.details) details.push(...result.details);
+    else if (result.error) details.push({ field: path, in: location, code: result.code || 'invalid', message: result.error });
+    else values[field] = result.value;
+  });
+  
+  return { values, details };
+};
+
+const validationErrorBody = (details) => ({
+  success: false,
+  error: details.length === 1 ? details[0].message : 'Some fields are not valid',
+  code: 'VALIDATION_FAILED',
+  details
+});
+
+// Partial updates list the fields they refuse along with the ones they accept
+const unknownFieldDetails = (unknown, rules) => unknown.map(field => ({
+  field,
+  in: 'body',
+  code: 'not_allowed',
+  message: `${field} cannot be set here`,
+  allowed_fields: Object.keys(rules)
+}));
+
+// For rules a schema cannot express (one field required only when another has some value)
+const rejectField = (res, field, message, code = 'required', location = 'body') => res.status(400).json(validationErrorBody([
+  { field, in: location, code, message }
+]));
+
+// validate({ params, query, body, check, partial }) checks each part of the request against its rules and
+// replaces it with the cleaned values, so handlers only see fields that passed.
+// check(req) covers rules across fields and runs once every field has passed; it returns
+// a list of { field, code, message } for the body.
+// partial: true is for writes that only touch the columns sent (PUT, or a create that leaves the
+// rest to table defaults). Body fields without a rule are refused rather than dropped, and so is
+// an empty body.
+// Runs before requireOtpVerification so a bad form does not use up the OTP.
+const validate = (schema) => (req, res, next) => {
+  const details = [];
+  
+  ['params', 'query', 'body'].forEach(location => {
+    if (!schema[location]) return;
+    
+    const partial = location === 'body' && schema.partial;
+    const rules = partial ? partialRules(schema.body) : schema[location];
+    
+    if (partial) {
+      const sent = req.body && typeof req.body === 'object' ? Object.keys(req.body) : [];
+      details.push(...unknownFieldDetails(sent.filter(field => !rules[field]), rules));
+    }
+    
+    const result = checkFields(req[location], rules, location);
+    details.push(...result.details);
+    req[location] = result.values;
+  });
+  
+  if (!details.length && schema.partial && !Object.keys(req.body).length) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Nothing to update', 
+      code: 'NOTHING_TO_UPDATE' 
+    });
+  }
+  
+  if (!details.length && schema.check) {
+    details.push(...schema.check(req).map(detail => ({ in: 'body', ...detail })));
+  }
+  
+  if (details.length) {
+    return res.status(400).json(validationErrorBody(details));
+  }
+  next();
+};
+
+// Every route that takes an OTP also accepts its verification token in the body
+const VERIFICATION_TOKEN_FIELD = optional(textField('Verification token', 2000));
+
+// ============================================
+// 📱 OTP SERVICE (Hashed codes + pluggable SMS providers)
+// ============================================
+
+const OTP_CONFIG = {
+  length: 6,
+  ttlMinutes: parseInt(process.env.OTP_TTL_MINUTES) || 5,
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+  resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+  maxSendsPerHour: parseInt(process.env.OTP_MAX_SENDS_PER_HOUR) || 5,
+  tokenExpiry: process.env.OTP_TOKEN_EXPIRY || '30m'
+};
+
+// 'track' lets a customer see their orders by phone number
+const OTP_PURPOSES = ['order', 'track'];
+
+// Every provider exposes: async send(phone, message)
+const smsProviders = {
+  // Prints the SMS to the server console (local development)
+  console: {
+    async send(phone, message) {
+      console.log(`📱 [SMS to ${phone}] ${message}`);
+    }
+  },
+
+  // Appends each SMS as a JSON line to SMS_LOG_FILE (automated testing)
+  file: {
+    async send(phone, message) {
+      const logFile = process.env.SMS_LOG_FILE || path.join(__dirname, 'sms-outbox.log');
+      const entry = JSON.stringify({ to: phone, message, sent_at: new Date().toISOString() });
+      await fs.promises.appendFile(logFile, entry + '\n');
+    }
+  },
+
+  // Twilio Programmable SMS
+  twilio: {
+    env: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM_NUMBER'],
+    async send(phone, message) {
+      const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER } = process.env;
+      const response = await fetch(
+        `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
         {
-          name: 'Type-C Fast Charging Cable',
-          description: '3A fast charging, 1.5m length',
-          price: 249.00,
-          category: 'cable',
-          stock_quantity: 80,
-          images: ['https://images.unsplash.com/photo-1583394838336-acd977736f90?ixlib=rb-4.0.3&auto=format&fit=crop&w=500&q=60']
+          method: 'POST',
+          headers: {
+            'Authorization': 'Basic ' + Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64'),
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body: new URLSearchParams({ To: `+91${phone}`, From: TWILIO_FROM_NUMBER, Body: message })
         }
-      ];
+      );
+      
+      if (!response.ok) {
+        throw new Error(`Twilio responded with ${response.status}`);
+      }
+    }
+  }
+};
+
+const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider "${name}" must implement send(phone, message)`);
+  }
+  smsProviders[name] = provider;
+};
+
+const getSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = smsProviders[name];
+  
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+};
+
+const generateOtpCode = () => {
+  return crypto.randomInt(0, 10 ** OTP_CONFIG.length).toString().padStart(OTP_CONFIG.length, '0');
+};
 
-      await supabase.from('products').insert(sampleProducts);
+// Codes are bound to phone + purpose so a hash can never be replayed elsewhere
+const hashOtpCode = (phone, purpose, code) => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET || 'your-secret-key-change-this';
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${phone}:${purpose}:${code}`)
+    .digest('hex');
+};
+
+const otpHashesMatch = (expectedHash, actualHash) => {
+  const expected = Buffer.from(expectedHash, 'hex');
+  const actual = Buffer.from(actualHash, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Checks a single-use verification token issued by POST /api/otp/verify without using it up.
+// Resolves to { payload } on success or { status, error } when the token is rejected.
+const checkOtpVerification = async (req, phone, purpose = 'order') => {
+  const token = req.body.verification_token || req.headers['x-verification-token'];
+  
+  if (!token) {
+    return { status: 401, error: 'Phone verification required. Please verify the OTP first.' };
+  }
+  
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-this');
+  } catch (error) {
+    return { status: 403, error: 'Invalid or expired verification token' };
+  }
+  
+  if (payload.type !== 'otp_verification' || payload.purpose !== purpose || payload.phone !== phone) {
+    return { status: 403, error: 'Verification token does not match this phone number' };
+  }
+  
+  const { data: verification, error } = await supabase
+    .from('otp_verifications')
+    .select('id')
+    .eq('id', payload.otp_id)
+    .not('verified_at', 'is', null)
+    .is('consumed_at', null)
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  if (!verification) {
+    return { status: 403, error: 'Verification token has already been used' };
+  }
+  
+  return { payload };
+};
+
+// checkOtpVerification, then uses the token up. Orders do that step inside their own
+// transaction instead (consume_otp_verification), so a rejected order keeps the OTP.
+const claimOtpVerification = async (req, phone, purpose = 'order') => {
+  const verification = await checkOtpVerification(req, phone, purpose);
+  if (verification.error) return verification;
+  
+  // Claim the verification atomically so a token can back only one request
+  const { data: claimed, error } = await supabase
+    .from('otp_verifications')
+    .update({ consumed_at: new Date() })
+    .eq('id', verification.payload.otp_id)
+    .not('verified_at', 'is', null)
+    .is('consumed_at', null)
+    .select('id');
+  
+  if (error) throw error;
+  
+  if (!claimed || !claimed.length) {
+    return { status: 403, error: 'Verification token has already been used' };
+  }
+  
+  return verification;
+};
+
+// Middleware form of claimOtpVerification.
+// getPhone(req) returns the phone number the token must have been issued for.
+// With { claim: false } the token is only checked; the route passes
+// req.otpVerification.otp_id to an RPC that uses it up along with the order.
+const requireOtpVerification = (getPhone, purpose = 'order', { claim = true } = {}) => async (req, res, next) => {
+  try {
+    const verify = claim ? claimOtpVerification : checkOtpVerification;
+    const verification = await verify(req, getPhone(req), purpose);
+    
+    if (verification.error) {
+      return res.status(verification.status).json({ success: false, error: verification.error });
+    }
+    
+    req.otpVerification = verification.payload;
+    next();
+  } catch (error) {
+    console.error('OTP token check error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to check phone verification' 
+    });
+  }
+};
+
+// ============================================
+// 📣 APP EVENTS
+// ============================================
+
+// Routes publish what happened here; listeners must not throw back into the request.
+//   'order.created'          { order }
+//   'order.status_changed'   { order, from, to, note }
+//   'service.created'        { service }
+//   'service.status_changed' { service, from, to, note }
+//   'inventory.changed'      {}
+const appEvents = new EventEmitter();
+
+// ============================================
+// 🔔 CUSTOMER NOTIFICATIONS (Status events + pluggable channels)
+// ============================================
+
+const NOTIFICATION_LANGUAGES = ['en', 'hi', 'mr'];
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+// Minutes to wait before retry 1, 2, 3...; the last value repeats
+const NOTIFICATION_RETRY_MINUTES = [1, 5, 30, 120];
+const NOTIFICATION_RETRY_INTERVAL_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_INTERVAL_SECONDS) || 60;
+// A delivery still 'pending' or 'sending' after this long was abandoned and is claimed again
+const NOTIFICATION_CLAIM_TIMEOUT_MINUTES = parseInt(process.env.NOTIFICATION_CLAIM_TIMEOUT_MINUTES) || 10;
+
+const NOTIFICATION_SUBJECTS = {
+  order: { en: "Step'sEazy order update", hi: "Step'sEazy ऑर्डर अपडेट", mr: "Step'sEazy ऑर्डर अपडेट" },
+  service: { en: "Step'sEazy repair update", hi: "Step'sEazy रिपेयर अपडेट", mr: "Step'sEazy दुरुस्ती अपडेट" }
+};
+
+// Message per entity type, status and language. Statuses without a template (e.g. 'qc')
+// are not announced. {name}, {ref} (short order/job id) and {device} are filled in.
+const NOTIFICATION_TEMPLATES = {
+  order: {
+    confirmed: {
+      en: "Hi {name}, your Step'sEazy order #{ref} is confirmed and being prepared.",
+      hi: 'नमस्ते {name}, आपका Step\'sEazy ऑर्डर #{ref} कन्फर्म हो गया है और तैयार किया जा रहा है।',
+      mr: 'नमस्कार {name}, तुमची Step\'sEazy ऑर्डर #{ref} कन्फर्म झाली आहे आणि तयार केली जात आहे.'
+    },
+    processing: {
+      en: 'Hi {name}, your order #{ref} is being packed.',
+      hi: 'नमस्ते {name}, आपका ऑर्डर #{ref} पैक किया जा रहा है।',
+      mr: 'नमस्कार {name}, तुमची ऑर्डर #{ref} पॅक केली जात आहे.'
+    },
+    shipped: {
+      en: 'Hi {name}, your order #{ref} is out for delivery and will reach you shortly.',
+      hi: 'नमस्ते {name}, आपका ऑर्डर #{ref} डिलीवरी के लिए निकल चुका है और जल्द ही आप तक पहुँचेगा।',
+      mr: 'नमस्कार {name}, तुमची ऑर्डर #{ref} डिलिव्हरीसाठी निघाली आहे आणि लवकरच तुमच्यापर्यंत पोहोचेल.'
+    },
+    delivered: {
+      en: "Hi {name}, your order #{ref} has been delivered. Thank you for shopping with Step'sEazy!",
+      hi: 'नमस्ते {name}, आपका ऑर्डर #{ref} डिलीवर हो गया है। Step\'sEazy से खरीदारी के लिए धन्यवाद!',
+      mr: 'नमस्कार {name}, तुमची ऑर्डर #{ref} डिलिव्हर झाली आहे. Step\'sEazy कडून खरेदी केल्याबद्दल धन्यवाद!'
+    },
+    cancelled: {
+      en: 'Hi {name}, your order #{ref} has been cancelled. Please call us if you did not expect this.',
+      hi: 'नमस्ते {name}, आपका ऑर्डर #{ref} रद्द कर दिया गया है। अगर यह अपेक्षित नहीं था तो कृपया हमें कॉल करें।',
+      mr: 'नमस्कार {name}, तुमची ऑर्डर #{ref} रद्द करण्यात आली आहे. हे अपेक्षित नसल्यास कृपया आम्हाला कॉल करा.'
+    }
+  },
+  service: {
+    diagnosed: {
+      en: "Hi {name}, we've checked your {device}. A repair quote will follow shortly.",
+      hi: 'नमस्ते {name}, हमने आपके {device} की जाँच कर ली है। रिपेयर का कोटेशन जल्द ही भेजा जाएगा।',
+      mr: 'नमस्कार {name}, आम्ही तुमचा {device} तपासला आहे. दुरुस्तीचे कोटेशन लवकरच पाठवले जाईल.'
+    },
+    quote_sent: {
+      en: 'Hi {name}, the repair quote for your {device} is ready. Please review and approve it so we can start.',
+      hi: 'नमस्ते {name}, आपके {device} की रिपेयर का कोटेशन तैयार है। रिपेयर शुरू करने के लिए कृपया इसे देखकर मंज़ूरी दें।',
+      mr: 'नमस्कार {name}, तुमच्या {device} च्या दुरुस्तीचे कोटेशन तयार आहे. दुरुस्ती सुरू करण्यासाठी कृपया ते पाहून मंजुरी द्या.'
+    },
+    approved: {
+      en: "Thanks {name}, we've received your approval and will start repairing your {device}.",
+      hi: 'धन्यवाद {name}, आपकी मंज़ूरी मिल गई है। हम आपके {device} की रिपेयर शुरू कर रहे हैं।',
+      mr: 'धन्यवाद {name}, तुमची मंजुरी मिळाली आहे. आम्ही तुमच्या {device} ची दुरुस्ती सुरू करत आहोत.'
+    },
+    in_repair: {
+      en: 'Hi {name}, your {device} is being repaired now.',
+      hi: 'नमस्ते {name}, आपके {device} की रिपेयर चल रही है।',
+      mr: 'नमस्कार {name}, तुमच्या {device} ची दुरुस्ती सुरू आहे.'
+    },
+    ready: {
+      en: 'Good news {name}! Your {device} is repaired and ready for pickup/delivery.',
+      hi: 'खुशखबरी {name}! आपका {device} रिपेयर हो गया है और पिकअप/डिलीवरी के लिए तैयार है।',
+      mr: 'आनंदाची बातमी {name}! तुमचा {device} दुरुस्त झाला आहे आणि पिकअप/डिलिव्हरीसाठी तयार आहे.'
+    },
+    delivered: {
+      en: "Hi {name}, your {device} has been handed over. Thank you for choosing Step'sEazy!",
+      hi: 'नमस्ते {name}, आपका {device} आपको सौंप दिया गया है। Step\'sEazy चुनने के लिए धन्यवाद!',
+      mr: 'नमस्कार {name}, तुमचा {device} तुमच्याकडे सुपूर्द करण्यात आला आहे. Step\'sEazy निवडल्याबद्दल धन्यवाद!'
+    },
+    rejected: {
+      en: 'Hi {name}, you declined the repair quote for your {device}. You can collect it from the shop.',
+      hi: 'नमस्ते {name}, आपने अपने {device} की रिपेयर का कोटेशन अस्वीकार किया है। आप इसे दुकान से ले सकते हैं।',
+      mr: 'नमस्कार {name}, तुम्ही तुमच्या {device} च्या दुरुस्तीचे कोटेशन नाकारले आहे. तुम्ही तो दुकानातून घेऊन जाऊ शकता.'
+    },
+    unrepairable: {
+      en: 'Sorry {name}, your {device} cannot be repaired. Please collect it from the shop.',
+      hi: 'माफ़ कीजिए {name}, आपका {device} रिपेयर नहीं हो सकता। कृपया इसे दुकान से ले जाएँ।',
+      mr: 'माफ करा {name}, तुमचा {device} दुरुस्त होऊ शकत नाही. कृपया तो दुकानातून घेऊन जा.'
     }
+  }
+};
 
-    // 10. Create admin employee if not exists
-    const { count: adminCount } = await supabase
-      .from('employees')
-      .select('*', { count: 'exact', head: true })
-      .eq('phone', '9999999999');
-
-    if (adminCount === 0) {
-      console.log('Creating admin employee...');
-      await supabase.from('employees').insert([{
-        name: 'Admin User',
-        phone: '9999999999',
-        email: 'admin@steps-eazy.com',
-        role: 'admin',
-        salary: 50000,
-        joining_date: new Date().toISOString().split('T')[0]
-      }]);
+const renderTemplate = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => (
+  values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+));
+
+// Every channel exposes:
+//   recipient(customer) -> address to send to, or null when the customer has none
+//   async send({ to, subject, message }) -> { providerMessageId }
+// and may list the env vars it needs in env, checked at startup.
+const notificationChannels = {
+  // Prints the message to the server console (local development)
+  console: {
+    recipient: customer => customer.phone || customer.email || null,
+    async send({ to, message }) {
+      console.log(`🔔 [Notification to ${to}] ${message}`);
+      return { providerMessageId: null };
+    }
+  },
+
+  // Appends each message as a JSON line to NOTIFICATION_LOG_FILE (automated testing)
+  file: {
+    recipient: customer => customer.phone || customer.email || null,
+    async send({ to, subject, message }) {
+      const logFile = process.env.NOTIFICATION_LOG_FILE || path.join(__dirname, 'notifications-outbox.log');
+      const entry = JSON.stringify({ to, subject, message, sent_at: new Date().toISOString() });
+      await fs.promises.appendFile(logFile, entry + '\n');
+      return { providerMessageId: null };
+    }
+  },
+
+  // Whatever SMS_PROVIDER is configured for OTPs
+  sms: {
+    recipient: customer => customer.phone || null,
+    async send({ to, message }) {
+      await getSmsProvider().send(to, message);
+      return { providerMessageId: null };
+    }
+  },
+
+  // WhatsApp Business Cloud API. Outside a 24-hour customer session Meta only accepts
+  // approved templates: set WHATSAPP_TEMPLATE_NAME to a template with one body parameter
+  // and the rendered message is sent as that parameter.
+  whatsapp: {
+    env: ['WHATSAPP_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID'],
+    recipient: customer => customer.phone || null,
+    async send({ to, message, language }) {
+      const { WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_TEMPLATE_NAME } = process.env;
+      const body = WHATSAPP_TEMPLATE_NAME
+        ? {
+          type: 'template',
+          template: {
+            name: WHATSAPP_TEMPLATE_NAME,
+            language: { code: language },
+            components: [{ type: 'body', parameters: [{ type: 'text', text: message }] }]
+          }
+        }
+        : { type: 'text', text: { body: message } };
+      
+      const response = await fetch(`https://graph.facebook.com/v19.0/${WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ messaging_product: 'whatsapp', to: `91${to}`, ...body })
+      });
+      
+      const result = await response.json().catch(() => ({}));
+      
+      if (!response.ok) {
+        throw new Error(`WhatsApp responded with ${response.status}${result.error ? `: ${result.error.message}` : ''}`);
+      }
+      
+      return { providerMessageId: result.messages && result.messages[0] ? result.messages[0].id : null };
+    }
+  },
+
+  // SendGrid v3 mail API
+  email: {
+    env: ['SENDGRID_API_KEY', 'NOTIFICATION_EMAIL_FROM'],
+    recipient: customer => customer.email || null,
+    async send({ to, subject, message }) {
+      const { SENDGRID_API_KEY, NOTIFICATION_EMAIL_FROM } = process.env;
+      const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${SENDGRID_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          personalizations: [{ to: [{ email: to }] }],
+          from: { email: NOTIFICATION_EMAIL_FROM },
+          subject,
+          content: [{ type: 'text/plain', value: message }]
+        })
+      });
+      
+      if (!response.ok) {
+        throw new Error(`SendGrid responded with ${response.status}`);
+      }
+      
+      return { providerMessageId: response.headers.get('x-message-id') };
+    }
+  }
+};
+
+const registerNotificationChannel = (name, channel) => {
+  if (!channel || typeof channel.send !== 'function' || typeof channel.recipient !== 'function') {
+    throw new Error(`Notification channel "${name}" must implement recipient(customer) and send(notification)`);
+  }
+  notificationChannels[name] = channel;
+};
+
+// NOTIFICATION_CHANNELS=whatsapp,sms,email; each customer gets every enabled channel they have an address for
+const getNotificationChannels = () => (process.env.NOTIFICATION_CHANNELS || 'console')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Unknown channels and missing provider settings, found before the first message has to go out
+const checkNotificationConfig = () => getNotificationChannels().flatMap(name => {
+  const channel = notificationChannels[name];
+  
+  if (!channel) return [`Unknown notification channel in NOTIFICATION_CHANNELS: ${name}`];
+  
+  const env = [...(channel.env || [])];
+  
+  // The sms channel sends through the OTP SMS provider
+  if (name === 'sms') {
+    const provider = smsProviders[process.env.SMS_PROVIDER || 'console'];
+    if (!provider) return [`Unknown SMS_PROVIDER: ${process.env.SMS_PROVIDER}`];
+    env.push(...(provider.env || []));
+  }
+  
+  return env
+    .filter(variable => !process.env[variable])
+    .map(variable => `${variable} is not set (needed by the ${name} notification channel)`);
+});
+
+// Moves a delivery to 'sending' only while it is still in the state it was read in, so two
+// server instances never send the same message twice. Resolves to the claimed row or null.
+const claimNotification = async (delivery, { fromStatuses = [delivery.status], claimedBefore } = {}) => {
+  let query = supabase
+    .from('notification_deliveries')
+    .update({ status: 'sending', claimed_at: new Date() })
+    .eq('id', delivery.id)
+    .in('status', fromStatuses);
+  
+  // A stale 'sending' row is only taken over if nobody has claimed it since it was read
+  if (claimedBefore) {
+    query = query.lt('claimed_at', claimedBefore.toISOString());
+  }
+  
+  const { data: claimed, error } = await query.select().maybeSingle();
+  
+  if (error) throw error;
+  return claimed;
+};
+
+// Sends one claimed delivery and records the outcome. Failures are retried with backoff
+// until NOTIFICATION_MAX_ATTEMPTS, then marked failed. If the outcome cannot be saved the
+// row stays in 'sending' and retryNotifications picks it up after the claim timeout.
+const deliverNotification = async (delivery) => {
+  const attempts = delivery.attempts + 1;
+  let outcome;
+  
+  try {
+    const { providerMessageId } = await notificationChannels[delivery.channel].send({
+      to: delivery.recipient,
+      subject: delivery.subject,
+      message: delivery.message,
+      language: delivery.language
+    });
+    
+    outcome = { status: 'sent', attempts, sent_at: new Date(), last_error: null, next_attempt_at: null, provider_message_id: providerMessageId };
+  } catch (error) {
+    const gaveUp = attempts >= NOTIFICATION_MAX_ATTEMPTS;
+    const waitMinutes = NOTIFICATION_RETRY_MINUTES[Math.min(attempts, NOTIFICATION_RETRY_MINUTES.length) - 1];
+    
+    outcome = {
+      status: gaveUp ? 'failed' : 'retrying',
+      attempts,
+      last_error: String(error.message || error).slice(0, 500),
+      next_attempt_at: gaveUp ? null : new Date(Date.now() + waitMinutes * 60 * 1000)
+    };
+  }
+  
+  const { error } = await supabase
+    .from('notification_deliveries')
+    .update(outcome)
+    .eq('id', delivery.id);
+  
+  if (error) throw error;
+};
+
+// Renders the status message in the customer's language and sends it on every channel
+const notifyStatusChange = async ({ entityType, entity, to }) => {
+  const template = NOTIFICATION_TEMPLATES[entityType][to];
+  if (!template || !entity.customer_id) return [];
+  
+  const { data: customer, error } = await supabase
+    .from('customers')
+    .select('id, name, phone, email, preferred_language')
+    .eq('id', entity.customer_id)
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!customer) return [];
+  
+  const language = NOTIFICATION_LANGUAGES.includes(customer.preferred_language) ? customer.preferred_language : 'en';
+  const message = renderTemplate(template[language], {
+    name: String(customer.name || '').split(' ')[0],
+    ref: entity.id.slice(0, 8),
+    device: entity.device_type || ''
+  });
+  
+  const rows = getNotificationChannels()
+    .map(channel => ({ channel, recipient: notificationChannels[channel].recipient(customer) }))
+    .filter(({ recipient }) => recipient)
+    .map(({ channel, recipient }) => ({
+      event: `${entityType}.status_changed`,
+      entity_type: entityType,
+      entity_id: entity.id,
+      status_to: to,
+      customer_id: customer.id,
+      channel,
+      recipient,
+      language,
+      subject: NOTIFICATION_SUBJECTS[entityType][language],
+      message,
+      status: 'pending',
+      created_at: new Date()
+    }));
+  
+  if (!rows.length) return [];
+  
+  const { data: deliveries, error: insertError } = await supabase
+    .from('notification_deliveries')
+    .insert(rows)
+    .select();
+  
+  if (insertError) throw insertError;
+  
+  await Promise.all(deliveries.map(async delivery => {
+    const claimed = await claimNotification(delivery);
+    if (claimed) await deliverNotification(claimed);
+  }));
+  return deliveries;
+};
+
+// Picks up deliveries whose retry time has come, and ones left 'pending' or 'sending' for
+// longer than the claim timeout (the server stopped before it could send them or save the result)
+const retryNotifications = async () => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - NOTIFICATION_CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+  
+  const { data: due, error } = await supabase
+    .from('notification_deliveries')
+    .select('*')
+    .or([
+      `and(status.eq.retrying,next_attempt_at.lte.${now.toISOString()})`,
+      `and(status.eq.pending,created_at.lt.${staleBefore.toISOString()})`,
+      `and(status.eq.sending,claimed_at.lt.${staleBefore.toISOString()})`
+    ].join(','))
+    .order('created_at')
+    .limit(20);
+  
+  if (error) throw error;
+  
+  for (const delivery of due || []) {
+    const claimed = await claimNotification(delivery, {
+      claimedBefore: delivery.status === 'sending' ? staleBefore : undefined
+    });
+    
+    if (claimed) {
+      await deliverNotification(claimed);
+    }
+  }
+};
+
+appEvents.on('order.status_changed', ({ order, to }) => {
+  notifyStatusChange({ entityType: 'order', entity: order, to })
+    .catch(error => console.error('Order notification error:', error));
+});
+
+appEvents.on('service.status_changed', ({ service, to }) => {
+  notifyStatusChange({ entityType: 'service', entity: service, to })
+    .catch(error => console.error('Service notification error:', error));
+});
+
+// ============================================
+// 📡 ADMIN LIVE UPDATES (Server-Sent Events)
+// ============================================
+
+// EventSource cannot send an Authorization header, so the admin JWT is exchanged for a
+// short-lived ticket that goes in the stream URL. The ticket is only checked on connect;
+// the employee's account is checked again with every heartbeat.
+const ADMIN_STREAM_TICKET_SECONDS = 60;
+const ADMIN_STREAM_HEARTBEAT_SECONDS = 25;
+
+// Open streams: { user, res }
+const adminStreamClients = new Set();
+
+// Sends the event to every connected employee the audience check lets see it
+const broadcastAdminEvent = (type, data, canSee) => {
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  
+  for (const client of adminStreamClients) {
+    if (canSee(client.user)) client.res.write(message);
+  }
+};
+
+const canSeeOrders = (user) => hasPermission(user, 'orders:read');
+
+const canSeeService = (service) => (user) => hasPermission(user, 'services:read')
+  || (hasPermission(user, 'services:read:assigned') && service.technician_id === user.id);
+
+const canSeeInventory = (user) => hasPermission(user, 'inventory:read');
+
+// Items already announced as low (variant id for variant stock); an item is announced
+// again only after it has been restocked above its threshold
+const announcedLowStock = new Set();
+let lowStockCheckQueue = Promise.resolve();
+
+const checkLowStock = async () => {
+  const { data: items, error } = await supabase
+    .from('low_stock_products')
+    .select('*')
+    .order('stock_quantity', { ascending: true });
+  
+  if (error) throw error;
+  
+  const keyOf = item => item.variant_id || item.id;
+  const newlyLow = items.filter(item => !announcedLowStock.has(keyOf(item)));
+  
+  announcedLowStock.clear();
+  items.forEach(item => announcedLowStock.add(keyOf(item)));
+  
+  if (newlyLow.length) {
+    broadcastAdminEvent('low-stock', { items: newlyLow, count: items.length }, canSeeInventory);
+  }
+};
+
+// Checks run one after another so two quick sales cannot announce the same item twice
+const queueLowStockCheck = () => {
+  lowStockCheckQueue = lowStockCheckQueue
+    .then(checkLowStock)
+    .catch(error => console.error('Low stock check error:', error));
+};
+
+appEvents.on('order.created', ({ order }) => {
+  broadcastAdminEvent('new-order', { order }, canSeeOrders);
+  queueLowStockCheck();
+});
+
+appEvents.on('service.created', ({ service }) => {
+  broadcastAdminEvent('new-service-request', { service }, canSeeService(service));
+});
+
+appEvents.on('order.status_changed', ({ order, from, to, note }) => {
+  broadcastAdminEvent('status-change', { entity: 'order', id: order.id, from, to, note }, canSeeOrders);
+});
+
+appEvents.on('service.status_changed', ({ service, from, to, note }) => {
+  broadcastAdminEvent('status-change', { entity: 'service', id: service.id, from, to, note }, canSeeService(service));
+});
+
+appEvents.on('inventory.changed', queueLowStockCheck);
+
+// ============================================
+// 🧾 ORDER PLACEMENT HELPERS
+// ============================================
+
+// place_order raises "CODE" or "CODE:product_id" (variant_id for VARIANT_UNAVAILABLE,
+// the minimum for COUPON_MIN_ORDER); map the known codes to responses that carry the same code
+const ORDER_ERRORS = {
+  ORDER_EMPTY: { status: 400, message: 'Order items are required' },
+  CART_EMPTY: { status: 400, message: 'Your cart is empty' },
+  INVALID_QUANTITY: { status: 400, message: 'Item quantity must be a positive whole number' },
+  PRODUCT_UNAVAILABLE: { status: 409, message: 'Product is no longer available' },
+  INSUFFICIENT_STOCK: { status: 409, message: 'Not enough stock for this product' },
+  VARIANT_REQUIRED: { status: 400, message: 'Please choose a model or option for this product' },
+  VARIANT_UNAVAILABLE: { status: 409, message: 'This product option is no longer available', field: 'variant_id' },
+  STOCK_MANAGED_BY_LEDGER: { status: 400, message: 'Stock can only be changed through the inventory routes' },
+  COUPON_INVALID: { status: 404, message: 'This coupon code is not valid' },
+  COUPON_NOT_STARTED: { status: 409, message: 'This coupon is not active yet' },
+  COUPON_EXPIRED: { status: 409, message: 'This coupon has expired' },
+  COUPON_NOT_APPLICABLE: { status: 409, message: 'This coupon does not apply to these items' },
+  COUPON_EXHAUSTED: { status: 409, message: 'This coupon has been fully used' },
+  COUPON_ALREADY_USED: { status: 409, message: 'You have already used this coupon' },
+  COUPON_FIRST_ORDER_ONLY: { status: 409, message: 'This coupon is only for your first order' },
+  COUPON_NEEDS_CUSTOMER: { status: 400, message: 'Sign in or give your phone number to use this coupon' },
+  COUPON_NEEDS_AMOUNT: { status: 400, message: 'A coupon can only be used once the repair price is known' },
+  COUPON_MIN_ORDER: { status: 409, message: 'Order total is below the minimum for this coupon', field: 'min_order_value' },
+  INVALID_ID: { status: 400, message: 'Product or option ID is malformed' },
+  OTP_ALREADY_USED: { status: 403, message: 'Verification token has already been used' }
+};
+
+const PAYMENT_METHODS = ['cod', 'upi', 'card'];
+
+// Keeps only product_id, variant_id and quantity; prices always come from the database
+const normalizeOrderItems = (items) => {
+  if (!Array.isArray(items) || !items.length) return null;
+  
+  const normalized = items.map(item => ({
+    product_id: item && item.product_id,
+    variant_id: (item && item.variant_id) || null,
+    quantity: item && item.quantity !== undefined ? Number(item.quantity) : 1
+  }));
+  
+  // A malformed id would otherwise fail the ::UUID cast inside place_order as a 500
+  const valid = normalized.every(item =>
+    typeof item.product_id === 'string' && UUID_PATTERN.test(item.product_id) &&
+    (item.variant_id === null || (typeof item.variant_id === 'string' && UUID_PATTERN.test(item.variant_id))) &&
+    Number.isInteger(item.quantity) && item.quantity > 0
+  );
+  
+  return valid ? normalized : null;
+};
+
+// Request rule for order items; normalizeOrderItems still fills in the defaults
+const ORDER_ITEMS_FIELD = listField('Items', objectField('Item', {
+  product_id: uuidField('Product ID'),
+  variant_id: nullable(uuidField('Variant ID')),
+  quantity: optional(integerField('Quantity', { min: 1, max: 100 }))
+}), { min: 1, max: 50 });
+
+const orderErrorFromDatabase = (error) => {
+  // 22P02: a text that is not a UUID reached a ::UUID cast
+  const [code, id] = error && error.code === '22P02'
+    ? ['INVALID_ID']
+    : String((error && error.message) || '').split(':');
+  const known = ORDER_ERRORS[code];
+  
+  if (!known) return null;
+  
+  return {
+    status: known.status,
+    body: { success: false, error: known.message, code, [known.field || 'product_id']: id || undefined }
+  };
+};
+
+// Creates the order, its items, the stock decrements and the coupon redemption atomically.
+// Items are charged at their sale price when a promotion is running. The OTP verification
+// that authorised the order is used up in the same transaction.
+const placeOrder = async ({ otpId, customerId, items, paymentMethod, deliveryAddress, couponCode }) => {
+  const { data: order, error } = await supabase.rpc('place_verified_order', {
+    p_otp_id: otpId,
+    p_customer_id: customerId,
+    p_items: items,
+    p_payment_method: paymentMethod || 'cod',
+    p_delivery_address: deliveryAddress || null,
+    p_coupon_code: couponCode || null
+  });
+  
+  if (error) throw error;
+  return order;
+};
+
+// ============================================
+// 📍 ORDER TRACKING HELPERS
+// ============================================
+
+const ORDER_STATUS_LABELS = {
+  pending: '🟡 Order received - Waiting for confirmation',
+  confirmed: '🟢 Order confirmed - Processing',
+  processing: '🔵 Order being processed',
+  shipped: '🚚 Order shipped - Out for delivery',
+  delivered: '✅ Order delivered successfully',
+  cancelled: '❌ Order cancelled'
+};
+
+// pending → confirmed → processing → shipped → delivered; stages may be skipped going forward.
+// An order can be cancelled until it is delivered; delivered and cancelled are final.
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'processing', 'shipped', 'cancelled'],
+  confirmed: ['processing', 'shipped', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+// Minutes used to estimate delivery. Each product promises its own delivery_eta
+// ("15 min", "1 hour", "2 days"); repair visits booked by quick-order get repairVisit.
+const ORDER_ETA_MINUTES = {
+  confirmation: parseInt(process.env.ORDER_CONFIRM_MINUTES) || 10,
+  outForDelivery: parseInt(process.env.ORDER_OUT_FOR_DELIVERY_MINUTES) || 15,
+  repairVisit: parseInt(process.env.REPAIR_VISIT_MINUTES) || 60,
+  default: 30
+};
+
+const ETA_UNIT_MINUTES = { min: 1, mins: 1, minute: 1, minutes: 1, hr: 60, hrs: 60, hour: 60, hours: 60, day: 1440, days: 1440 };
+
+// '15 min' -> 15, '2 days' -> 2880; anything unreadable gets the default
+const parseEtaMinutes = (text) => {
+  const match = String(text || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]+)$/);
+  const unit = match && ETA_UNIT_MINUTES[match[2]];
+  return unit ? Math.round(parseFloat(match[1]) * unit) : ORDER_ETA_MINUTES.default;
+};
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60 * 1000);
+
+// Expected delivery time from where the order is now:
+// - not yet confirmed: confirmation window, then the slowest item's delivery time
+// - confirmed / processing: from confirmation, plus the slowest item's delivery time
+// - shipped: the out-for-delivery window from when it left
+// An estimate that has already passed is pushed out and flagged as running late.
+const estimateOrderDelivery = (order, history) => {
+  if (['delivered', 'cancelled'].includes(order.status)) return null;
+  
+  const reachedAt = (status) => {
+    const entry = [...history].reverse().find(row => row.to_status === status);
+    return entry ? new Date(entry.created_at) : null;
+  };
+  
+  const now = new Date();
+  const items = order.order_items || [];
+  const itemMinutes = order.order_type === 'repair'
+    ? ORDER_ETA_MINUTES.repairVisit
+    : items.length
+      ? Math.max(...items.map(item => parseEtaMinutes(item.products && item.products.delivery_eta)))
+      : ORDER_ETA_MINUTES.default;
+  
+  let eta;
+  
+  if (order.status === 'shipped') {
+    eta = addMinutes(reachedAt('shipped') || now, ORDER_ETA_MINUTES.outForDelivery);
+  } else {
+    const confirmedAt = reachedAt('confirmed') ||
+      addMinutes(order.created_at, ORDER_ETA_MINUTES.confirmation);
+    eta = addMinutes(confirmedAt, itemMinutes);
+  }
+  
+  const runningLate = eta < now;
+  
+  return {
+    at: runningLate ? addMinutes(now, ORDER_ETA_MINUTES.outForDelivery) : eta,
+    running_late: runningLate
+  };
+};
+
+// What the public tracking page shows; names are cut to the first name
+const orderTracking = (order) => {
+  const history = (order.order_status_history || [])
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const eta = estimateOrderDelivery(order, history);
+  const delivered = order.status === 'delivered' && [...history].reverse().find(row => row.to_status === 'delivered');
+  
+  return {
+    order_id: order.id,
+    order_type: order.order_type || 'shop',
+    status: order.status,
+    status_message: ORDER_STATUS_LABELS[order.status] || 'Order received',
+    customer_name: order.customers && order.customers.name ? order.customers.name.split(' ')[0] : 'Customer',
+    amount: order.total_amount,
+    items: (order.order_items || []).map(item => ({
+      name: [item.products && item.products.name, item.product_variants && item.product_variants.name].filter(Boolean).join(' - '),
+      quantity: item.quantity
+    })),
+    order_date: order.created_at,
+    timeline: history.map(entry => ({
+      status: entry.to_status,
+      label: ORDER_STATUS_LABELS[entry.to_status] || entry.to_status,
+      note: entry.note,
+      at: entry.created_at
+    })),
+    estimated_delivery: eta ? eta.at : null,
+    running_late: eta ? eta.running_late : false,
+    delivered_at: delivered ? delivered.created_at : null
+  };
+};
+
+const ORDER_TRACKING_SELECT = `
+  id,
+  status,
+  order_type,
+  total_amount,
+  created_at,
+  customers (
+    name,
+    phone
+  ),
+  order_items (
+    quantity,
+    products (
+      name,
+      delivery_eta
+    ),
+    product_variants (
+      name
+    )
+  ),
+  order_status_history (
+    to_status,
+    note,
+    created_at
+  )
+`;
+
+// Last 10 digits, so "+91 98765 43210" matches "9876543210"
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// ============================================
+// 📦 INVENTORY LEDGER HELPERS
+// ============================================
+
+// inventory_log.type values; positive types add stock, negative types remove it
+const INVENTORY_MOVEMENT_TYPES = {
+  opening: 'in',
+  stock_in: 'in',
+  return: 'in',
+  sale: 'out',
+  service_use: 'out',
+  damage: 'out',
+  write_off: 'out',
+  adjustment: 'either'
+};
+
+// Entries whose type is unknown or points the wrong way (a 'sale' that adds stock) are a bug
+const invalidStockMovement = (entry) => {
+  const direction = INVENTORY_MOVEMENT_TYPES[entry.type];
+  
+  return !direction ||
+    !Number.isInteger(entry.quantity_change) || entry.quantity_change === 0 ||
+    (direction === 'in' && entry.quantity_change < 0) ||
+    (direction === 'out' && entry.quantity_change > 0);
+};
+
+// Inserts ledger entries in one statement: all apply or none do.
+// The inventory_log trigger updates products.stock_quantity (or product_variants.stock_quantity
+// when the entry has a variant_id) and rejects negative stock.
+const recordStockMovements = async (entries) => {
+  const invalid = entries.find(invalidStockMovement);
+  
+  if (invalid) {
+    throw new Error(`Invalid stock movement: ${invalid.type} of ${invalid.quantity_change}`);
+  }
+  
+  const { data, error } = await supabase
+    .from('inventory_log')
+    .insert(entries.map(entry => ({ ...entry, created_at: new Date() })))
+    .select();
+  
+  if (error) throw error;
+  
+  appEvents.emit('inventory.changed', {});
+  return data;
+};
+
+// What the shop shows for stock: plenty, running low ("only 2 left") or sold out
+const withStockStatus = (product) => ({
+  ...product,
+  stock_status: product.stock_quantity <= 0
+    ? 'out_of_stock'
+    : product.stock_quantity <= (product.low_stock_threshold ?? 5) ? 'low_stock' : 'in_stock'
+});
+
+// Escapes % and _ so user input is matched literally by ilike
+const escapeLikePattern = (value) => String(value).replace(/[%_\\]/g, '\\$&');
+
+// Price bands offered as search facets; max is exclusive, null means no upper limit
+const PRODUCT_PRICE_BANDS = [
+  { key: 'under_200', label: 'Under ₹200', min: 0, max: 200 },
+  { key: '200_499', label: '₹200 - ₹499', min: 200, max: 500 },
+  { key: '500_999', label: '₹500 - ₹999', min: 500, max: 1000 },
+  { key: '1000_plus', label: '₹1000 & above', min: 1000, max: null }
+];
+
+// search_products() marks matches with ⟦ ⟧; escape the text first, then turn those into <mark>
+const highlightToHtml = (text) => text
+  ? escapeHtml(text).replace(/⟦/g, '<mark>').replace(/⟧/g, '</mark>')
+  : null;
+
+// ============================================
+// ✏️ PRODUCT EDIT HELPERS
+// ============================================
+
+const SKU_PATTERN = /^[A-Za-z0-9._\-/]{1,64}$/;
+
+// The only product columns an edit may change (field rules, see REQUEST VALIDATION).
+// Stock is left out on purpose: it only moves through the inventory ledger.
+const PRODUCT_EDITABLE_FIELDS = {
+  sku: withLabel('SKU', (value) => typeof value === 'string' && SKU_PATTERN.test(value.trim())
+    ? { value: value.trim() }
+    : { error: 'SKU must be up to 64 letters, digits, . _ - or /', code: 'invalid_format' }),
+  name: textField('Name', 200),
+  description: withLabel('Description', (value) => value === null || (typeof value === 'string' && value.length <= 2000)
+    ? { value: (value || '').trim() }
+    : { error: 'Description must be text of up to 2000 characters', code: 'too_long' }),
+  // "2,99" or "299.999" is a typo, not a price
+  price: withLabel('Price', (value) => {
+    const text = typeof value === 'number' ? String(value) : typeof value === 'string' ? value.trim() : '';
+    const price = Number(text);
+    return /^\d+(\.\d{1,2})?$/.test(text) && price <= 1000000
+      ? { value: price }
+      : { error: 'Price must be a number from 0 to 1000000 with at most 2 decimals', code: 'invalid_format' };
+  }),
+  category: textField('Category', 50, value => value.toLowerCase()),
+  images: withLabel('Images', (value) => Array.isArray(value) && value.length <= 10 &&
+    value.every(url => typeof url === 'string' && /^https?:\/\/\S+$/i.test(url.trim()))
+    ? { value: value.map(url => url.trim()) }
+    : { error: 'Images must be a list of up to 10 http(s) links', code: 'invalid_format' }),
+  delivery_eta: textField('Delivery time', 20),
+  low_stock_threshold: withLabel('Low stock threshold', (value) => Number.isInteger(value) && value >= 0
+    ? { value }
+    : { error: 'Low stock threshold must be a whole number of 0 or more', code: 'too_small' }),
+  is_active: booleanField('is_active'),
+  // null falls back to the category's GST default
+  hsn_code: withLabel('HSN code', (value) => value === null || (typeof value === 'string' && /^\d{4,8}$/.test(value.trim()))
+    ? { value: value === null ? null : value.trim() }
+    : { error: 'HSN code must be 4-8 digits', code: 'invalid_format' }),
+  gst_rate: withLabel('GST rate', (value) => value === null || [0, 5, 12, 18, 28].includes(value)
+    ? { value }
+    : { error: 'GST rate must be 0, 5, 12, 18 or 28', code: 'not_allowed' })
+};
+
+// Stock is refused by name so the client is told where it can be changed
+const STOCK_QUANTITY_FIELD = withLabel('Stock', () => ({
+  error: 'Stock can only be changed through the inventory routes',
+  code: 'not_allowed'
+}));
+
+const PRODUCT_EDIT_SELECT = `id, version, stock_quantity, updated_at, ${Object.keys(PRODUCT_EDITABLE_FIELDS).join(', ')}`;
+
+// [{ field, from, to }] for the fields whose value actually differs
+const diffProductFields = (before, after, fields = Object.keys(after)) => fields
+  .filter(field => {
+    const from = before[field];
+    const to = after[field];
+    if (field === 'price') return parseFloat(from) !== parseFloat(to);
+    if (field === 'gst_rate') return (from === null || from === undefined ? null : parseFloat(from)) !== to;
+    if (field === 'images') return JSON.stringify(from || []) !== JSON.stringify(to || []);
+    return (from ?? '') !== (to ?? '');
+  })
+  .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+// Who is editing a product. The products_change_history trigger writes the history row
+// from these columns in the same transaction as the edit.
+const productChangeActor = (user, source = 'admin') => ({
+  changed_by: user.id,
+  changed_by_role: user.role,
+  change_source: source
+});
+
+// ============================================
+// 🏷️ PROMOTION HELPERS
+// ============================================
+
+const DISCOUNT_TYPES = ['percent', 'flat'];
+const COUPON_ORDER_TYPES = ['shop', 'repair', 'all'];
+
+// Coupon columns an admin may set (field rules, see REQUEST VALIDATION)
+const COUPON_FIELDS = {
+  code: (value) => typeof value === 'string' && /^[A-Za-z0-9_-]{3,32}$/.test(value.trim())
+    ? { value: value.trim().toUpperCase() }
+    : { error: 'Code must be 3-32 letters, digits, _ or -', code: 'invalid_format' },
+  description: (value) => value === null || (typeof value === 'string' && value.length <= 200)
+    ? { value: value ? value.trim() : null }
+    : { error: 'Description must be text of up to 200 characters', code: 'too_long' },
+  discount_type: oneOfField('Discount type', DISCOUNT_TYPES),
+  discount_value: amountField('Discount value', { positive: true }),
+  max_discount: amountField('Maximum discount', { nullable: true, positive: true }),
+  min_order_value: amountField('Minimum order value'),
+  applies_to: oneOfField('applies_to', COUPON_ORDER_TYPES),
+  categories: (value) => Array.isArray(value) && value.every(category => typeof category === 'string' && category.trim())
+    ? { value: [...new Set(value.map(category => category.trim().toLowerCase()))] }
+    : { error: 'Categories must be a list of category names', code: 'invalid_type' },
+  product_ids: (value) => Array.isArray(value) && value.every(id => typeof id === 'string' && UUID_PATTERN.test(id))
+    ? { value: [...new Set(value)] }
+    : { error: 'product_ids must be a list of product ids', code: 'invalid_format' },
+  first_order_only: booleanField('first_order_only'),
+  usage_limit: limitField('Usage limit'),
+  per_customer_limit: limitField('Per-customer limit'),
+  starts_at: dateField('Start'),
+  ends_at: dateField('End', { nullable: true }),
+  is_active: booleanField('is_active')
+};
+
+// Automatic sale prices: scoped to one product, one category, or the whole shop
+const PROMOTION_FIELDS = {
+  name: textField('Name', 100),
+  discount_type: oneOfField('Discount type', DISCOUNT_TYPES),
+  discount_value: amountField('Discount value', { positive: true }),
+  category: (value) => value === null ? { value: null } : textField('Category', 50, text => text.toLowerCase())(value),
+  product_id: (value) => value === null || (typeof value === 'string' && UUID_PATTERN.test(value))
+    ? { value }
+    : { error: 'product_id must be a product id (or null)', code: 'invalid_format' },
+  starts_at: dateField('Start'),
+  ends_at: dateField('End', { nullable: true }),
+  is_active: booleanField('is_active')
+};
+
+const PROMOTION_SCOPE_ERROR = 'A promotion covers either one product or one category, not both';
+
+// The table CHECKs (percent at most 100, end after start) catch combinations of
+// a partial update with the stored row
+const PROMOTION_CHECK_ERROR = 'Percentage discounts must be below 100 and the end must be after the start';
+
+// Prices a basket and applies a coupon the same way place_order / place_repair_order will,
+// without redeeming it. Shop orders pass items; repair orders pass the service type, priced
+// from repair_service_prices like place_verified_repair_order does.
+// Coupon problems are thrown as COUPON_* database errors (see ORDER_ERRORS).
+const quoteOrder = async ({ customerId, orderType, items, serviceType, couponCode }) => {
+  let lines;
+  
+  if (orderType === 'repair') {
+    const { data: price, error } = await supabase.rpc('repair_service_price', { p_service_type: serviceType });
+    if (error) throw error;
+    lines = [{ category: 'repair', amount: parseFloat(price) || 0 }];
+  } else {
+    const { data, error } = await supabase.rpc('price_order_lines', { p_items: items });
+    if (error) throw error;
+    lines = data || [];
+  }
+  
+  const subtotal = Math.round(lines.reduce((sum, line) => sum + parseFloat(line.amount), 0) * 100) / 100;
+  
+  if (!couponCode) {
+    return { lines, subtotal, discount: 0, total: subtotal, coupon: null };
+  }
+  
+  if (orderType === 'repair' && subtotal <= 0) {
+    throw new Error('COUPON_NEEDS_AMOUNT');
+  }
+  
+  const { data: coupon, error } = await supabase.rpc('coupon_discount', {
+    p_code: couponCode,
+    p_customer_id: customerId || null,
+    p_order_type: orderType,
+    p_lines: lines
+  });
+  
+  if (error) throw error;
+  
+  const discount = parseFloat(coupon.discount);
+  
+  return {
+    lines,
+    subtotal,
+    discount,
+    total: Math.round((subtotal - discount) * 100) / 100,
+    coupon: { code: coupon.code, description: coupon.description }
+  };
+};
+
+// ============================================
+// 📄 CSV HELPERS
+// ============================================
+
+// Parses RFC 4180 CSV (quoted fields, "" escapes, newlines inside quotes, CRLF).
+// Returns an array of rows, each an array of strings.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Blank lines are not rows
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Quotes when needed. Cells starting with = + - @ are prefixed with ' so
+// spreadsheet apps do not run them as formulas.
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  
+  let text = Array.isArray(value) ? value.join('|') : String(value);
+  
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => toCsvValue(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+// ============================================
+// 📥 PRODUCT CSV IMPORT / EXPORT HELPERS
+// ============================================
+
+// Export columns; import accepts the same file back plus stock_in and unit_cost.
+// images holds several URLs separated by |.
+const PRODUCT_CSV_COLUMNS = [
+  'sku', 'name', 'category', 'price', 'description', 'delivery_eta',
+  'low_stock_threshold', 'is_active', 'images', 'stock_quantity'
+];
+const PRODUCT_IMPORT_COLUMNS = [...PRODUCT_CSV_COLUMNS, 'stock_in', 'unit_cost'];
+const PRODUCT_IMPORT_REQUIRED = ['sku', 'name', 'category', 'price'];
+const PRODUCT_IMPORT_MAX_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 2000;
+
+const CSV_BOOLEANS = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+
+// Checks one data row and works out what importing it would do to the existing product (if any).
+// Returns { row, errors, warnings }; row is complete so the upsert never falls back to defaults.
+const validateProductImportRow = (record, existing) => {
+  const errors = [];
+  const warnings = [];
+  const fail = (column, message) => errors.push({ column, message });
+  const has = (column) => record[column] !== undefined && record[column] !== '';
+  
+  const sku = (record.sku || '').trim();
+  const name = (record.name || '').trim();
+  const category = (record.category || '').trim().toLowerCase();
+  const price = Number(record.price);
+  
+  if (!sku) fail('sku', 'SKU is required');
+  else if (!SKU_PATTERN.test(sku)) fail('sku', 'SKU must be up to 64 letters, digits, . _ - or /');
+  
+  if (!name) fail('name', 'Name is required');
+  else if (name.length > 200) fail('name', 'Name must be 200 characters or fewer');
+  
+  if (!category) fail('category', 'Category is required');
+  else if (category.length > 50) fail('category', 'Category must be 50 characters or fewer');
+  
+  if (!has('price') || !Number.isFinite(price) || price < 0) fail('price', 'Price must be a number of 0 or more');
+  
+  const wholeNumber = (column) => {
+    if (!has(column)) return null;
+    const value = Number(record[column]);
+    if (!Number.isInteger(value) || value < 0) {
+      fail(column, `${column} must be a whole number of 0 or more`);
+      return null;
+    }
+    return value;
+  };
+  
+  const threshold = wholeNumber('low_stock_threshold');
+  const stockQuantity = wholeNumber('stock_quantity');
+  const stockIn = wholeNumber('stock_in');
+  
+  let unitCost = null;
+  if (has('unit_cost')) {
+    unitCost = Number(record.unit_cost);
+    if (!Number.isFinite(unitCost) || unitCost < 0) fail('unit_cost', 'unit_cost must be a number of 0 or more');
+  }
+  
+  let isActive = existing ? existing.is_active : true;
+  if (has('is_active')) {
+    const parsed = CSV_BOOLEANS[String(record.is_active).trim().toLowerCase()];
+    if (parsed === undefined) fail('is_active', 'is_active must be true/false or yes/no');
+    else isActive = parsed;
+  }
+  
+  let images = existing ? existing.images || [] : [];
+  if (record.images !== undefined) {
+    images = String(record.images).split('|').map(url => url.trim()).filter(Boolean);
+    if (images.some(url => !/^https?:\/\//i.test(url))) fail('images', 'Image links must start with http:// or https://');
+  }
+  
+  const deliveryEta = has('delivery_eta') ? record.delivery_eta.trim() : (existing ? existing.delivery_eta : '15 min');
+  if (deliveryEta && deliveryEta.length > 20) fail('delivery_eta', 'delivery_eta must be 20 characters or fewer');
+  
+  // Stock on existing products only moves through the ledger
+  if (existing && stockQuantity !== null && stockQuantity !== existing.stock_quantity) {
+    warnings.push(`stock_quantity ignored for existing product (currently ${existing.stock_quantity}); use stock_in to receive stock`);
+  }
+  
+  const row = {
+    sku,
+    name,
+    description: record.description !== undefined ? record.description.trim() : (existing ? existing.description : ''),
+    price,
+    category,
+    images,
+    delivery_eta: deliveryEta,
+    low_stock_threshold: threshold !== null ? threshold : (existing ? existing.low_stock_threshold : 5),
+    is_active: isActive,
+    opening_stock: existing ? 0 : (stockQuantity || 0),
+    stock_in: stockIn || 0,
+    unit_cost: unitCost
+  };
+  
+  return { row, errors, warnings };
+};
+
+// Fields an update would change, for the dry-run preview and the change history
+const productImportChanges = (row, existing) => existing
+  ? diffProductFields(existing, row, ['name', 'description', 'price', 'category', 'images', 'delivery_eta', 'low_stock_threshold', 'is_active'])
+  : [];
+
+// ============================================
+// 📱 PRODUCT VARIANT HELPERS
+// ============================================
+
+// sale_price is a computed column: the running promotion price, or null
+const PRODUCT_VARIANT_FIELDS = 'id, sku, name, attributes, price, sale_price, stock_quantity, low_stock_threshold, is_active';
+
+// What a variant can differ by
+const VARIANT_ATTRIBUTES = ['model', 'colour', 'length', 'wattage'];
+
+// Keeps known attributes with non-empty text values; null when anything else is sent
+const normalizeVariantAttributes = (attributes) => {
+  if (attributes === undefined || attributes === null) return {};
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) return null;
+  
+  const normalized = {};
+  
+  for (const [key, value] of Object.entries(attributes)) {
+    if (!VARIANT_ATTRIBUTES.includes(key) || typeof value !== 'string') return null;
+    if (value.trim()) normalized[key] = value.trim();
+  }
+  
+  return normalized;
+};
+
+// Empty device lists mark universal items (chargers, cables)
+const DEVICE_MODEL_IDS_FIELD = listField('Compatible devices', uuidField('Device model'), { max: 200 });
+
+// Variant create/update rules; the add route makes name and price required
+const VARIANT_FIELDS = {
+  sku: nullable(PRODUCT_EDITABLE_FIELDS.sku),
+  name: optional(textField('Variant name', 200)),
+  attributes: optional(withLabel('Attributes', (value) => {
+    const attributes = normalizeVariantAttributes(value);
+    return attributes
+      ? { value: attributes }
+      : { error: `Attributes may only be text values for: ${VARIANT_ATTRIBUTES.join(', ')}`, code: 'invalid_format' };
+  })),
+  price: optional(PRODUCT_EDITABLE_FIELDS.price),
+  low_stock_threshold: optional(integerField('Low stock threshold', { min: 0, max: 100000 })),
+  is_active: optional(booleanField('is_active'))
+};
+
+// Replaces the devices a variant fits; unknown device ids are rejected up front
+const setVariantCompatibility = async (variantId, deviceIds) => {
+  const ids = [...new Set(deviceIds)];
+  
+  if (ids.length) {
+    const { data: devices, error } = await supabase
+      .from('device_models')
+      .select('id')
+      .in('id', ids);
+    
+    if (error) throw error;
+    
+    if ((devices || []).length !== ids.length) {
+      return { status: 400, error: 'One or more device models do not exist' };
+    }
+  }
+  
+  const { error: deleteError } = await supabase
+    .from('variant_compatibility')
+    .delete()
+    .eq('variant_id', variantId);
+  
+  if (deleteError) throw deleteError;
+  
+  if (ids.length) {
+    const { error: insertError } = await supabase
+      .from('variant_compatibility')
+      .insert(ids.map(device_model_id => ({ variant_id: variantId, device_model_id })));
+    
+    if (insertError) throw insertError;
+  }
+  
+  return { deviceIds: ids };
+};
+
+// Products sold by variant (model, colour, length, wattage) take their stock and
+// "from" price from their active variants. onlyVariantIds narrows the variants
+// shown, e.g. to the ones that fit the customer's phone.
+const withVariants = (product, onlyVariantIds = null) => {
+  const { product_variants: rows, ...rest } = product;
+  const variants = (rows || [])
+    .filter(variant => variant.is_active && (!onlyVariantIds || onlyVariantIds.has(variant.id)))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(withStockStatus);
+  
+  if (!variants.length) {
+    return { ...withStockStatus(rest), variants: [] };
+  }
+  
+  const price = Math.min(...variants.map(variant => parseFloat(variant.price)));
+  const lowest = Math.min(...variants.map(variant => parseFloat(variant.sale_price ?? variant.price)));
+  
+  return {
+    ...withStockStatus({
+      ...rest,
+      stock_quantity: variants.reduce((sum, variant) => sum + variant.stock_quantity, 0)
+    }),
+    price,
+    sale_price: lowest < price ? lowest : null,
+    variants
+  };
+};
+
+// Matches "iPhone 13" or "Apple iPhone 13" (any case) against device_models.
+// The table is one row per phone model the shop stocks for, so it is read whole.
+const findDeviceModels = async (device) => {
+  const wanted = String(device).trim().replace(/\s+/g, ' ').toLowerCase();
+  
+  const { data: devices, error } = await supabase
+    .from('device_models')
+    .select('id, brand, model');
+  
+  if (error) throw error;
+  
+  return (devices || []).filter(row =>
+    row.model.toLowerCase() === wanted || `${row.brand} ${row.model}`.toLowerCase() === wanted
+  );
+};
+
+// Variant ids that fit any of the given devices
+const compatibleVariantIds = async (deviceIds) => {
+  if (!deviceIds.length) return new Set();
+  
+  const { data: rows, error } = await supabase
+    .from('variant_compatibility')
+    .select('variant_id')
+    .in('device_model_id', deviceIds);
+  
+  if (error) throw error;
+  
+  return new Set((rows || []).map(row => row.variant_id));
+};
+
+// Resolves ?device= to the devices it names, the variants that fit them and their products
+const deviceFilter = async (device) => {
+  const matchedDevices = await findDeviceModels(device);
+  const variantIds = await compatibleVariantIds(matchedDevices.map(row => row.id));
+  
+  if (!variantIds.size) {
+    return { matchedDevices, variantIds, productIds: [] };
+  }
+  
+  const { data: fittingVariants, error } = await supabase
+    .from('product_variants')
+    .select('product_id')
+    .in('id', [...variantIds])
+    .eq('is_active', true);
+  
+  if (error) throw error;
+  
+  return {
+    matchedDevices,
+    variantIds,
+    productIds: [...new Set((fittingVariants || []).map(variant => variant.product_id))]
+  };
+};
+
+// The thing a cart line actually sells: the chosen variant, or the product itself
+// when it has no variants. Products sold by variant must have one chosen.
+const loadSellableItem = async (productId, variantId) => {
+  const { data: product, error } = await supabase
+    .from('products')
+    .select(`id, name, price, stock_quantity, is_active, product_variants (${PRODUCT_VARIANT_FIELDS})`)
+    .eq('id', productId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  if (!product || !product.is_active) {
+    return { status: 404, error: 'Product not found' };
+  }
+  
+  const variants = (product.product_variants || []).filter(variant => variant.is_active);
+  
+  if (!variantId) {
+    return variants.length
+      ? { status: 400, error: ORDER_ERRORS.VARIANT_REQUIRED.message }
+      : { item: product };
+  }
+  
+  const variant = variants.find(row => row.id === variantId);
+  
+  if (!variant) {
+    return { status: 404, error: 'Product option not found' };
+  }
+  
+  return { item: { ...variant, name: `${product.name} - ${variant.name}` } };
+};
+
+// cart.variant_id is NULL for products without variants
+const matchVariant = (query, variantId) => variantId
+  ? query.eq('variant_id', variantId)
+  : query.is('variant_id', null);
+
+// ============================================
+// 🔧 REPAIR JOB LIFECYCLE HELPERS
+// ============================================
+
+// received → diagnosed → quote_sent → approved → in_repair → qc → ready → delivered
+// A job can end early as rejected (quote declined) or unrepairable.
+const SERVICE_TRANSITIONS = {
+  received: ['diagnosed', 'unrepairable'],
+  diagnosed: ['quote_sent', 'unrepairable'],
+  quote_sent: ['approved', 'rejected'],
+  approved: ['in_repair', 'quote_sent'],
+  in_repair: ['qc', 'quote_sent', 'unrepairable'],
+  qc: ['ready', 'in_repair'],
+  ready: ['delivered'],
+  delivered: [],
+  rejected: [],
+  unrepairable: []
+};
+
+const SERVICE_STATUSES = Object.keys(SERVICE_TRANSITIONS);
+const SERVICE_CLOSED_STATUSES = ['delivered', 'rejected', 'unrepairable'];
+const SERVICE_OPEN_STATUSES = SERVICE_STATUSES.filter(status => !SERVICE_CLOSED_STATUSES.includes(status));
+
+const SERVICE_STATUS_LABELS = {
+  received: '📥 Device received',
+  diagnosed: '🔍 Diagnosis complete',
+  quote_sent: '📝 Quote sent for approval',
+  approved: '👍 Quote approved',
+  in_repair: '🔧 Repair in progress',
+  qc: '🧪 Quality check',
+  ready: '✅ Ready for pickup/delivery',
+  delivered: '🎉 Delivered',
+  rejected: '❌ Quote rejected',
+  unrepairable: '⚠️ Device cannot be repaired'
+};
+
+// Warranty claim jobs are pre-approved at ₹0, so they skip the quote step
+const allowedServiceTransitions = (service) => {
+  const allowed = SERVICE_TRANSITIONS[service.status] || [];
+  return service.warranty_id && service.status === 'diagnosed' ? [...allowed, 'approved'] : allowed;
+};
+
+// Loads a service job for an employee. Holders of `permission` see every job;
+// everyone else only sees jobs assigned to them.
+// Resolves to { service } or { status, error }.
+const loadServiceForEmployee = async (id, user, permission) => {
+  const { data: service, error } = await supabase
+    .from('services')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  if (!service) {
+    return { status: 404, error: 'Service not found' };
+  }
+  
+  if (!hasPermission(user, permission) && service.technician_id !== user.id) {
+    return { status: 403, error: 'You can only access services assigned to you' };
+  }
+  
+  return { service };
+};
+
+// Moves a job along the state machine. The update only applies if nobody changed the
+// status in the meantime; the services trigger records it in service_status_history.
+// Resolves to { service } or { status, error }.
+const transitionServiceStatus = async (service, toStatus, user, { note, updates = {} } = {}) => {
+  const allowed = allowedServiceTransitions(service);
+  
+  if (!allowed.includes(toStatus)) {
+    return {
+      status: 409,
+      error: `Cannot change status from ${service.status} to ${toStatus}`,
+      allowed_statuses: allowed
+    };
+  }
+  
+  const { data: updated, error } = await supabase
+    .from('services')
+    .update({
+      ...updates,
+      status: toStatus,
+      status_note: note || null,
+      status_changed_by: user.id,
+      status_changed_by_role: user.role,
+      updated_at: new Date()
+    })
+    .eq('id', service.id)
+    .eq('status', service.status)
+    .select()
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  if (!updated) {
+    return { status: 409, error: 'Service status was changed by someone else. Please refresh.' };
+  }
+  
+  appEvents.emit('service.status_changed', { service: updated, from: service.status, to: toStatus, note });
+  
+  return { service: updated };
+};
+
+// ============================================
+// 📝 REPAIR QUOTE HELPERS
+// ============================================
+
+const QUOTE_ITEM_TYPES = ['part', 'labour'];
+const QUOTE_LINK_TTL_HOURS = parseInt(process.env.QUOTE_LINK_TTL_HOURS, 10) || 72;
+
+// Quotes can be issued once diagnosed, and re-issued while a job is awaiting
+// approval or already being worked on (e.g. extra damage found mid-repair)
+const QUOTABLE_SERVICE_STATUSES = ['diagnosed', 'quote_sent', 'approved', 'in_repair'];
+
+const hashQuoteToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Validates quote lines and works out totals. Returns { items, partsTotal, labourTotal, total } or { error }.
+const normalizeQuoteItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Quote must have at least one item' };
+  }
+  
+  const normalized = [];
+  let partsTotal = 0;
+  let labourTotal = 0;
+  
+  for (const item of items) {
+    const type = item.type || 'part';
+    const quantity = item.quantity !== undefined ? Number(item.quantity) : 1;
+    const unitPrice = Number(item.unit_price);
+    
+    if (!item.description || !String(item.description).trim()) {
+      return { error: 'Every quote item needs a description' };
+    }
+    
+    if (!QUOTE_ITEM_TYPES.includes(type)) {
+      return { error: `Quote item type must be one of: ${QUOTE_ITEM_TYPES.join(', ')}` };
+    }
+    
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { error: 'Quote item quantity must be a positive whole number' };
+    }
+    
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+      return { error: 'Quote item unit price must be zero or more' };
+    }
+    
+    const lineTotal = Math.round(quantity * unitPrice * 100) / 100;
+    
+    if (type === 'part') {
+      partsTotal += lineTotal;
+    } else {
+      labourTotal += lineTotal;
+    }
+    
+    normalized.push({
+      type,
+      description: String(item.description).trim(),
+      product_id: item.product_id || null,
+      quantity,
+      unit_price: unitPrice,
+      line_total: lineTotal
+    });
+  }
+  
+  partsTotal = Math.round(partsTotal * 100) / 100;
+  labourTotal = Math.round(labourTotal * 100) / 100;
+  
+  return {
+    items: normalized,
+    partsTotal,
+    labourTotal,
+    total: Math.round((partsTotal + labourTotal) * 100) / 100
+  };
+};
+
+// Records the customer's answer on the current quote and moves the job on.
+// Only a quote still in 'sent' can be answered, so a link or app tap can't be replayed.
+// If the job can't move, the answer is undone so the quote is still open.
+// Resolves to { quote, service } or { status, error }.
+const respondToQuote = async (quote, decision, { channel, note } = {}) => {
+  const now = new Date();
+  
+  const { data: answered, error } = await supabase
+    .from('service_quotes')
+    .update({
+      status: decision === 'approve' ? 'approved' : 'rejected',
+      responded_at: now,
+      response_channel: channel,
+      customer_note: note || null,
+      link_used_at: channel === 'link' ? now : quote.link_used_at
+    })
+    .eq('id', quote.id)
+    .eq('status', 'sent')
+    .select()
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  if (!answered) {
+    return { status: 409, error: 'This quote has already been answered or replaced' };
+  }
+  
+  const reopenQuote = async () => {
+    const { error: reopenError } = await supabase
+      .from('service_quotes')
+      .update({
+        status: 'sent',
+        responded_at: quote.responded_at || null,
+        response_channel: quote.response_channel || null,
+        customer_note: quote.customer_note || null,
+        link_used_at: quote.link_used_at || null
+      })
+      .eq('id', quote.id)
+      .eq('status', answered.status);
+    
+    if (reopenError) {
+      console.error(`Failed to reopen quote ${quote.id}:`, reopenError);
+    }
+  };
+  
+  let result;
+  
+  try {
+    const { data: service, error: serviceError } = await supabase
+      .from('services')
+      .select('*')
+      .eq('id', quote.service_id)
+      .single();
+    
+    if (serviceError) throw serviceError;
+    
+    const customer = { id: service.customer_id, role: 'customer' };
+    
+    result = decision === 'approve'
+      ? await transitionServiceStatus(service, 'approved', customer, {
+        note: `Quote v${quote.version} approved (₹${quote.total})`,
+        updates: {
+          approved_quote_id: quote.id,
+          approved_amount: quote.total,
+          approved_at: now
+        }
+      })
+      : await transitionServiceStatus(service, 'rejected', customer, {
+        note: note ? `Quote v${quote.version} rejected: ${note}` : `Quote v${quote.version} rejected`
+      });
+  } catch (err) {
+    await reopenQuote();
+    throw err;
+  }
+  
+  if (result.error) {
+    await reopenQuote();
+    return result;
+  }
+  
+  return { quote: answered, service: result.service };
+};
+
+// Strips the link hash before a quote goes out in an API response
+const publicQuote = ({ link_token_hash, ...quote }) => quote;
+
+// ============================================
+// 🛡️ WARRANTY HELPERS
+// ============================================
+
+// Coverage in months, keyed by service type / product category. 0 = no warranty.
+const WARRANTY_MONTHS = {
+  service: {
+    display_replacement: 6,
+    battery_replacement: 6,
+    back_panel_repair: 3,
+    charging_port_repair: 3,
+    water_damage_repair: 1,
+    software_repair: 1,
+    default: 3
+  },
+  product: {
+    screen: 6,
+    charger: 6,
+    earphone: 3,
+    cable: 3,
+    cover: 0,
+    default: 3
+  }
+};
+
+// 'Display Replacement' → 'display_replacement'
+const warrantyKey = (value) => String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const warrantyMonthsFor = (sourceType, key) => {
+  const table = WARRANTY_MONTHS[sourceType];
+  const months = table[warrantyKey(key)];
+  return months !== undefined ? months : table.default;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Inserts warranties, skipping ones that already exist for the same job / order line
+const saveWarranties = async (rows, conflictColumn) => {
+  const covered = rows.filter(row => row.coverage_months > 0);
+  
+  if (covered.length === 0) return [];
+  
+  const { data, error } = await supabase
+    .from('warranties')
+    .upsert(covered, { onConflict: conflictColumn, ignoreDuplicates: true })
+    .select();
+  
+  if (error) throw error;
+  return data || [];
+};
+
+// Called when a repair job is delivered. Warranty claim jobs don't start a new warranty.
+const createServiceWarranty = async (service) => {
+  if (service.warranty_id) return [];
+  
+  const startsAt = service.completion_date ? new Date(service.completion_date) : new Date();
+  const months = warrantyMonthsFor('service', service.service_type);
+  
+  return saveWarranties([{
+    customer_id: service.customer_id,
+    source_type: 'service',
+    service_id: service.id,
+    category: warrantyKey(service.service_type) || null,
+    description: `${service.service_type || 'Repair'} - ${service.device_type}`,
+    coverage_months: months,
+    starts_at: startsAt,
+    expires_at: addMonths(startsAt, months)
+  }], 'service_id');
+};
+
+// Called when an order is delivered: one warranty per order line
+const createOrderWarranties = async (order) => {
+  const { data: items, error } = await supabase
+    .from('order_items')
+    .select('id, product_id, products(name, category)')
+    .eq('order_id', order.id);
+  
+  if (error) throw error;
+  
+  const startsAt = new Date();
+  
+  return saveWarranties((items || []).map(item => {
+    const category = item.products ? item.products.category : null;
+    const months = warrantyMonthsFor('product', category);
+    
+    return {
+      customer_id: order.customer_id,
+      source_type: 'order_item',
+      order_id: order.id,
+      order_item_id: item.id,
+      product_id: item.product_id,
+      category,
+      description: item.products ? item.products.name : 'Product',
+      coverage_months: months,
+      starts_at: startsAt,
+      expires_at: addMonths(startsAt, months)
+    };
+  }), 'order_item_id');
+};
+
+// Why a warranty can't be claimed right now, or null if it can
+const warrantyClaimRejection = (warranty) => {
+  if (warranty.status === 'void') {
+    return `Warranty has been voided${warranty.void_reason ? `: ${warranty.void_reason}` : ''}`;
+  }
+  
+  if (new Date(warranty.expires_at) < new Date()) {
+    return `Warranty expired on ${new Date(warranty.expires_at).toDateString()}`;
+  }
+  
+  return null;
+};
+
+// ============================================
+// 🧾 GST INVOICE HELPERS
+// ============================================
+
+// Seller details printed on every invoice; the GSTIN's first two digits are the seller's state
+const INVOICE_SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || "Step'sEazy",
+  address: process.env.INVOICE_SELLER_ADDRESS || '',
+  phone: process.env.INVOICE_SELLER_PHONE || '',
+  gstin: (process.env.SELLER_GSTIN || '').toUpperCase()
+};
+const SELLER_STATE_CODE = INVOICE_SELLER.gstin.slice(0, 2) || process.env.SELLER_STATE_CODE || '27';
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'SE';
+
+// invoices.invoice_number is VARCHAR(32): prefix + '/2025-26/00001'
+const checkInvoiceConfig = () => /^[A-Za-z0-9-]{1,16}$/.test(INVOICE_PREFIX)
+  ? []
+  : [`INVOICE_PREFIX must be 1-16 letters, digits or - (got "${INVOICE_PREFIX}")`];
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// GST state codes, for the "place of supply" line
+const GST_STATES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+  '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh'
+};
+
+// HSN (goods) / SAC (services) codes and GST rates used when a product has none of its own.
+// Shop prices include GST; invoices work the tax back out of them.
+const GST_DEFAULTS = {
+  product: {
+    charger: { hsn_sac: '8504', rate: 18 },
+    earphone: { hsn_sac: '8518', rate: 18 },
+    cover: { hsn_sac: '3926', rate: 18 },
+    screen: { hsn_sac: '3919', rate: 18 },
+    cable: { hsn_sac: '8544', rate: 18 },
+    default: { hsn_sac: '8517', rate: 18 }
+  },
+  // Spare parts fitted during a repair, and the repair work itself
+  part: { hsn_sac: '8517', rate: 18 },
+  labour: { hsn_sac: '998716', rate: 18 }
+};
+
+const gstFor = (product) => {
+  const fallback = GST_DEFAULTS.product[product && product.category] || GST_DEFAULTS.product.default;
+  return {
+    hsn_sac: (product && product.hsn_code) || fallback.hsn_sac,
+    rate: product && product.gst_rate !== null && product.gst_rate !== undefined ? parseFloat(product.gst_rate) : fallback.rate
+  };
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Spreads an order-level discount (coupon, or a final bill below the quote) over the lines
+// in proportion to their value, then splits each line's GST-inclusive amount into taxable
+// value and CGST+SGST (same state) or IGST (different state)
+const buildInvoiceLines = (items, discountTotal, interState) => {
+  const gross = roundMoney(items.reduce((sum, item) => sum + item.quantity * item.unit_price, 0));
+  let discountLeft = roundMoney(Math.min(discountTotal || 0, gross));
+  
+  return items.map((item, index) => {
+    const amount = roundMoney(item.quantity * item.unit_price);
+    const discount = index === items.length - 1
+      ? discountLeft
+      : roundMoney(gross > 0 ? discountTotal * amount / gross : 0);
+    discountLeft = roundMoney(discountLeft - discount);
+    
+    const total = roundMoney(amount - discount);
+    const taxableValue = roundMoney(total * 100 / (100 + item.rate));
+    const tax = roundMoney(total - taxableValue);
+    const cgst = interState ? 0 : roundMoney(tax / 2);
+    
+    return {
+      description: item.description,
+      hsn_sac: item.hsn_sac,
+      quantity: item.quantity,
+      unit_price: item.unit_price,
+      discount,
+      taxable_value: taxableValue,
+      gst_rate: item.rate,
+      cgst,
+      sgst: interState ? 0 : roundMoney(tax - cgst),
+      igst: interState ? tax : 0,
+      total
+    };
+  });
+};
+
+// What an order bills: its items at the price charged, or the repair fee for quick-order repairs
+const loadOrderInvoiceSource = async (orderId) => {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select(`
+      *,
+      customers (name, phone, address, gstin),
+      order_items (
+        quantity,
+        price,
+        products (name, category, hsn_code, gst_rate),
+        product_variants (name)
+      )
+    `)
+    .eq('id', orderId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  if (!order) {
+    return { status: 404, error: 'Order not found' };
+  }
+  
+  if (order.status === 'cancelled') {
+    return { status: 409, error: 'Cancelled orders are not invoiced' };
+  }
+  
+  if (order.status !== 'delivered' && order.payment_status !== 'paid') {
+    return { status: 409, error: 'An invoice is issued once the order is paid or delivered' };
+  }
+  
+  const items = (order.order_items || []).length
+    ? order.order_items.map(item => {
+      const product = item.products || {};
+      const gst = gstFor(product);
+      return {
+        description: [product.name || 'Product', item.product_variants && item.product_variants.name].filter(Boolean).join(' - '),
+        hsn_sac: gst.hsn_sac,
+        rate: gst.rate,
+        quantity: item.quantity,
+        unit_price: parseFloat(item.price)
+      };
+    })
+    : [{
+      description: 'Mobile repair service',
+      hsn_sac: GST_DEFAULTS.labour.hsn_sac,
+      rate: GST_DEFAULTS.labour.rate,
+      quantity: 1,
+      unit_price: parseFloat(order.subtotal ?? order.total_amount)
+    }];
+  
+  return {
+    source: {
+      source_type: 'order',
+      order_id: order.id,
+      customer_id: order.customer_id,
+      customer: order.customers,
+      address: order.delivery_address,
+      items,
+      discount: parseFloat(order.discount_amount) || 0
+    }
+  };
+};
+
+// What a delivered repair bills: the approved quote's lines, with any reduction in the final
+// bill (actual_cost below the quote) shown as a discount
+const loadServiceInvoiceSource = async (serviceId) => {
+  const { data: service, error } = await supabase
+    .from('services')
+    .select('*, customers (name, phone, address, gstin)')
+    .eq('id', serviceId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  if (!service) {
+    return { status: 404, error: 'Service not found' };
+  }
+  
+  if (service.status !== 'delivered') {
+    return { status: 409, error: 'An invoice is issued once the repaired device is delivered' };
+  }
+  
+  const billed = parseFloat(service.actual_cost ?? service.approved_amount ?? 0);
+  
+  if (!(billed > 0)) {
+    return { status: 409, error: 'Nothing to invoice: this job has no charge' };
+  }
+  
+  const { data: quote } = service.approved_quote_id
+    ? await supabase.from('service_quotes').select('items, total').eq('id', service.approved_quote_id).maybeSingle()
+    : { data: null };
+  
+  let items;
+  
+  if (quote && (quote.items || []).length) {
+    const productIds = quote.items.map(item => item.product_id).filter(Boolean);
+    const { data: products } = productIds.length
+      ? await supabase.from('products').select('id, category, hsn_code, gst_rate').in('id', productIds)
+      : { data: [] };
+    const productById = Object.fromEntries((products || []).map(product => [product.id, product]));
+    
+    items = quote.items.map(item => {
+      const gst = item.type === 'labour'
+        ? GST_DEFAULTS.labour
+        : item.product_id && productById[item.product_id] ? gstFor(productById[item.product_id]) : GST_DEFAULTS.part;
+      return {
+        description: item.description,
+        hsn_sac: gst.hsn_sac,
+        rate: gst.rate,
+        quantity: item.quantity,
+        unit_price: parseFloat(item.unit_price)
+      };
+    });
+  } else {
+    items = [{
+      description: `${service.service_type || 'Repair'} - ${service.device_type || 'Device'}`,
+      hsn_sac: GST_DEFAULTS.labour.hsn_sac,
+      rate: GST_DEFAULTS.labour.rate,
+      quantity: 1,
+      unit_price: billed
+    }];
+  }
+  
+  const quoted = roundMoney(items.reduce((sum, item) => sum + item.quantity * item.unit_price, 0));
+  
+  return {
+    source: {
+      source_type: 'service',
+      service_id: service.id,
+      customer_id: service.customer_id,
+      customer: service.customers,
+      address: service.customers && service.customers.address,
+      items,
+      discount: Math.max(roundMoney(quoted - billed), 0)
+    }
+  };
+};
+
+// One invoice per order / repair job (UNIQUE columns on invoices)
+const INVOICE_SOURCE_CONSTRAINTS = ['invoices_order_id_key', 'invoices_service_id_key'];
+
+// Issues (or returns the existing) invoice for an order or a repair job.
+// Returns { invoice } or { status, error }.
+const issueInvoice = async ({ orderId, serviceId, issuedBy = null }, retried = false) => {
+  const { data: existing, error: existingError } = await supabase
+    .from('invoices')
+    .select('*')
+    .eq(orderId ? 'order_id' : 'service_id', orderId || serviceId)
+    .maybeSingle();
+  
+  if (existingError) throw existingError;
+  if (existing) return { invoice: existing };
+  
+  const loaded = orderId ? await loadOrderInvoiceSource(orderId) : await loadServiceInvoiceSource(serviceId);
+  if (loaded.error) return loaded;
+  
+  const { source } = loaded;
+  const customer = source.customer || {};
+  const buyerGstin = customer.gstin && GSTIN_PATTERN.test(customer.gstin) ? customer.gstin : null;
+  
+  // Registered buyers are billed to their GSTIN's state; walk-in customers are local supplies
+  const placeOfSupply = buyerGstin ? buyerGstin.slice(0, 2) : SELLER_STATE_CODE;
+  const interState = placeOfSupply !== SELLER_STATE_CODE;
+  const lines = buildInvoiceLines(source.items, source.discount, interState);
+  const sum = (field) => roundMoney(lines.reduce((total, line) => total + line[field], 0));
+  
+  const { data: invoice, error } = await supabase.rpc('issue_invoice', {
+    p_prefix: INVOICE_PREFIX,
+    p_invoice: {
+      source_type: source.source_type,
+      order_id: source.order_id || null,
+      service_id: source.service_id || null,
+      customer_id: source.customer_id || null,
+      seller: { ...INVOICE_SELLER, state_code: SELLER_STATE_CODE },
+      buyer: {
+        name: customer.name || 'Walk-in customer',
+        phone: customer.phone || null,
+        address: source.address || null,
+        gstin: buyerGstin
+      },
+      place_of_supply: placeOfSupply,
+      supply_type: interState ? 'inter_state' : 'intra_state',
+      lines,
+      discount_total: sum('discount'),
+      taxable_total: sum('taxable_value'),
+      cgst_total: sum('cgst'),
+      sgst_total: sum('sgst'),
+      igst_total: sum('igst'),
+      grand_total: sum('total'),
+      issued_by: issuedBy
+    }
+  });
+  
+  // Issued concurrently by another request: that one holds the number, so look it up once more.
+  // Any other clash (on the invoice number) is a real error.
+  const issuedElsewhere = error && error.code === '23505' &&
+    INVOICE_SOURCE_CONSTRAINTS.some(name => String(error.message).includes(name));
+  
+  if (issuedElsewhere && !retried) {
+    return issueInvoice({ orderId, serviceId, issuedBy }, true);
+  }
+  
+  if (error) throw error;
+  return { invoice };
+};
+
+// Called when an order or job is delivered; a failure is logged and the invoice
+// is issued on first download instead
+const issueInvoiceOnDelivery = (ids) => issueInvoice(ids)
+  .then(result => result.invoice || null)
+  .catch(error => {
+    console.error('Issue invoice error:', error);
+    return null;
+  });
+
+const formatRupees = (value) => `Rs. ${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// A4 tax invoice drawn with PDFKit's built-in fonts, so no network or font files are needed.
+// The standard fonts have no ₹ glyph, hence "Rs.".
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  
+  const { seller, buyer } = invoice;
+  const interState = invoice.supply_type === 'inter_state';
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  
+  doc.font('Helvetica-Bold').fontSize(16).text(seller.name, left, 40);
+  doc.font('Helvetica').fontSize(9);
+  if (seller.address) doc.text(seller.address);
+  if (seller.phone) doc.text(`Phone: ${seller.phone}`);
+  doc.text(`GSTIN: ${seller.gstin || 'Not registered'}`);
+  
+  doc.font('Helvetica-Bold').fontSize(14).text('TAX INVOICE', left, 40, { width, align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`Invoice No: ${invoice.invoice_number}`, { width, align: 'right' })
+    .text(`Date: ${new Date(invoice.issued_at).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`, { width, align: 'right' })
+    .text(`Place of supply: ${GST_STATES[invoice.place_of_supply] || ''} (${invoice.place_of_supply})`, { width, align: 'right' })
+    .text(`${invoice.source_type === 'order' ? 'Order' : 'Repair job'}: ${invoice.order_id || invoice.service_id}`, { width, align: 'right' });
+  
+  doc.moveDown(2);
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill to', left);
+  doc.font('Helvetica').fontSize(9).text(buyer.name);
+  if (buyer.phone) doc.text(`Phone: ${buyer.phone}`);
+  if (buyer.address) doc.text(buyer.address, { width: width / 2 });
+  if (buyer.gstin) doc.text(`GSTIN: ${buyer.gstin}`);
+  
+  // Item table
+  const columns = interState
+    ? [['Item', 170], ['HSN/SAC', 50], ['Qty', 30], ['Rate', 55], ['Disc.', 45], ['Taxable', 60], ['IGST', 105]]
+    : [['Item', 150], ['HSN/SAC', 50], ['Qty', 30], ['Rate', 55], ['Disc.', 45], ['Taxable', 60], ['CGST', 62], ['SGST', 63]];
+  const drawRow = (cells, bold = false) => {
+    const y = doc.y;
+    let x = left;
+    let height = 0;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    cells.forEach((cell, index) => {
+      const [, columnWidth] = columns[index];
+      doc.text(String(cell), x + 2, y, { width: columnWidth - 4, align: index === 0 ? 'left' : 'right' });
+      height = Math.max(height, doc.y - y);
+      x += columnWidth;
+    });
+    doc.y = y + height + 4;
+    doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).lineWidth(0.5).strokeColor('#cccccc').stroke();
+  };
+  const taxCell = (amount, rate) => `${Number(amount).toFixed(2)} @${rate}%`;
+  
+  doc.moveDown(1.5);
+  drawRow(columns.map(([title]) => title), true);
+  invoice.lines.forEach(line => drawRow([
+    line.description,
+    line.hsn_sac,
+    line.quantity,
+    Number(line.unit_price).toFixed(2),
+    Number(line.discount).toFixed(2),
+    Number(line.taxable_value).toFixed(2),
+    ...(interState
+      ? [taxCell(line.igst, line.gst_rate)]
+      : [taxCell(line.cgst, line.gst_rate / 2), taxCell(line.sgst, line.gst_rate / 2)])
+  ]));
+  
+  // Totals
+  doc.moveDown();
+  const totals = [
+    ['Discount', invoice.discount_total],
+    ['Taxable value', invoice.taxable_total],
+    ...(interState ? [['IGST', invoice.igst_total]] : [['CGST', invoice.cgst_total], ['SGST', invoice.sgst_total]])
+  ];
+  totals.forEach(([label, amount]) => {
+    doc.font('Helvetica').fontSize(9).text(`${label}: ${formatRupees(amount)}`, left, doc.y, { width, align: 'right' });
+  });
+  doc.font('Helvetica-Bold').fontSize(11).text(`Total (incl. GST): ${formatRupees(invoice.grand_total)}`, left, doc.y + 4, { width, align: 'right' });
+  
+  doc.moveDown(3);
+  doc.font('Helvetica').fontSize(8).fillColor('#666666')
+    .text('Prices include GST. This is a computer-generated invoice and does not need a signature.', left, doc.y, { width, align: 'center' });
+  
+  doc.end();
+});
+
+const sendInvoicePdf = async (res, invoice) => {
+  const pdf = await renderInvoicePdf(invoice);
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="invoice-${invoice.invoice_number.replace(/\//g, '-')}.pdf"`);
+  res.send(pdf);
+};
+
+// ============================================
+// 🗄️ FILE STORAGE (Uploads behind a pluggable adapter)
+// ============================================
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const STORAGE_BUCKET = process.env.STORAGE_BUCKET || 'private-uploads';
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 300;
+const FILE_URL_SECRET = process.env.FILE_URL_SECRET || process.env.JWT_SECRET || 'your-secret-key-change-this';
+
+// Keys are always generated by the server, never taken from the request.
+// Every adapter exposes: async put(key, buffer, contentType), get(key) → Buffer, remove(key)
+const storageAdapters = {
+  // Files on the server's disk under UPLOAD_DIR (local development and testing)
+  local: {
+    async put(key, buffer) {
+      const file = path.join(UPLOAD_DIR, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    async get(key) {
+      return fs.promises.readFile(path.join(UPLOAD_DIR, key));
+    },
+    async remove(key) {
+      await fs.promises.rm(path.join(UPLOAD_DIR, key), { force: true });
+    }
+  },
+
+  // Supabase Storage (S3-compatible object storage) in a private bucket
+  supabase: {
+    async put(key, buffer, contentType) {
+      const { error } = await supabase.storage.from(STORAGE_BUCKET).upload(key, buffer, { contentType, upsert: false });
+      if (error) throw error;
+    },
+    async get(key) {
+      const { data, error } = await supabase.storage.from(STORAGE_BUCKET).download(key);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+    async remove(key) {
+      const { error } = await supabase.storage.from(STORAGE_BUCKET).remove([key]);
+      if (error) throw error;
+    }
+  }
+};
+
+const registerStorageAdapter = (name, adapter) => {
+  if (!adapter || !['put', 'get', 'remove'].every(method => typeof adapter[method] === 'function')) {
+    throw new Error(`Storage adapter "${name}" must implement put, get and remove`);
+  }
+  storageAdapters[name] = adapter;
+};
+
+const storageDriverName = () => process.env.STORAGE_DRIVER || 'local';
+
+const getStorageAdapter = (name = storageDriverName()) => {
+  const adapter = storageAdapters[name];
+  
+  if (!adapter) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return adapter;
+};
+
+// Recognised by their leading bytes so a renamed file can't pass as an image
+const UPLOAD_SIGNATURES = {
+  'image/jpeg': { extension: 'jpg', matches: buf => buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  'image/png': { extension: 'png', matches: buf => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { extension: 'webp', matches: buf => buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP' },
+  'application/pdf': { extension: 'pdf', matches: buf => buf.subarray(0, 5).toString('latin1') === '%PDF-' }
+};
+
+// Decodes a base64 data URL and checks its real type and size.
+// Returns { buffer, contentType, extension } or { error }.
+const decodeUpload = (dataUrl, allowedTypes, maxBytes) => {
+  const match = /^data:([a-z]+\/[a-z0-9.+-]+);base64,(.+)$/i.exec(String(dataUrl || ''));
+  
+  if (!match) {
+    return { error: 'File must be sent as a base64 data URL' };
+  }
+  
+  const contentType = match[1].toLowerCase();
+  const signature = UPLOAD_SIGNATURES[contentType];
+  
+  if (!allowedTypes.includes(contentType) || !signature) {
+    return { error: `File type not allowed. Accepted: ${allowedTypes.map(type => UPLOAD_SIGNATURES[type].extension.toUpperCase()).join(', ')}` };
+  }
+  
+  const buffer = Buffer.from(match[2], 'base64');
+  
+  if (buffer.length === 0 || buffer.length > maxBytes) {
+    return { error: `File must be smaller than ${Math.round(maxBytes / (1024 * 1024))} MB` };
+  }
+  
+  if (!signature.matches(buffer)) {
+    return { error: 'File content does not match its type' };
+  }
+  
+  return { buffer, contentType, extension: signature.extension };
+};
+
+// Short-lived links for private files: /api/files/<kind>/<id>?expires=…&signature=…
+const fileUrlSignature = (kind, id, expires) => crypto
+  .createHmac('sha256', FILE_URL_SECRET)
+  .update(`${kind}:${id}:${expires}`)
+  .digest('hex');
+
+const signFileUrl = (kind, id, ttlSeconds = SIGNED_URL_TTL_SECONDS) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return {
+    url: `${PUBLIC_API_URL}/api/files/${kind}/${id}?expires=${expires}&signature=${fileUrlSignature(kind, id, expires)}`,
+    expires_at: new Date(expires * 1000)
+  };
+};
+
+const fileUrlValid = (kind, id, expires, signature) => {
+  if (!expires || !signature || Number(expires) * 1000 < Date.now()) return false;
+  
+  const expected = Buffer.from(fileUrlSignature(kind, id, expires), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// ============================================
+// 💻 LAPTOP RENTAL HELPERS
+// ============================================
+
+// Rental periods offered on the laptop page, in hours
+const RENTAL_PERIODS = {
+  '2_hours': { label: '2 Hours', hours: 2 },
+  '4_hours': { label: '4 Hours', hours: 4 },
+  '8_hours': { label: '8 Hours (1 Day)', hours: 8 },
+  '3_days': { label: '3 Days', hours: 72 },
+  '7_days': { label: '7 Days', hours: 168 }
+};
+
+// Bookings in these states hold the unit
+const RENTAL_BLOCKING_STATUSES = ['reserved', 'checked_out'];
+const RENTAL_MAX_ADVANCE_DAYS = parseInt(process.env.RENTAL_MAX_ADVANCE_DAYS, 10) || 60;
+const RENTAL_CALENDAR_MAX_DAYS = 62;
+
+// Returns after the grace period are charged per started hour at the booking's own hourly rate
+const RENTAL_LATE_GRACE_MINUTES = parseInt(process.env.RENTAL_LATE_GRACE_MINUTES, 10) || 15;
+const RENTAL_DEPOSIT_METHODS = ['cash', 'upi', 'card'];
+
+const computeRentalLateFee = (booking, returnedAt) => {
+  const lateMinutes = Math.max(0, Math.floor((returnedAt - new Date(booking.ends_at)) / 60000));
+  
+  if (lateMinutes <= RENTAL_LATE_GRACE_MINUTES) {
+    return { lateMinutes, lateFee: 0 };
+  }
+  
+  const hourlyRate = parseFloat(booking.price) / RENTAL_PERIODS[booking.period].hours;
+  const lateFee = Math.round(Math.ceil(lateMinutes / 60) * hourlyRate * 100) / 100;
+  
+  return { lateMinutes, lateFee };
+};
+
+// Condition photos arrive as base64 data URLs and go to the configured storage
+const CONDITION_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const CONDITION_PHOTO_MAX_BYTES = 3 * 1024 * 1024;
+const CONDITION_PHOTO_MAX_COUNT = 6;
+
+// Resolves to { photos } (stored file references) or { error }
+const saveConditionPhotos = async (bookingId, stage, photos = []) => {
+  if (!Array.isArray(photos)) {
+    return { error: 'Photos must be a list of images' };
+  }
+  
+  if (photos.length > CONDITION_PHOTO_MAX_COUNT) {
+    return { error: `At most ${CONDITION_PHOTO_MAX_COUNT} photos can be attached` };
+  }
+  
+  const decoded = [];
+  for (const photo of photos) {
+    const upload = decodeUpload(photo, CONDITION_PHOTO_TYPES, CONDITION_PHOTO_MAX_BYTES);
+    
+    if (upload.error) {
+      return { error: `Photo rejected: ${upload.error}` };
+    }
+    
+    decoded.push(upload);
+  }
+  
+  const driver = storageDriverName();
+  const storage = getStorageAdapter(driver);
+  
+  const saved = [];
+  try {
+    for (const { buffer, contentType, extension } of decoded) {
+      const id = crypto.randomUUID();
+      const key = `rentals/${bookingId}/${stage}-${id}.${extension}`;
+      await storage.put(key, buffer, contentType);
+      saved.push({ id, storage_driver: driver, key, content_type: contentType, size: buffer.length, uploaded_at: new Date() });
+    }
+  } catch (error) {
+    await removeConditionPhotos(saved);
+    throw error;
+  }
+  
+  return { photos: saved };
+};
+
+// For photos stored for a check-out / check-in that was then not saved; a file that
+// cannot be removed is only logged
+const removeConditionPhotos = (photos = []) => Promise.all(photos.map(photo =>
+  getStorageAdapter(photo.storage_driver).remove(photo.key)
+    .catch(error => console.error('Condition photo cleanup error:', error))
+));
+
+// ID proofs are deleted this many days after the rental is returned or cancelled
+const ID_PROOF_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+const ID_PROOF_MAX_BYTES = parseInt(process.env.ID_PROOF_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const ID_PROOF_RETENTION_DAYS = parseInt(process.env.ID_PROOF_RETENTION_DAYS, 10) || 30;
+const ID_PROOF_PURGE_INTERVAL_MINUTES = parseInt(process.env.ID_PROOF_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+// Starts the retention clock once a rental is closed
+const scheduleIdProofPurge = async (bookingId) => {
+  const { error } = await supabase
+    .from('rental_id_proofs')
+    .update({ purge_after: new Date(Date.now() + ID_PROOF_RETENTION_DAYS * 24 * 60 * 60 * 1000) })
+    .eq('booking_id', bookingId)
+    .is('deleted_at', null);
+  
+  if (error) throw error;
+};
+
+const deleteIdProof = async (proof) => {
+  await getStorageAdapter(proof.storage_driver).remove(proof.storage_key);
+  
+  const { error } = await supabase
+    .from('rental_id_proofs')
+    .update({ deleted_at: new Date() })
+    .eq('id', proof.id);
+  
+  if (error) throw error;
+};
+
+// Bookings left in 'reserved' are never closed, so their retention clock runs from the end of the rental window
+const scheduleAbandonedIdProofPurge = async () => {
+  const cutoff = new Date(Date.now() - ID_PROOF_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  
+  const { data: proofs, error } = await supabase
+    .from('rental_id_proofs')
+    .select('id, rental_bookings!inner(status, ends_at)')
+    .is('deleted_at', null)
+    .is('purge_after', null)
+    .eq('rental_bookings.status', 'reserved')
+    .lt('rental_bookings.ends_at', cutoff.toISOString())
+    .limit(100);
+  
+  if (error) throw error;
+  
+  if (!proofs || proofs.length === 0) return;
+  
+  const { error: updateError } = await supabase
+    .from('rental_id_proofs')
+    .update({ purge_after: new Date() })
+    .in('id', proofs.map(proof => proof.id));
+  
+  if (updateError) throw updateError;
+};
+
+const purgeExpiredIdProofs = async () => {
+  await scheduleAbandonedIdProofPurge();
+  
+  const { data: proofs, error } = await supabase
+    .from('rental_id_proofs')
+    .select('id, storage_driver, storage_key')
+    .is('deleted_at', null)
+    .lt('purge_after', new Date().toISOString())
+    .limit(100);
+  
+  if (error) throw error;
+  
+  for (const proof of proofs || []) {
+    await deleteIdProof(proof);
+  }
+  
+  return (proofs || []).length;
+};
+
+const rentalEndTime = (startsAt, period) => new Date(startsAt.getTime() + RENTAL_PERIODS[period].hours * 60 * 60 * 1000);
+
+// Validates a requested rental window. Returns { startsAt, endsAt } or { error }.
+const parseRentalWindow = (start, period) => {
+  if (!RENTAL_PERIODS[period]) {
+    return { error: `Rental period must be one of: ${Object.keys(RENTAL_PERIODS).join(', ')}` };
+  }
+  
+  const startsAt = new Date(start);
+  
+  if (!start || isNaN(startsAt.getTime())) {
+    return { error: 'A valid rental start time is required' };
+  }
+  
+  // Small grace so "now" from the customer's clock still counts
+  if (startsAt.getTime() < Date.now() - 15 * 60 * 1000) {
+    return { error: 'Rental start time cannot be in the past' };
+  }
+  
+  if (startsAt.getTime() > Date.now() + RENTAL_MAX_ADVANCE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Rentals can be booked at most ${RENTAL_MAX_ADVANCE_DAYS} days ahead` };
+  }
+  
+  return { startsAt, endsAt: rentalEndTime(startsAt, period) };
+};
+
+// Request rule for { '2_hours': 199, '3_days': 1499 }: at least one known period, each with a price
+const RENTAL_RATES_FIELD = withLabel('Rates', (value, path, location) => {
+  const periods = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+  
+  if (!periods.length || periods.some(period => !RENTAL_PERIODS[period])) {
+    return { error: `Rates must map periods (${Object.keys(RENTAL_PERIODS).join(', ')}) to prices`, code: 'invalid_format' };
+  }
+  
+  const rules = Object.fromEntries(periods.map(period => [period, amountField(`${RENTAL_PERIODS[period].label} price`)]));
+  return objectField('Rates', rules)(value, path, location);
+});
+
+// Rentable units of a model and their live bookings overlapping [from, to)
+const loadModelSchedule = async (modelId, from, to) => {
+  const { data: units, error } = await supabase
+    .from('rental_units')
+    .select('id, serial_number')
+    .eq('model_id', modelId)
+    .eq('status', 'available');
+  
+  if (error) throw error;
+  
+  if (!units || units.length === 0) {
+    return { units: [], bookings: [] };
+  }
+  
+  const { data: bookings, error: bookingsError } = await supabase
+    .from('rental_bookings')
+    .select('unit_id, starts_at, ends_at')
+    .in('unit_id', units.map(unit => unit.id))
+    .in('status', RENTAL_BLOCKING_STATUSES)
+    .lt('starts_at', to.toISOString())
+    .gt('ends_at', from.toISOString())
+    .order('starts_at', { ascending: true });
+  
+  if (bookingsError) throw bookingsError;
+  
+  return { units, bookings: bookings || [] };
+};
+
+const freeUnitsFor = ({ units, bookings }, startsAt, endsAt) => units.filter(unit => !bookings.some(booking =>
+  booking.unit_id === unit.id &&
+  new Date(booking.starts_at) < endsAt &&
+  new Date(booking.ends_at) > startsAt
+));
+
+const findOrCreateCustomerByPhone = async (name, phone) => {
+  const { data: existing, error: existingError } = await supabase
+    .from('customers')
+    .select('id')
+    .eq('phone', phone)
+    .maybeSingle();
+  
+  if (existingError) throw existingError;
+  
+  if (existing) return existing;
+  
+  const { data: customer, error } = await supabase
+    .from('customers')
+    .insert([{ name, phone, created_at: new Date() }])
+    .select('id')
+    .single();
+  
+  if (error) throw error;
+  return customer;
+};
+
+// ============================================
+// 💳 PAYMENT GATEWAYS (UPI / Card)
+// ============================================
+
+// Every gateway exposes:
+//   createIntent({ payment, order, method }) -> { providerOrderId, redirectUrl, clientData }
+//   refund({ payment, amount }) -> { providerRefundId }
+//   webhookSecret -> secret used to sign webhook bodies (HMAC-SHA256, hex)
+// Webhooks use the Razorpay event format, so the mock gateway exercises the real parsing path.
+const PUBLIC_API_URL = process.env.PUBLIC_API_URL || `http://localhost:${PORT}`;
+
+const paymentGateways = {
+  razorpay: {
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+    
+    async request(endpoint, body) {
+      const { RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET } = process.env;
+      const response = await fetch(`https://api.razorpay.com/v1${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': 'Basic ' + Buffer.from(`${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`).toString('base64'),
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+      
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(`Razorpay error: ${(result.error && result.error.description) || response.status}`);
+      }
+      return result;
+    },
+    
+    async createIntent({ payment, method }) {
+      const gatewayOrder = await this.request('/orders', {
+        amount: Math.round(payment.amount * 100),
+        currency: payment.currency,
+        receipt: payment.id,
+        notes: { order_id: payment.order_id, method }
+      });
+      
+      return {
+        providerOrderId: gatewayOrder.id,
+        redirectUrl: null,
+        clientData: {
+          key_id: process.env.RAZORPAY_KEY_ID,
+          order_id: gatewayOrder.id,
+          amount: gatewayOrder.amount,
+          currency: gatewayOrder.currency,
+          method
+        }
+      };
+    },
+    
+    async refund({ payment, amount }) {
+      const refund = await this.request(`/payments/${payment.provider_payment_id}/refund`, {
+        amount: Math.round(amount * 100),
+        notes: { payment_id: payment.id }
+      });
+      return { providerRefundId: refund.id };
+    }
+  },
+
+  // Local simulator: hosts a checkout page and sends signed webhooks back to this server
+  mock: {
+    webhookSecret: process.env.MOCK_GATEWAY_WEBHOOK_SECRET,
+    
+    async createIntent({ payment, method }) {
+      const providerOrderId = `mock_order_${crypto.randomBytes(8).toString('hex')}`;
+      
+      return {
+        providerOrderId,
+        redirectUrl: `${PUBLIC_API_URL}/api/mock-gateway/checkout/${providerOrderId}`,
+        clientData: {
+          order_id: providerOrderId,
+          amount: Math.round(payment.amount * 100),
+          currency: payment.currency,
+          method
+        }
+      };
+    },
+    
+    async refund({ payment, amount }) {
+      const providerRefundId = `mock_rfnd_${crypto.randomBytes(8).toString('hex')}`;
+      
+      // Real gateways confirm refunds asynchronously; so does the mock
+      setTimeout(() => {
+        sendMockWebhook('refund.processed', {
+          refund: {
+            entity: {
+              id: providerRefundId,
+              payment_id: payment.provider_payment_id,
+              amount: Math.round(amount * 100),
+              status: 'processed'
+            }
+          }
+        }).catch(error => console.error('Mock refund webhook error:', error));
+      }, 1000);
+      
+      return { providerRefundId };
+    }
+  }
+};
+
+// The mock lets anyone mark a payment captured, so it has to be asked for and never runs in production
+const MOCK_GATEWAY_ENABLED = process.env.PAYMENT_GATEWAY === 'mock' && process.env.NODE_ENV !== 'production';
+
+const PAYMENT_WEBHOOK_SECRET_VARS = {
+  razorpay: 'RAZORPAY_WEBHOOK_SECRET',
+  mock: 'MOCK_GATEWAY_WEBHOOK_SECRET'
+};
+
+// Startup check: a gateway must be chosen explicitly and have its webhook secret
+const checkPaymentConfig = () => {
+  const name = process.env.PAYMENT_GATEWAY;
+  
+  if (!name) return ['PAYMENT_GATEWAY is not set (razorpay, or mock for local testing)'];
+  if (!paymentGateways[name]) return [`Unknown PAYMENT_GATEWAY: ${name}`];
+  if (name === 'mock' && !MOCK_GATEWAY_ENABLED) return ['PAYMENT_GATEWAY=mock cannot be used with NODE_ENV=production'];
+  if (!paymentGateways[name].webhookSecret) return [`${PAYMENT_WEBHOOK_SECRET_VARS[name]} is not set`];
+  return [];
+};
+
+const getPaymentGateway = () => {
+  const name = process.env.PAYMENT_GATEWAY;
+  const gateway = paymentGateways[name];
+  
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return { name, gateway };
+};
+
+const signWebhookBody = (rawBody, secret) => {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+const webhookSignatureValid = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+  
+  const expected = Buffer.from(signWebhookBody(rawBody, secret), 'hex');
+  const actual = Buffer.from(String(signature), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Signs and delivers an event to our own webhook endpoint exactly as the gateway would
+const sendMockWebhook = async (event, payload) => {
+  const body = JSON.stringify({ event, payload, created_at: Math.floor(Date.now() / 1000) });
+  
+  const response = await fetch(`${PUBLIC_API_URL}/api/payments/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Razorpay-Signature': signWebhookBody(body, paymentGateways.mock.webhookSecret),
+      'X-Razorpay-Event-Id': `mock_evt_${crypto.randomBytes(8).toString('hex')}`
+    },
+    body
+  });
+  
+  return response.json();
+};
+
+// Recomputes orders.payment_status from its payment attempts
+const syncOrderPaymentStatus = async (orderId) => {
+  const { data: payments, error } = await supabase
+    .from('payments')
+    .select('status')
+    .eq('order_id', orderId);
+  
+  if (error) throw error;
+  
+  const statuses = (payments || []).map(payment => payment.status);
+  let paymentStatus = 'pending';
+  
+  if (statuses.includes('refunded')) paymentStatus = 'refunded';
+  else if (statuses.includes('partially_refunded')) paymentStatus = 'partially_refunded';
+  else if (statuses.some(status => status === 'succeeded' || status === 'refund_pending')) paymentStatus = 'paid';
+  else if (statuses.length && statuses.every(status => status === 'failed')) paymentStatus = 'failed';
+  
+  await supabase
+    .from('orders')
+    .update({ payment_status: paymentStatus, updated_at: new Date() })
+    .eq('id', orderId);
+  
+  return paymentStatus;
+};
+
+// A payment in one of these has been captured and (some of it) handed back
+const REFUND_PAYMENT_STATUSES = ['refund_pending', 'partially_refunded', 'refunded'];
+
+// Applies a verified webhook event to the matching payment record.
+// Lookup errors are thrown so the webhook answers 500 and the gateway retries.
+const applyPaymentEvent = async (event, payload) => {
+  const paymentEntity = payload.payment && payload.payment.entity;
+  const refundEntity = payload.refund && payload.refund.entity;
+  let payment = null;
+  
+  if (paymentEntity) {
+    const { data, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('provider_order_id', paymentEntity.order_id)
+      .maybeSingle();
+    if (error) throw error;
+    payment = data;
+  } else if (refundEntity) {
+    const { data, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('provider_payment_id', refundEntity.payment_id)
+      .maybeSingle();
+    if (error) throw error;
+    payment = data;
+  }
+  
+  if (!payment) return null;
+  
+  if (event === 'refund.processed') {
+    // The addition happens in SQL so refunds processed at the same time both count
+    const { data: refundedPayment, error } = await supabase.rpc('record_payment_refund', {
+      p_payment_id: payment.id,
+      p_amount: refundEntity.amount / 100
+    });
+    
+    if (error) throw error;
+    
+    await syncOrderPaymentStatus(payment.order_id);
+    return refundedPayment;
+  }
+  
+  const updateData = { updated_at: new Date() };
+  
+  switch (event) {
+    case 'payment.captured':
+      // A late or redelivered capture must not undo a refund
+      if (REFUND_PAYMENT_STATUSES.includes(payment.status)) return payment;
+      
+      // Never mark an order paid for a different amount than we asked for
+      if (paymentEntity.amount !== Math.round(payment.amount * 100)) {
+        updateData.status = 'failed';
+        updateData.failure_reason = `Amount mismatch: expected ${Math.round(payment.amount * 100)}, received ${paymentEntity.amount}`;
+      } else {
+        updateData.status = 'succeeded';
+        updateData.provider_payment_id = paymentEntity.id;
+        updateData.failure_reason = null;
+      }
+      break;
+    
+    case 'payment.failed':
+      if (payment.status === 'succeeded' || REFUND_PAYMENT_STATUSES.includes(payment.status)) return payment;
+      updateData.status = 'failed';
+      updateData.provider_payment_id = paymentEntity.id;
+      updateData.failure_reason = paymentEntity.error_description || 'Payment failed';
+      break;
+    
+    case 'refund.failed':
+      updateData.refund_status = 'failed';
+      updateData.status = parseFloat(payment.refunded_amount || 0) > 0 ? 'partially_refunded' : 'succeeded';
+      break;
+    
+    default:
+      return payment;
+  }
+  
+  let query = supabase
+    .from('payments')
+    .update(updateData)
+    .eq('id', payment.id);
+  
+  // The status read above may be stale: a refund started in between is left alone
+  if (event !== 'refund.failed') {
+    query = query.not('status', 'in', `(${REFUND_PAYMENT_STATUSES.join(',')})`);
+  }
+  
+  const { data: updatedPayment, error } = await query
+    .select()
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  if (!updatedPayment) return payment;
+  
+  await syncOrderPaymentStatus(payment.order_id);
+  return updatedPayment;
+};
+
+// ============================================
+// 🚀 API ROUTES START HERE
+// ============================================
+
+// 📌 1. HEALTH CHECK
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    success: true, 
+    message: 'Step\'sEazy API is running 🚀',
+    timestamp: new Date().toISOString(),
+    version: '1.0.0'
+  });
+});
+
+// 📌 2. USER REGISTRATION
+app.post('/api/register', validate({
+  body: {
+    name: textField('Name', 100),
+    phone: phoneField(),
+    email: optional(emailField()),
+    password: passwordField('Password')
+  }
+}), async (req, res) => {
+  try {
+    const { name, phone, email, password } = req.body;
+    
+    // Check if user already exists
+    const { data: existingUser } = await supabase
+      .from('customers')
+      .select('id')
+      .eq('phone', phone)
+      .single();
+    
+    if (existingUser) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'User with this phone already exists' 
+      });
+    }
+    
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+    
+    // Create user
+    const { data: user, error } = await supabase
+      .from('customers')
+      .insert([{
+        name,
+        phone,
+        email: email || null,
+        password: hashedPassword,
+        created_at: new Date()
+      }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    // Generate JWT token
+    const token = jwt.sign(
+      { 
+        id: user.id, 
+        phone: user.phone, 
+        name: user.name,
+        role: 'customer' 
+      },
+      process.env.JWT_SECRET || 'your-secret-key-change-this',
+      { expiresIn: '7d' }
+    );
+    
+    // Remove password from response
+    delete user.password;
+    
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful',
+      token,
+      user
+    });
+    
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// 📌 3. USER LOGIN
+app.post('/api/login', validate({
+  body: {
+    phone: phoneField(),
+    password: passwordField('Password', 1)
+  }
+}), async (req, res) => {
+  try {
+    const { phone, password } = req.body;
+    
+    // Find user by phone
+    const { data: user, error } = await supabase
+      .from('customers')
+      .select('*')
+      .eq('phone', phone)
+      .single();
+    
+    if (error || !user) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid phone or password' 
+      });
+    }
+    
+    // Check password
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid phone or password' 
+      });
+    }
+    
+    // Generate JWT token
+    const token = jwt.sign(
+      { 
+        id: user.id, 
+        phone: user.phone, 
+        name: user.name,
+        role: 'customer' 
+      },
+      process.env.JWT_SECRET || 'your-secret-key-change-this',
+      { expiresIn: '7d' }
+    );
+    
+    // Remove password from response
+    delete user.password;
+    
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      user
+    });
+    
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// 📌 4. ADMIN LOGIN (Employees: admin, manager, technician, delivery)
+app.post('/api/admin/login', validate({
+  body: {
+    phone: optional(phoneField()),
+    email: optional(emailField()),
+    password: passwordField('Password', 1)
+  }
+}), async (req, res) => {
+  try {
+    const { phone, email, password } = req.body;
+    
+    if (!phone && !email) {
+      return rejectField(res, 'phone', 'Phone or email is required');
+    }
+    
+    // Find employee by phone or email
+    let query = supabase
+      .from('employees')
+      .select('*');
+    
+    query = phone
+      ? query.eq('phone', phone)
+      : query.ilike('email', escapeLikePattern(email));
+    
+    const { data: employee, error } = await query.maybeSingle();
+    
+    if (error) throw error;
+    
+    // Same response for unknown, inactive and password-less accounts
+    const validPassword = employee && employee.is_active && employee.password &&
+      await bcrypt.compare(password, employee.password);
+    
+    if (!validPassword) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid admin credentials' 
+      });
+    }
+    
+    await supabase
+      .from('employees')
+      .update({ last_login_at: new Date() })
+      .eq('id', employee.id);
+    
+    const token = jwt.sign(
+      { 
+        id: employee.id, 
+        phone: employee.phone, 
+        name: employee.name,
+        role: employee.role,
+        type: 'employee'
+      },
+      process.env.JWT_SECRET || 'your-secret-key-change-this',
+      { expiresIn: '12h' }
+    );
+    
+    res.json({
+      success: true,
+      message: 'Admin login successful',
+      token,
+      user: {
+        id: employee.id,
+        name: employee.name,
+        phone: employee.phone,
+        email: employee.email,
+        role: employee.role,
+        permissions: ROLE_PERMISSIONS[employee.role] || []
+      }
+    });
+    
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// 📌 5. GET ALL PRODUCTS
+app.get('/api/products', validate({
+  query: {
+    category: optional(textField('Category', 50)),
+    search: optional(textField('Search text', 100)),
+    device: optional(textField('Device', 100)),
+    ...pageQuery(50)
+  }
+}), async (req, res) => {
+  try {
+    const { category, search, device, page, limit } = req.query;
+    
+    let query = supabase
+      .from('products')
+      .select(`*, sale_price, product_variants (${PRODUCT_VARIANT_FIELDS})`, { count: 'exact' })
+      .eq('is_active', true);
+    
+    // Apply filters
+    if (category && category !== 'all') {
+      query = query.eq('category', category);
+    }
+    
+    // ?device=iPhone 13 keeps only products with a variant that fits that phone
+    let fittingVariantIds = null;
+    let matchedDevices = null;
+    
+    if (device) {
+      const fit = await deviceFilter(device);
+      const productIds = fit.productIds;
+      fittingVariantIds = fit.variantIds;
+      matchedDevices = fit.matchedDevices;
+      
+      if (!productIds.length) {
+        return res.json({
+          success: true,
+          data: [],
+          device: { query: device, matched: matchedDevices },
+          pagination: { page, limit, total: 0, pages: 0 }
+        });
+      }
+      
+      query = query.in('id', productIds);
+    }
+    
+    if (search) {
+      query = query.ilike('name', `%${escapeLikePattern(search)}%`);
+    }
+    
+    // Pagination
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+    
+    const { data: products, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      data: (products || []).map(product => withVariants(product, fittingVariantIds)),
+      device: matchedDevices ? { query: device, matched: matchedDevices } : undefined,
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        pages: Math.ceil((count || 0) / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch products' 
+    });
+  }
+});
+
+// 📌 76. SEARCH PRODUCTS (full-text + typo tolerant, with facets)
+// Registered before /api/products/:id so "search" is not taken for a product id
+app.get('/api/products/search', validate({
+  query: {
+    q: textField('Search text', 100),
+    category: optional(textField('Category', 50)),
+    price_band: optional(oneOfField('Price band', PRODUCT_PRICE_BANDS.map(band => band.key))),
+    device: optional(textField('Device', 100)),
+    ...pageQuery(50)
+  }
+}), async (req, res) => {
+  try {
+    const { q, category, price_band, device, page, limit } = req.query;
+    
+    if (q.length < 2) {
+      return rejectField(res, 'q', 'Search text must be between 2 and 100 characters', 'too_short', 'query');
+    }
+    
+    let fit = null;
+    if (device) {
+      fit = await deviceFilter(device);
+    }
+    
+    const { data: search, error } = await supabase.rpc('search_products', {
+      p_query: q,
+      p_category: category && category !== 'all' ? category : null,
+      p_price_band: price_band || null,
+      p_price_bands: PRODUCT_PRICE_BANDS.map(({ key, min, max }) => ({ key, min, max })),
+      p_product_ids: fit ? fit.productIds : null,
+      p_limit: limit,
+      p_offset: (page - 1) * limit
+    });
+    
+    if (error) throw error;
+    
+    const results = search.results || [];
+    
+    // Variants and sale prices come from the tables so stock and promotions are live;
+    // highlights become safe HTML
+    const { data: live, error: liveError } = results.length
+      ? await supabase
+        .from('products')
+        .select(`id, sale_price, product_variants (${PRODUCT_VARIANT_FIELDS})`)
+        .in('id', results.map(product => product.id))
+      : { data: [] };
+    
+    if (liveError) throw liveError;
+    
+    const liveById = Object.fromEntries((live || []).map(row => [row.id, row]));
+    
+    const data = results.map(({ name_highlight, description_highlight, ...product }) => ({
+      ...withVariants(
+        {
+          ...product,
+          sale_price: (liveById[product.id] || {}).sale_price ?? null,
+          product_variants: (liveById[product.id] || {}).product_variants || []
+        },
+        fit ? fit.variantIds : null
+      ),
+      highlight: {
+        name: highlightToHtml(name_highlight),
+        description: highlightToHtml(description_highlight)
+      }
+    }));
+    
+    const total = search.total || 0;
+    
+    res.json({
+      success: true,
+      query: q,
+      data,
+      facets: {
+        category: Object.entries(search.facets.category || {})
+          .map(([value, count]) => ({ value, count }))
+          .sort((a, b) => b.count - a.count),
+        price_band: PRODUCT_PRICE_BANDS.map(band => ({
+          key: band.key,
+          label: band.label,
+          count: (search.facets.price_band || {})[band.key] || 0
+        }))
+      },
+      device: fit ? { query: device, matched: fit.matchedDevices } : undefined,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Search products error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to search products' 
+    });
+  }
+});
+
+// 📌 6. GET SINGLE PRODUCT
+app.get('/api/products/:id', validate({
+  params: { id: uuidField('Product ID') }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: product, error } = await supabase
+      .from('products')
+      .select(`*, sale_price, product_variants (${PRODUCT_VARIANT_FIELDS}, variant_compatibility (device_models (id, brand, model)))`)
+      .eq('id', id)
+      .single();
+    
+    if (error) throw error;
+    
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Product not found' 
+      });
+    }
+    
+    const { variants, ...rest } = withVariants(product);
+    
+    res.json({
+      success: true,
+      data: {
+        ...rest,
+        variants: variants.map(({ variant_compatibility: fits, ...variant }) => ({
+          ...variant,
+          compatible_devices: (fits || []).map(row => row.device_models).filter(Boolean)
+        }))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get product error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch product' 
+    });
+  }
+});
+
+// 📌 7. CREATE ORDER (Authenticated)
+app.post('/api/orders', authenticateToken, validate({
+  body: {
+    items: ORDER_ITEMS_FIELD,
+    payment_method: optional(oneOfField('Payment method', PAYMENT_METHODS)),
+    delivery_address: optional(textField('Delivery address', 500)),
+    coupon_code: optional(textField('Coupon code', 32)),
+    verification_token: VERIFICATION_TOKEN_FIELD
+  }
+}), requireOtpVerification(req => req.user.phone, 'order', { claim: false }), async (req, res) => {
+  try {
+    const { items, payment_method, delivery_address, coupon_code } = req.body;
+    const customer_id = req.user.id;
+    
+    // Client-sent prices and totals are ignored; only product IDs and quantities are used
+    const orderItems = normalizeOrderItems(items);
+    
+    // Prices, stock check, order, items and stock decrement in one transaction
+    const order = await placeOrder({
+      otpId: req.otpVerification.otp_id,
+      customerId: customer_id,
+      items: orderItems,
+      paymentMethod: payment_method,
+      deliveryAddress: delivery_address,
+      couponCode: coupon_code
+    });
+    
+    appEvents.emit('order.created', { order });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      order_id: order.id,
+      data: order,
+      // Online orders stay unpaid until the gateway confirms via webhook
+      payment_required: order.payment_method !== 'cod'
+    });
+    
+  } catch (error) {
+    const orderError = orderErrorFromDatabase(error);
+    if (orderError) {
+      return res.status(orderError.status).json(orderError.body);
+    }
+    
+    console.error('Create order error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create order' 
+    });
+  }
+});
+
+// 📌 8. GET USER ORDERS
+app.get('/api/my-orders', authenticateToken, async (req, res) => {
+  try {
+    const customer_id = req.user.id;
+    
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select(`
+        *,
+        order_items (
+          quantity,
+          price,
+          products (
+            name,
+            images
+          ),
+          product_variants (
+            name,
+            attributes
+          )
+        )
+      `)
+      .eq('customer_id', customer_id)
+      .order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      data: orders || []
+    });
+    
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch orders' 
+    });
+  }
+});
+
+// 📌 9. CART OPERATIONS
+// Add to cart
+app.post('/api/cart', authenticateToken, validate({
+  body: {
+    product_id: uuidField('Product ID'),
+    variant_id: optional(uuidField('Variant ID'), null),
+    quantity: optional(integerField('Quantity', { min: 1, max: 100 }), 1)
+  }
+}), async (req, res) => {
+  try {
+    const { product_id, variant_id, quantity } = req.body;
+    const customer_id = req.user.id;
+    
+    // Check the product (and chosen variant) exists
+    const sellable = await loadSellableItem(product_id, variant_id);
+    if (sellable.error) {
+      return res.status(sellable.status).json({ success: false, error: sellable.error });
+    }
+    
+    // Check if already in cart
+    const { data: existingItem } = await matchVariant(
+      supabase
+        .from('cart')
+        .select('*')
+        .eq('customer_id', customer_id)
+        .eq('product_id', product_id),
+      variant_id
+    ).maybeSingle();
+    
+    let result;
+    if (existingItem) {
+      // Update quantity
+      const { data, error } = await supabase
+        .from('cart')
+        .update({ quantity: existingItem.quantity + quantity })
+        .eq('id', existingItem.id)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      result = data;
+    } else {
+      // Add new item
+      const { data, error } = await supabase
+        .from('cart')
+        .insert([{ customer_id, product_id, variant_id, quantity }])
+        .select()
+        .single();
+      
+      if (error) throw error;
+      result = data;
+    }
+    
+    res.json({
+      success: true,
+      message: 'Item added to cart',
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Add to cart error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to add to cart' 
+    });
+  }
+});
+
+// Get cart items
+app.get('/api/cart', authenticateToken, async (req, res) => {
+  try {
+    const customer_id = req.user.id;
+    
+    const { data: cartItems, error } = await supabase
+      .from('cart')
+      .select(`
+        quantity,
+        variant_id,
+        products (
+          id,
+          name,
+          price,
+          sale_price,
+          images,
+          stock_quantity
+        ),
+        product_variants (
+          name,
+          attributes,
+          price,
+          sale_price,
+          stock_quantity
+        )
+      `)
+      .eq('customer_id', customer_id);
+    
+    if (error) throw error;
+    
+    // Format response; a chosen variant's price and stock override the product's
+    const formattedItems = (cartItems || []).map(item => ({
+      ...item.products,
+      ...(item.product_variants ? {
+        variant_id: item.variant_id,
+        variant_name: item.product_variants.name,
+        attributes: item.product_variants.attributes,
+        price: item.product_variants.price,
+        sale_price: item.product_variants.sale_price,
+        stock_quantity: item.product_variants.stock_quantity
+      } : {}),
+      cart_quantity: item.quantity
+    }));
+    
+    res.json({
+      success: true,
+      data: formattedItems
+    });
+    
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch cart' 
+    });
+  }
+});
+
+// Remove from cart
+app.delete('/api/cart/:product_id', authenticateToken, validate({
+  params: { product_id: uuidField('Product ID') },
+  query: { variant_id: optional(uuidField('Variant ID'), null) }
+}), async (req, res) => {
+  try {
+    const { product_id } = req.params;
+    const customer_id = req.user.id;
+    
+    // ?variant_id= picks one option of a product sold by variant
+    const { error } = await matchVariant(
+      supabase
+        .from('cart')
+        .delete()
+        .eq('customer_id', customer_id)
+        .eq('product_id', product_id),
+      req.query.variant_id
+    );
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      message: 'Item removed from cart'
+    });
+    
+  } catch (error) {
+    console.error('Remove from cart error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to remove from cart' 
+    });
+  }
+});
+
+// Set exact quantity
+app.put('/api/cart/:product_id', authenticateToken, validate({
+  params: { product_id: uuidField('Product ID') },
+  body: {
+    variant_id: optional(uuidField('Variant ID'), null),
+    quantity: integerField('Quantity', { min: 1, max: 100 })
+  }
+}), async (req, res) => {
+  try {
+    const { product_id } = req.params;
+    const { variant_id, quantity } = req.body;
+    const customer_id = req.user.id;
+    
+    const sellable = await loadSellableItem(product_id, variant_id);
+    if (sellable.error) {
+      return res.status(sellable.status).json({ success: false, error: sellable.error });
+    }
+    
+    if (quantity > sellable.item.stock_quantity) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Only ${sellable.item.stock_quantity} in stock`,
+        available_quantity: sellable.item.stock_quantity
+      });
+    }
+    
+    const { data, error } = await supabase
+      .from('cart')
+      .upsert([{ customer_id, product_id, variant_id, quantity }], { onConflict: 'customer_id,product_id,variant_id' })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      message: 'Cart updated',
+      data
+    });
+    
+  } catch (error) {
+    console.error('Update cart error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update cart' 
+    });
+  }
+});
+
+// Clear cart
+app.delete('/api/cart', authenticateToken, async (req, res) => {
+  try {
+    const customer_id = req.user.id;
+    
+    const { error } = await supabase
+      .from('cart')
+      .delete()
+      .eq('customer_id', customer_id);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      message: 'Cart cleared'
+    });
+    
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to clear cart' 
+    });
+  }
+});
+
+// Checkout: cart -> order (requires OTP)
+app.post('/api/cart/checkout', authenticateToken, validate({
+  body: {
+    delivery_address: textField('Delivery address', 500),
+    payment_method: optional(oneOfField('Payment method', PAYMENT_METHODS), 'cod'),
+    expected_total: optional(amountField('Expected total')),
+    coupon_code: optional(textField('Coupon code', 32)),
+    verification_token: VERIFICATION_TOKEN_FIELD
+  }
+}), async (req, res) => {
+  try {
+    const { delivery_address, payment_method, expected_total, coupon_code } = req.body;
+    const customer_id = req.user.id;
+    
+    // Validate every line against live stock and price before touching anything
+    const { data: cartItems, error: cartError } = await supabase
+      .from('cart')
+      .select(`
+        product_id,
+        variant_id,
+        quantity,
+        products (
+          name,
+          price,
+          stock_quantity,
+          is_active
+        ),
+        product_variants (
+          name,
+          price,
+          stock_quantity,
+          is_active
+        )
+      `)
+      .eq('customer_id', customer_id);
+    
+    if (cartError) throw cartError;
+    
+    if (!cartItems || !cartItems.length) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Your cart is empty' 
+      });
+    }
+    
+    const issues = [];
+    
+    cartItems.forEach(item => {
+      const variant = item.product_variants;
+      const product = item.products && variant
+        ? { ...variant, name: `${item.products.name} - ${variant.name}`, is_active: item.products.is_active && variant.is_active }
+        : item.products;
+      
+      if (!product || !product.is_active) {
+        issues.push({ product_id: item.product_id, variant_id: item.variant_id || undefined, issue: 'unavailable' });
+      } else if (product.stock_quantity < item.quantity) {
+        issues.push({ 
+          product_id: item.product_id, 
+          variant_id: item.variant_id || undefined,
+          name: product.name,
+          issue: 'insufficient_stock', 
+          requested_quantity: item.quantity,
+          available_quantity: product.stock_quantity 
+        });
+      }
+    });
+    
+    if (issues.length) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Some items in your cart are no longer available',
+        issues
+      });
+    }
+    
+    // Same sale prices and coupon rules checkout_cart will apply
+    const quote = await quoteOrder({
+      customerId: customer_id,
+      orderType: 'shop',
+      items: cartItems.map(item => ({ product_id: item.product_id, variant_id: item.variant_id, quantity: item.quantity })),
+      couponCode: coupon_code
+    });
+    
+    // The customer confirmed a total; refuse to charge a different one
+    if (expected_total !== undefined && Math.abs(parseFloat(expected_total) - quote.total) >= 0.01) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Prices have changed since you viewed your cart',
+        current_total: quote.total,
+        subtotal: quote.subtotal,
+        discount: quote.discount
+      });
+    }
+    
+    const verification = await checkOtpVerification(req, req.user.phone);
+    if (verification.error) {
+      return res.status(verification.status).json({ success: false, error: verification.error });
+    }
+    
+    // Order, items, stock, cart clearing and the OTP claim in one transaction
+    const { data: order, error } = await supabase.rpc('checkout_verified_cart', {
+      p_otp_id: verification.payload.otp_id,
+      p_customer_id: customer_id,
+      p_payment_method: payment_method,
+      p_delivery_address: delivery_address,
+      p_coupon_code: coupon_code || null
+    });
+    
+    if (error) throw error;
+    
+    appEvents.emit('order.created', { order });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      order_id: order.id,
+      data: order,
+      payment_required: order.payment_method !== 'cod'
+    });
+    
+  } catch (error) {
+    const orderError = orderErrorFromDatabase(error);
+    if (orderError) {
+      return res.status(orderError.status).json(orderError.body);
+    }
+    
+    console.error('Checkout error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to checkout cart' 
+    });
+  }
+});
+
+// 📌 10. CREATE SERVICE REQUEST
+app.post('/api/services', authenticateToken, validate({
+  body: {
+    device_type: textField('Device type', 100),
+    problem_description: textField('Problem description', 2000),
+    estimated_cost: optional(amountField('Estimated cost')),
+    service_type: optional(textField('Service type', 100))
+  }
+}), async (req, res) => {
+  try {
+    const { device_type, problem_description, estimated_cost, service_type } = req.body;
+    const customer_id = req.user.id;
+    
+    const { data: service, error } = await supabase
+      .from('services')
+      .insert([{
+        customer_id,
+        device_type,
+        problem_description,
+        service_type: service_type || null,
+        estimated_cost: estimated_cost || 0,
+        status: 'received',
+        status_changed_by: customer_id,
+        status_changed_by_role: req.user.role,
+        created_at: new Date()
+      }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    appEvents.emit('service.created', { service });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Service request created successfully',
+      data: service
+    });
+    
+  } catch (error) {
+    console.error('Create service error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create service request' 
+    });
+  }
+});
+
+// 📌 11. GET USER SERVICES
+app.get('/api/my-services', authenticateToken, async (req, res) => {
+  try {
+    const customer_id = req.user.id;
+    
+    const { data: services, error } = await supabase
+      .from('services')
+      .select(`
+        *,
+        service_status_history (
+          to_status,
+          note,
+          created_at
+        ),
+        service_parts (
+          part_name,
+          quantity,
+          unit_cost
+        )
+      `)
+      .eq('customer_id', customer_id)
+      .order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    // Timeline of every status change, oldest first
+    const servicesWithTimeline = (services || []).map(({ service_status_history, ...service }) => ({
+      ...service,
+      status_label: SERVICE_STATUS_LABELS[service.status] || service.status,
+      timeline: service_status_history
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .map(entry => ({
+          status: entry.to_status,
+          label: SERVICE_STATUS_LABELS[entry.to_status] || entry.to_status,
+          note: entry.note,
+          at: entry.created_at
+        }))
+    }));
+    
+    res.json({
+      success: true,
+      data: servicesWithTimeline
+    });
+    
+  } catch (error) {
+    console.error('Get services error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch services' 
+    });
+  }
+});
+
+// ============================================
+// 👑 ADMIN ROUTES (Require Admin Authentication)
+// ============================================
+
+// 📌 12. ADMIN: GET ALL ORDERS
+app.get('/api/admin/orders', authenticateToken, requirePermission('orders:read'), validate({
+  query: {
+    status: optional(oneOfField('Status', ['all', ...Object.keys(ORDER_STATUS_LABELS)])),
+    ...pageQuery(100)
+  }
+}), async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    
+    let query = supabase
+      .from('orders')
+      .select(`
+        *,
+        customers (
+          name,
+          phone
+        )
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false });
+    
+    if (status && status !== 'all') {
+      query = query.eq('status', status);
+    }
+    
+    // Pagination
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+    
+    const { data: orders, error, count } = await query.range(from, to);
+    
+    if (error) throw error;
+    
+    // Get order items for each order
+    const ordersWithItems = await Promise.all(
+      (orders || []).map(async (order) => {
+        const { data: items } = await supabase
+          .from('order_items')
+          .select(`
+            quantity,
+            price,
+            products (
+              name
+            )
+          `)
+          .eq('order_id', order.id);
+        
+        return {
+          ...order,
+          items: items || []
+        };
+      })
+    );
+    
+    res.json({
+      success: true,
+      data: ordersWithItems,
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        pages: Math.ceil((count || 0) / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Admin get orders error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch orders' 
+    });
+  }
+});
+
+// 📌 13. ADMIN: UPDATE ORDER STATUS
+app.put('/api/admin/orders/:id/status', authenticateToken, requirePermission('orders:update'), validate({
+  params: { id: uuidField('Order ID') },
+  body: {
+    status: oneOfField('Status', Object.keys(ORDER_TRANSITIONS)),
+    note: optional(textField('Note', 500))
+  }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+    
+    const { data: previous, error: loadError } = await supabase
+      .from('orders')
+      .select('status')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (loadError) throw loadError;
+    
+    if (!previous) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Order not found' 
+      });
+    }
+    
+    const allowed = ORDER_TRANSITIONS[previous.status] || [];
+    
+    if (!allowed.includes(status)) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Cannot change status from ${previous.status} to ${status}`,
+        allowed_statuses: allowed
+      });
+    }
+    
+    // Only applies if nobody changed the status in the meantime
+    const { data: order, error } = await supabase
+      .from('orders')
+      .update({ 
+        status,
+        // Picked up by the status history trigger
+        status_changed_by: req.user.id,
+        status_changed_by_role: req.user.role,
+        status_note: note || null,
+        updated_at: new Date()
+      })
+      .eq('id', id)
+      .eq('status', previous.status)
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!order) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Order status was changed by someone else. Please refresh.' 
+      });
+    }
+    
+    appEvents.emit('order.status_changed', { order, from: previous.status, to: status, note });
+    
+    let warranties = [];
+    let invoice = null;
+    if (status === 'delivered') {
+      warranties = await createOrderWarranties(order);
+      invoice = await issueInvoiceOnDelivery({ orderId: order.id, issuedBy: req.user.id });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: order,
+      warranties,
+      invoice_number: invoice ? invoice.invoice_number : undefined
+    });
+    
+  } catch (error) {
+    console.error('Update order status error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update order status' 
+    });
+  }
+});
+
+// 📌 14. ADMIN: GET ALL SERVICES
+app.get('/api/admin/services', authenticateToken, requirePermission('services:read', 'services:read:assigned'), validate({
+  query: {
+    status: optional(oneOfField('Status', ['all', ...SERVICE_STATUSES])),
+    ...pageQuery(100)
+  }
+}), async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    
+    let query = supabase
+      .from('services')
+      .select(`
+        *,
+        customers (
+          name,
+          phone
+        )
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false });
+    
+    if (status && status !== 'all') {
+      query = query.eq('status', status);
+    }
+    
+    // Technicians only see the jobs assigned to them
+    if (!hasPermission(req.user, 'services:read')) {
+      query = query.eq('technician_id', req.user.id);
+    }
+    
+    // Pagination
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+    
+    const { data: services, error, count } = await query.range(from, to);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      data: services || [],
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        pages: Math.ceil((count || 0) / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Admin get services error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch services' 
+    });
+  }
+});
+
+// 📌 15. ADMIN: UPDATE SERVICE STATUS
+app.put('/api/admin/services/:id/status', authenticateToken, requirePermission('services:update', 'services:update:assigned'), validate({
+  params: { id: uuidField('Service ID') },
+  body: {
+    status: oneOfField('Status', SERVICE_STATUSES),
+    note: optional(textField('Note', 500)),
+    actual_cost: optional(amountField('Actual cost')),
+    technician_id: optional(uuidField('Technician ID'))
+  }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note, actual_cost, technician_id } = req.body;
+    
+    // Technicians may only update jobs assigned to them, and cannot reassign them
+    const access = await loadServiceForEmployee(id, req.user, 'services:update');
+    
+    if (access.error) {
+      return res.status(access.status).json({ success: false, error: access.error });
+    }
+    
+    if (technician_id && technician_id !== req.user.id && !hasPermission(req.user, 'services:update')) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'You can only update services assigned to you' 
+      });
+    }
+    
+    if (status === 'diagnosed' && !access.service.diagnosis_notes) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Save diagnosis notes before marking the job diagnosed' 
+      });
+    }
+    
+    const updates = {};
+    
+    // The final bill can't exceed what the customer approved; a higher price needs a new quote
+    if (actual_cost !== undefined) {
+      if (access.service.approved_amount === null || access.service.approved_amount === undefined) {
+        return res.status(409).json({ 
+          success: false, 
+          error: 'Actual cost can only be set after the customer approves a quote' 
+        });
+      }
+      
+      if (parseFloat(actual_cost) > parseFloat(access.service.approved_amount)) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Actual cost exceeds the approved amount of ₹${access.service.approved_amount}. Issue a revised quote first.` 
+        });
+      }
+      
+      updates.actual_cost = actual_cost;
+    }
+    
+    if (technician_id) {
+      updates.technician_id = technician_id;
+    }
+    
+    if (status === 'delivered') {
+      updates.completion_date = new Date();
+    }
+    
+    const result = await transitionServiceStatus(access.service, status, req.user, { note, updates });
+    
+    if (result.error) {
+      return res.status(result.status).json({ 
+        success: false, 
+        error: result.error,
+        allowed_statuses: result.allowed_statuses
+      });
+    }
+    
+    let warranties = [];
+    let invoice = null;
+    if (status === 'delivered') {
+      warranties = await createServiceWarranty(result.service);
+      invoice = await issueInvoiceOnDelivery({ serviceId: result.service.id, issuedBy: req.user.id });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Service status updated successfully',
+      data: result.service,
+      warranties,
+      invoice_number: invoice ? invoice.invoice_number : undefined
+    });
+    
+  } catch (error) {
+    console.error('Update service status error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update service status' 
+    });
+  }
+});
+
+// 📌 16. ADMIN: ADD NEW PRODUCT
+app.post('/api/admin/products', authenticateToken, requirePermission('products:write'), validate({
+  body: {
+    sku: optional(PRODUCT_EDITABLE_FIELDS.sku),
+    name: PRODUCT_EDITABLE_FIELDS.name,
+    description: optional(PRODUCT_EDITABLE_FIELDS.description),
+    price: PRODUCT_EDITABLE_FIELDS.price,
+    category: PRODUCT_EDITABLE_FIELDS.category,
+    stock_quantity: optional(integerField('Opening stock', { min: 0, max: 100000 }), 0),
+    images: optional(PRODUCT_EDITABLE_FIELDS.images)
+  }
+}), async (req, res) => {
+  try {
+    const { sku, name, description, price, category, stock_quantity: openingStock, images } = req.body;
+    
+    // The product and its opening stock ledger entry are saved together or not at all
+    const { data: product, error } = await supabase.rpc('create_product', {
+      p_product: {
+        sku: sku || `P-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        name,
+        description: description || '',
+        price,
+        category,
+        images: images || []
+      },
+      p_opening_stock: openingStock,
+      p_created_by: req.user.id
+    });
+    
+    if (error) throw error;
+    
+    if (openingStock > 0) {
+      appEvents.emit('inventory.changed', {});
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Product added successfully',
+      data: product
+    });
+    
+  } catch (error) {
+    console.error('Add product error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to add product' 
+    });
+  }
+});
+
+// 📌 17. ADMIN: UPDATE PRODUCT
+// Partial update of whitelisted fields. The client sends back the version it loaded;
+// if someone else saved in between, the edit is refused instead of overwriting theirs.
+app.put('/api/admin/products/:id', authenticateToken, requirePermission('products:write'), validate({
+  params: { id: uuidField('Product ID') },
+  body: {
+    version: required(integerField('Product version', { min: 1 })),
+    ...PRODUCT_EDITABLE_FIELDS,
+    stock_quantity: STOCK_QUANTITY_FIELD
+  },
+  partial: true
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { version: expectedVersion, ...updates } = req.body;
+    
+    const { data: current, error: loadError } = await supabase
+      .from('products')
+      .select(PRODUCT_EDIT_SELECT)
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (loadError) throw loadError;
+    
+    if (!current) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Product not found' 
+      });
+    }
+    
+    const staleEdit = () => res.status(409).json({ 
+      success: false, 
+      error: 'This product was changed by someone else. Reload it and apply your edit again.',
+      current_version: current.version
+    });
+    
+    if (current.version !== expectedVersion) return staleEdit();
+    
+    const changes = diffProductFields(current, updates);
+    
+    if (!changes.length) {
+      return res.json({
+        success: true,
+        message: 'No changes to save',
+        data: current
+      });
+    }
+    
+    // The version condition makes check-and-write one step; the trigger bumps the version
+    const { data: product, error } = await supabase
+      .from('products')
+      .update({
+        ...Object.fromEntries(changes.map(change => [change.field, updates[change.field]])),
+        ...productChangeActor(req.user)
+      })
+      .eq('id', id)
+      .eq('version', expectedVersion)
+      .select(PRODUCT_EDIT_SELECT)
+      .maybeSingle();
+    
+    if (error && error.code === '23505') {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Another product already uses this SKU' 
+      });
+    }
+    
+    if (error) throw error;
+    
+    if (!product) return staleEdit();
+    
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      data: product,
+      changes
+    });
+    
+  } catch (error) {
+    console.error('Update product error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update product' 
+    });
+  }
+});
+
+// 📌 18. ADMIN: DELETE PRODUCT
+app.delete('/api/admin/products/:id', authenticateToken, requirePermission('products:write'), validate({
+  params: { id: uuidField('Product ID') }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Soft delete - set is_active to false
+    const { error } = await supabase
+      .from('products')
+      .update({ is_active: false, ...productChangeActor(req.user) })
+      .eq('id', id)
+      .eq('is_active', true);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      message: 'Product deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete product error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete product' 
+    });
+  }
+});
+
+// 📌 19. ADMIN: GET ANALYTICS
+app.get('/api/admin/analytics', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
+  try {
+    // Get today's date
+    const today = new Date();
+    const startOfToday = new Date(today.setHours(0, 0, 0, 0));
+    const endOfToday = new Date(today.setHours(23, 59, 59, 999));
+    
+    // Today's revenue
+    const { data: todayOrders } = await supabase
+      .from('orders')
+      .select('total_amount, payment_status')
+      .gte('created_at', startOfToday.toISOString())
+      .lte('created_at', endOfToday.toISOString());
+    
+    const todayRevenue = (todayOrders || [])
+      .filter(order => order.payment_status === 'paid')
+      .reduce((sum, order) => sum + parseFloat(order.total_amount || 0), 0);
+    
+    // Total revenue
+    const { data: allOrders } = await supabase
+      .from('orders')
+      .select('total_amount, payment_status')
+      .eq('payment_status', 'paid');
+    
+    const totalRevenue = (allOrders || [])
+      .reduce((sum, order) => sum + parseFloat(order.total_amount || 0), 0);
+    
+    // Counts
+    const { count: totalOrders } = await supabase
+      .from('orders')
+      .select('*', { count: 'exact', head: true });
+    
+    const { count: pendingOrders } = await supabase
+      .from('orders')
+      .select('*', { count: 'exact', head: true })
+      .eq('status', 'pending');
+    
+    const { count: totalCustomers } = await supabase
+      .from('customers')
+      .select('*', { count: 'exact', head: true });
+    
+    const { count: totalProducts } = await supabase
+      .from('products')
+      .select('*', { count: 'exact', head: true })
+      .eq('is_active', true);
+    
+    const { count: pendingServices } = await supabase
+      .from('services')
+      .select('*', { count: 'exact', head: true })
+      .in('status', SERVICE_OPEN_STATUSES);
+    
+    res.json({
+      success: true,
+      data: {
+        today_revenue: todayRevenue,
+        total_revenue: totalRevenue,
+        total_orders: totalOrders || 0,
+        pending_orders: pendingOrders || 0,
+        total_customers: totalCustomers || 0,
+        total_products: totalProducts || 0,
+        pending_services: pendingServices || 0,
+        date: new Date().toLocaleDateString('en-IN')
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch analytics' 
+    });
+  }
+});
+
+// 📌 20. ADMIN: GET ALL CUSTOMERS
+app.get('/api/admin/customers', authenticateToken, requirePermission('customers:read'), validate({
+  query: pageQuery(100)
+}), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+    
+    const { data: customers, error, count } = await supabase
+      .from('customers')
+      .select('id, name, phone, email, created_at', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      data: customers || [],
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        pages: Math.ceil((count || 0) / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch customers' 
+    });
+  }
+});
+
+// 📌 21. ADMIN: GET ORDER DETAILS
+app.get('/api/admin/orders/:id', authenticateToken, requirePermission('orders:read'), validate({
+  params: { id: uuidField('Order ID') }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Get order
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(`
+        *,
+        customers (
+          name,
+          phone,
+          email
+        )
+      `)
+      .eq('id', id)
+      .single();
+    
+    if (orderError) throw orderError;
+    
+    // Get order items
+    const { data: items, error: itemsError } = await supabase
+      .from('order_items')
+      .select(`
+        quantity,
+        price,
+        products (
+          id,
+          name,
+          images
+        )
+      `)
+      .eq('order_id', id);
+    
+    if (itemsError) throw itemsError;
+    
+    res.json({
+      success: true,
+      data: {
+        ...order,
+        items: items || []
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get order details error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch order details' 
+    });
+  }
+});
+
+// ============================================
+// 🎯 SIMPLE ROUTES FOR YOUR EXISTING WEBSITE
+// ============================================
+
+// 📌 22. CREATE QUICK ORDER (WhatsApp flow: repair bookings, or shop items by product ID)
+app.post('/api/quick-order', validate({
+  body: {
+    name: textField('Name', 100),
+    phone: phoneField(),
+    order_type: optional(oneOfField('Order type', ['shop', 'repair']), 'repair'),
+    service_type: optional(textField('Service type', 100)),
+    phone_model: optional(textField('Phone model', 100)),
+    location: optional(textField('Location', 500)),
+    items: optional(ORDER_ITEMS_FIELD),
+    coupon_code: optional(textField('Coupon code', 32)),
+    verification_token: VERIFICATION_TOKEN_FIELD
+  },
+  check: ({ body }) => [
+    body.order_type === 'repair' && !body.service_type &&
+      { field: 'service_type', code: 'required', message: 'Service type is required for repair orders' },
+    body.order_type === 'shop' && !body.items &&
+      { field: 'items', code: 'required', message: 'Add at least one item to the order' }
+  ].filter(Boolean)
+}), requireOtpVerification(req => req.body.phone, 'order', { claim: false }), async (req, res) => {
+  try {
+    const { name, phone, order_type, service_type, phone_model, location, items, coupon_code } = req.body;
+    
+    // Shop orders are priced from the catalogue and repairs from repair_service_prices;
+    // client-sent prices are ignored
+    const orderItems = order_type === 'shop' ? normalizeOrderItems(items) : null;
+    
+    // The order belongs to the phone's customer so per-customer coupon limits hold
+    const customer = await findOrCreateCustomerByPhone(name, phone);
+    
+    let order;
+    if (order_type === 'shop') {
+      // Prices, stock check, order, items and stock decrement in one transaction
+      order = await placeOrder({
+        otpId: req.otpVerification.otp_id,
+        customerId: customer.id,
+        items: orderItems,
+        paymentMethod: 'cod',
+        deliveryAddress: location,
+        couponCode: coupon_code
+      });
+    } else {
+      // Pricing, order, coupon redemption and the OTP claim in one transaction
+      const { data, error } = await supabase.rpc('place_verified_repair_order', {
+        p_otp_id: req.otpVerification.otp_id,
+        p_customer_id: customer.id,
+        p_delivery_address: location || '',
+        p_coupon_code: coupon_code || null,
+        p_service_type: service_type,
+        p_device_model: phone_model || null
+      });
+      
+      if (error) throw error;
+      order = data;
+    }
+    
+    appEvents.emit('order.created', { order });
+    
+    const priceText = order.discount_amount > 0
+      ? `₹${order.total_amount} (₹${order.subtotal} - ₹${order.discount_amount} coupon ${order.coupon_code})`
+      : parseFloat(order.total_amount) > 0 ? `₹${order.total_amount}` : 'To be determined';
+    const orderLine = order_type === 'shop'
+      ? `Items: ${orderItems.reduce((sum, item) => sum + item.quantity, 0)}`
+      : `Service: ${service_type}%0AModel: ${phone_model || 'Not specified'}`;
+    
+    res.status(201).json({
+      success: true,
+      message: 'Quick order received successfully',
+      order_id: order.id,
+      data: {
+        order_type: order.order_type,
+        subtotal: order.subtotal,
+        discount: order.discount_amount,
+        total: order.total_amount,
+        coupon_code: order.coupon_code
+      },
+      whatsapp_message: `🔧 *NEW QUICK ORDER*%0A%0AName: ${name}%0APhone: ${phone}%0A${orderLine}%0ALocation: ${location || 'Not shared'}%0APrice: ${priceText}%0A%0AOrder ID: ${order.id}`
+    });
+    
+  } catch (error) {
+    const orderError = orderErrorFromDatabase(error);
+    if (orderError) {
+      return res.status(orderError.status).json(orderError.body);
+    }
+    
+    console.error('Quick order error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to process quick order' 
+    });
+  }
+});
+
+// 📌 23. TRACK ORDER (Public, by order ID + the phone number it was placed with)
+app.get('/api/track-order/:id', validate({
+  params: { id: uuidField('Order ID') },
+  query: { phone: phoneField('Phone number used for this order') }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { phone } = req.query;
+    
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(ORDER_TRACKING_SELECT)
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (orderError) throw orderError;
+    
+    // A wrong phone number looks the same as a missing order
+    if (!order || !order.customers || normalizePhone(order.customers.phone) !== phone) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No order found with this ID and phone number' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: orderTracking(order)
+    });
+    
+  } catch (error) {
+    console.error('Track order error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to track order' 
+    });
+  }
+});
+
+// 📌 93. TRACK ORDERS BY PHONE (Public, requires a 'track' OTP)
+app.post('/api/track-order/by-phone', validate({
+  body: {
+    phone: phoneField(),
+    verification_token: VERIFICATION_TOKEN_FIELD
+  }
+}), requireOtpVerification(req => req.body.phone, 'track'), async (req, res) => {
+  try {
+    const { data: customer, error: customerError } = await supabase
+      .from('customers')
+      .select('id')
+      .eq('phone', req.body.phone)
+      .maybeSingle();
+    
+    if (customerError) throw customerError;
+    
+    if (!customer) {
+      return res.json({ success: true, data: [] });
+    }
+    
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select(ORDER_TRACKING_SELECT)
+      .eq('customer_id', customer.id)
+      .order('created_at', { ascending: false })
+      .limit(10);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      data: (orders || []).map(orderTracking)
+    });
+    
+  } catch (error) {
+    console.error('Track orders by phone error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to track orders' 
+    });
+  }
+});
+
+// ============================================
+// 📱 OTP VERIFICATION ROUTES
+// ============================================
+
+// 📌 24. SEND OTP
+app.post('/api/otp/send', validate({
+  body: {
+    phone: phoneField(),
+    purpose: optional(oneOfField('OTP purpose', OTP_PURPOSES), 'order')
+  }
+}), async (req, res) => {
+  try {
+    const { phone, purpose } = req.body;
+    
+    // Resend cooldown and hourly limit
+    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const { data: recentOtps, error: recentError } = await supabase
+      .from('otp_verifications')
+      .select('id, created_at')
+      .eq('phone', phone)
+      .gte('created_at', oneHourAgo.toISOString())
+      .order('created_at', { ascending: false });
+    
+    if (recentError) throw recentError;
+    
+    if (recentOtps && recentOtps.length) {
+      const secondsSinceLast = (Date.now() - new Date(recentOtps[0].created_at).getTime()) / 1000;
+      
+      if (secondsSinceLast < OTP_CONFIG.resendCooldownSeconds) {
+        const retryAfter = Math.ceil(OTP_CONFIG.resendCooldownSeconds - secondsSinceLast);
+        return res.status(429).json({ 
+          success: false, 
+          error: `Please wait ${retryAfter} seconds before requesting a new OTP`,
+          retry_after: retryAfter
+        });
+      }
+      
+      if (recentOtps.length >= OTP_CONFIG.maxSendsPerHour) {
+        return res.status(429).json({ 
+          success: false, 
+          error: 'Too many OTP requests. Please try again later.' 
+        });
+      }
+    }
+    
+    // Only the latest code for a phone + purpose stays valid
+    await supabase
+      .from('otp_verifications')
+      .update({ invalidated_at: new Date() })
+      .eq('phone', phone)
+      .eq('purpose', purpose)
+      .is('verified_at', null)
+      .is('invalidated_at', null);
+    
+    const code = generateOtpCode();
+    const expiresAt = new Date(Date.now() + OTP_CONFIG.ttlMinutes * 60 * 1000);
+    
+    const { data: otp, error } = await supabase
+      .from('otp_verifications')
+      .insert([{
+        phone,
+        purpose,
+        code_hash: hashOtpCode(phone, purpose, code),
+        expires_at: expiresAt,
+        created_at: new Date()
+      }])
+      .select('id')
+      .single();
+    
+    if (error) throw error;
+    
+    try {
+      await getSmsProvider().send(
+        phone,
+        `${code} is your Step'sEazy verification code. Valid for ${OTP_CONFIG.ttlMinutes} minutes. Do not share it with anyone.`
+      );
+    } catch (smsError) {
+      console.error('SMS delivery error:', smsError);
+      
+      await supabase
+        .from('otp_verifications')
+        .update({ invalidated_at: new Date() })
+        .eq('id', otp.id);
+      
+      return res.status(502).json({ 
+        success: false, 
+        error: 'Failed to send OTP. Please try again.' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'OTP sent successfully',
+      expires_in: OTP_CONFIG.ttlMinutes * 60,
+      resend_after: OTP_CONFIG.resendCooldownSeconds
+    });
+    
+  } catch (error) {
+    console.error('Send OTP error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to send OTP' 
+    });
+  }
+});
+
+// 📌 25. VERIFY OTP
+app.post('/api/otp/verify', validate({
+  body: {
+    phone: phoneField(),
+    code: withLabel('OTP', (value) => new RegExp(`^\\d{${OTP_CONFIG.length}}$`).test(String(value).trim())
+      ? { value: String(value).trim() }
+      : { error: `OTP must be ${OTP_CONFIG.length} digits`, code: 'invalid_format' }),
+    purpose: optional(oneOfField('OTP purpose', OTP_PURPOSES), 'order')
+  }
+}), async (req, res) => {
+  try {
+    const { phone, code, purpose } = req.body;
+    
+    const { data: otp, error } = await supabase
+      .from('otp_verifications')
+      .select('*')
+      .eq('phone', phone)
+      .eq('purpose', purpose)
+      .is('verified_at', null)
+      .is('invalidated_at', null)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!otp) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'No active OTP found. Please request a new one.' 
+      });
+    }
+    
+    if (new Date(otp.expires_at) < new Date()) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'OTP expired. Please request a new one.' 
+      });
+    }
+    
+    if (otp.attempts >= OTP_CONFIG.maxAttempts) {
+      return res.status(429).json({ 
+        success: false, 
+        error: 'Too many incorrect attempts. Please request a new OTP.' 
+      });
+    }
+    
+    // Count the attempt before comparing; the attempts guard rejects parallel guesses
+    const { data: counted, error: countError } = await supabase
+      .from('otp_verifications')
+      .update({ attempts: otp.attempts + 1 })
+      .eq('id', otp.id)
+      .eq('attempts', otp.attempts)
+      .select('id');
+    
+    if (countError) throw countError;
+    
+    if (!counted || !counted.length) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'OTP verification already in progress. Please try again.' 
+      });
+    }
+    
+    if (!otpHashesMatch(otp.code_hash, hashOtpCode(phone, purpose, String(code)))) {
+      const attemptsRemaining = OTP_CONFIG.maxAttempts - (otp.attempts + 1);
+      return res.status(400).json({ 
+        success: false, 
+        error: attemptsRemaining > 0 ? 'Invalid OTP. Please try again.' : 'Too many incorrect attempts. Please request a new OTP.',
+        attempts_remaining: attemptsRemaining
+      });
+    }
+    
+    const { error: verifyError } = await supabase
+      .from('otp_verifications')
+      .update({ verified_at: new Date() })
+      .eq('id', otp.id);
+    
+    if (verifyError) throw verifyError;
+    
+    const verificationToken = jwt.sign(
+      {
+        type: 'otp_verification',
+        otp_id: otp.id,
+        phone,
+        purpose
+      },
+      process.env.JWT_SECRET || 'your-secret-key-change-this',
+      { expiresIn: OTP_CONFIG.tokenExpiry }
+    );
+    
+    res.json({
+      success: true,
+      message: 'OTP verified successfully',
+      verification_token: verificationToken
+    });
+    
+  } catch (error) {
+    console.error('Verify OTP error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to verify OTP' 
+    });
+  }
+});
+
+// ============================================
+// 👨‍🔧 EMPLOYEE MANAGEMENT ROUTES (Admin only)
+// ============================================
+
+// 📌 26. ADMIN: GET ALL EMPLOYEES
+app.get('/api/admin/employees', authenticateToken, isAdmin, validate({
+  query: {
+    role: optional(oneOfField('Role', ['all', ...EMPLOYEE_ROLES])),
+    include_inactive: optional(booleanField('include_inactive'), false)
+  }
+}), async (req, res) => {
+  try {
+    const { role, include_inactive } = req.query;
+    
+    let query = supabase
+      .from('employees')
+      .select('id, name, phone, email, role, salary, joining_date, is_active, last_login_at, created_at')
+      .order('created_at', { ascending: false });
+    
+    if (role && role !== 'all') {
+      query = query.eq('role', role);
+    }
+    
+    if (!include_inactive) {
+      query = query.eq('is_active', true);
+    }
+    
+    const { data: employees, error } = await query;
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      data: employees || []
+    });
+    
+  } catch (error) {
+    console.error('Get employees error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch employees' 
+    });
+  }
+});
+
+// 📌 27. ADMIN: ADD EMPLOYEE
+app.post('/api/admin/employees', authenticateToken, isAdmin, validate({
+  body: {
+    name: textField('Name', 100),
+    phone: phoneField(),
+    email: optional(emailField()),
+    role: optional(oneOfField('Role', EMPLOYEE_ROLES), 'technician'),
+    password: passwordField('Password'),
+    salary: optional(amountField('Salary')),
+    joining_date: optional(dateField('Joining date'))
+  }
+}), async (req, res) => {
+  try {
+    const { name, phone, email, role, password, salary, joining_date } = req.body;
+    
+    const { data: existingEmployee, error: existingEmployeeError } = await supabase
+      .from('employees')
+      .select('id')
+      .eq('phone', phone)
+      .maybeSingle();
+    
+    if (existingEmployeeError) throw existingEmployeeError;
+    
+    if (existingEmployee) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Employee with this phone already exists' 
+      });
+    }
+    
+    const { data: employee, error } = await supabase
+      .from('employees')
+      .insert([{
+        name,
+        phone,
+        email: email || null,
+        role,
+        password: await bcrypt.hash(password, 10),
+        salary: salary || null,
+        joining_date: joining_date || new Date().toISOString().split('T')[0],
+        created_at: new Date()
+      }])
+      .select('id, name, phone, email, role, salary, joining_date, is_active, created_at')
+      .single();
+    
+    if (error && error.code === '23505') {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Another employee already uses this phone or email' 
+      });
+    }
+    
+    if (error) throw error;
+    
+    res.status(201).json({
+      success: true,
+      message: 'Employee added successfully',
+      data: employee
+    });
+    
+  } catch (error) {
+    console.error('Add employee error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to add employee' 
+    });
+  }
+});
+
+// 📌 28. ADMIN: UPDATE EMPLOYEE (role, status, password reset)
+app.put('/api/admin/employees/:id', authenticateToken, isAdmin, validate({
+  params: { id: uuidField('Employee ID') },
+  body: {
+    name: optional(textField('Name', 100)),
+    email: nullable(emailField()),
+    role: optional(oneOfField('Role', EMPLOYEE_ROLES)),
+    salary: nullable(amountField('Salary')),
+    is_active: optional(booleanField('is_active')),
+    password: optional(passwordField('Password'))
+  }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, email, role, salary, is_active, password } = req.body;
+    
+    const updateData = {};
+    
+    if (name !== undefined) updateData.name = name;
+    if (email !== undefined) updateData.email = email;
+    if (salary !== undefined) updateData.salary = salary;
+    if (is_active !== undefined) updateData.is_active = is_active;
+    if (role !== undefined) updateData.role = role;
+    
+    if (password !== undefined) {
+      updateData.password = await bcrypt.hash(password, 10);
+    }
+    
+    // Admins cannot lock themselves out
+    if (id === req.user.id && (updateData.is_active === false || (role && role !== 'admin'))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'You cannot deactivate or demote your own account' 
+      });
+    }
+    
+    if (!Object.keys(updateData).length) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'No fields to update' 
+      });
+    }
+    
+    const { data: employee, error } = await supabase
+      .from('employees')
+      .update(updateData)
+      .eq('id', id)
+      .select('id, name, phone, email, role, salary, joining_date, is_active, created_at')
+      .maybeSingle();
+    
+    if (error && error.code === '23505') {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Another employee already uses this email' 
+      });
+    }
+    
+    if (error) throw error;
+    
+    if (!employee) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Employee not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Employee updated successfully',
+      data: employee
+    });
+    
+  } catch (error) {
+    console.error('Update employee error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update employee' 
+    });
+  }
+});
+
+// 📌 29. EMPLOYEE: CHANGE OWN PASSWORD
+app.put('/api/admin/me/password', authenticateToken, validate({
+  body: {
+    current_password: passwordField('Current password', 1),
+    new_password: passwordField('New password')
+  }
+}), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    
+    if (req.user.type !== 'employee') {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Employee access required' 
+      });
+    }
+    
+    const { data: employee, error } = await supabase
+      .from('employees')
+      .select('id, password')
+      .eq('id', req.user.id)
+      .single();
+    
+    if (error) throw error;
+    
+    if (!employee.password || !(await bcrypt.compare(current_password, employee.password))) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Current password is incorrect' 
+      });
+    }
+    
+    const { error: updateError } = await supabase
+      .from('employees')
+      .update({ password: await bcrypt.hash(new_password, 10) })
+      .eq('id', req.user.id);
+    
+    if (updateError) throw updateError;
+    
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+    
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to change password' 
+    });
+  }
+});
+
+// ============================================
+// 💳 PAYMENT ROUTES
+// ============================================
+
+// 📌 30. CREATE PAYMENT INTENT (Online payment for an order)
+app.post('/api/payments/intent', authenticateToken, validate({
+  body: {
+    order_id: uuidField('Order ID'),
+    method: optional(oneOfField('Payment method', ['upi', 'card']), 'upi')
+  }
+}), async (req, res) => {
+  try {
+    const { order_id, method } = req.body;
+    
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('id, customer_id, total_amount, status, payment_status')
+      .eq('id', order_id)
+      .maybeSingle();
+    
+    if (orderError) throw orderError;
+    
+    if (!order || order.customer_id !== req.user.id) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Order not found' 
+      });
+    }
+    
+    if (order.status === 'cancelled' || ['paid', 'refunded', 'partially_refunded'].includes(order.payment_status)) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Order cannot be paid (status: ${order.status}, payment: ${order.payment_status})` 
+      });
+    }
+    
+    const { name: provider, gateway } = getPaymentGateway();
+    
+    // One payments row per attempt
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .insert([{
+        order_id: order.id,
+        provider,
+        method,
+        amount: order.total_amount,
+        currency: 'INR',
+        status: 'created',
+        created_at: new Date()
+      }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    let intent;
+    try {
+      intent = await gateway.createIntent({ payment, order, method });
+    } catch (gatewayError) {
+      console.error('Payment gateway error:', gatewayError);
+      
+      await supabase
+        .from('payments')
+        .update({ status: 'failed', failure_reason: gatewayError.message, updated_at: new Date() })
+        .eq('id', payment.id);
+      
+      return res.status(502).json({ 
+        success: false, 
+        error: 'Payment gateway unavailable. Please try again.' 
+      });
+    }
+    
+    await supabase
+      .from('payments')
+      .update({ 
+        provider_order_id: intent.providerOrderId, 
+        status: 'pending',
+        updated_at: new Date()
+      })
+      .eq('id', payment.id);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Payment initiated',
+      data: {
+        payment_id: payment.id,
+        provider,
+        amount: payment.amount,
+        currency: payment.currency,
+        redirect_url: intent.redirectUrl,
+        client_data: intent.clientData
+      }
+    });
+    
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to initiate payment' 
+    });
+  }
+});
+
+// 📌 31. GET PAYMENT STATUS
+app.get('/api/payments/:id', authenticateToken, validate({
+  params: { id: uuidField('Payment ID') }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .select(`
+        id,
+        order_id,
+        provider,
+        method,
+        amount,
+        currency,
+        status,
+        failure_reason,
+        refunded_amount,
+        refund_status,
+        created_at,
+        updated_at,
+        orders (
+          customer_id,
+          payment_status
+        )
+      `)
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!payment || (payment.orders.customer_id !== req.user.id && !hasPermission(req.user, 'orders:read'))) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Payment not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: payment
+    });
+    
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch payment' 
+    });
+  }
+});
+
+// 📌 32. PAYMENT GATEWAY WEBHOOK (Signed callback)
+app.post('/api/payments/webhook', async (req, res) => {
+  try {
+    const { gateway } = getPaymentGateway();
+    const signature = req.headers['x-razorpay-signature'];
+    
+    if (!webhookSignatureValid(req.rawBody, signature, gateway.webhookSecret)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid webhook signature' 
+      });
+    }
+    
+    const { event, payload = {} } = req.body;
+    const eventId = req.headers['x-razorpay-event-id'] ||
+      crypto.createHash('sha256').update(req.rawBody).digest('hex');
+    
+    // Gateways retry webhooks; record each event once and ignore repeats
+    const { error: eventError } = await supabase
+      .from('payment_events')
+      .insert([{
+        event_id: eventId,
+        event_type: event,
+        payload: req.body,
+        received_at: new Date()
+      }]);
+    
+    if (eventError) {
+      if (eventError.code === '23505') {
+        return res.json({ success: true, message: 'Event already processed' });
+      }
+      throw eventError;
+    }
+    
+    // A failed event must not stay recorded, or the gateway's retry would be skipped as a repeat
+    let payment;
+    try {
+      payment = await applyPaymentEvent(event, payload);
+    } catch (error) {
+      await supabase.from('payment_events').delete().eq('event_id', eventId);
+      throw error;
+    }
+    
+    res.json({
+      success: true,
+      message: payment ? 'Event processed' : 'Event ignored'
+    });
+    
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to process webhook' 
+    });
+  }
+});
+
+// 📌 33. ADMIN: REFUND PAYMENT
+app.post('/api/admin/payments/:id/refund', authenticateToken, isAdmin, validate({
+  params: { id: uuidField('Payment ID') },
+  body: {
+    amount: optional(amountField('Refund amount', { positive: true })),
+    reason: optional(textField('Reason', 500))
+  }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+    
+    const { data: payment, error: loadError } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (loadError) throw loadError;
+    
+    if (!payment) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Payment not found' 
+      });
+    }
+    
+    if (!['succeeded', 'partially_refunded'].includes(payment.status)) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Only successful payments can be refunded (status: ${payment.status})` 
+      });
+    }
+    
+    // Earlier partial refunds count against what is left to refund
+    const refundable = Math.round((parseFloat(payment.amount) - parseFloat(payment.refunded_amount || 0)) * 100) / 100;
+    const refundAmount = amount !== undefined ? amount : refundable;
+    
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+      return rejectField(res, 'amount', `Refund amount must be greater than 0 and at most ₹${refundable}`, 'too_large');
+    }
+    
+    // Claim the payment before asking the gateway, so two refunds started together
+    // cannot both go through; the status must still be the one checked above
+    const { data: claimed, error: claimError } = await supabase
+      .from('payments')
+      .update({
+        status: 'refund_pending',
+        refund_status: 'pending',
+        refund_reason: reason || null,
+        updated_at: new Date()
+      })
+      .eq('id', id)
+      .eq('status', payment.status)
+      .select()
+      .maybeSingle();
+    
+    if (claimError) throw claimError;
+    
+    if (!claimed) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'This payment was changed while you were refunding it. Reload it and try again.' 
+      });
+    }
+    
+    let providerRefundId;
+    try {
+      ({ providerRefundId } = await getPaymentGateway().gateway.refund({ payment, amount: refundAmount }));
+    } catch (error) {
+      const { error: releaseError } = await supabase
+        .from('payments')
+        .update({
+          status: payment.status,
+          refund_status: payment.refund_status,
+          refund_reason: payment.refund_reason,
+          updated_at: new Date()
+        })
+        .eq('id', id)
+        .eq('status', 'refund_pending');
+      
+      if (releaseError) console.error('Refund claim release error:', releaseError);
+      throw error;
+    }
+    
+    // The gateway's refund webhook may already have landed; only the refund id is recorded here
+    const { data: updatedPayment, error } = await supabase
+      .from('payments')
+      .update({ provider_refund_id: providerRefundId, updated_at: new Date() })
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      message: 'Refund initiated',
+      data: updatedPayment
+    });
+    
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to refund payment' 
+    });
+  }
+});
+
+// 📌 34. ADMIN: GET ORDER PAYMENTS
+app.get('/api/admin/orders/:id/payments', authenticateToken, requirePermission('orders:read'), validate({
+  params: { id: uuidField('Order ID') }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { data: payments, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('order_id', id)
+      .order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      data: payments || []
+    });
+    
+  } catch (error) {
+    console.error('Get order payments error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch payments' 
+    });
+  }
+});
+
+// 📌 35. MOCK GATEWAY (Local testing only: PAYMENT_GATEWAY=mock outside production)
+if (MOCK_GATEWAY_ENABLED) {
+  // Hosted checkout page the customer is redirected to
+  app.get('/api/mock-gateway/checkout/:providerOrderId', async (req, res) => {
+    const { providerOrderId } = req.params;
+    
+    const { data: payment, error: paymentError } = await supabase
+      .from('payments')
+      .select('amount, method, status')
+      .eq('provider_order_id', providerOrderId)
+      .maybeSingle();
+    
+    if (paymentError) {
+      console.error('Mock checkout error:', paymentError);
+      return res.status(500).send('Could not load the payment');
+    }
+    
+    if (!payment) {
+      return res.status(404).send('Unknown payment');
+    }
+    
+    res.send(`
+      <html>
+        <body style="font-family:sans-serif; text-align:center; padding:40px;">
+          <h2>🧪 Mock Payment Gateway</h2>
+          <p>Amount: ₹${payment.amount} via ${payment.method.toUpperCase()}</p>
+          <p>Status: ${payment.status}</p>
+          <form method="POST" action="/api/mock-gateway/checkout/${providerOrderId}/complete">
+            <button name="outcome" value="success">✅ Pay</button>
+            <button name="outcome" value="failure">❌ Fail</button>
+          </form>
+        </body>
+      </html>
+    `);
+  });
+  
+  // Simulates the customer completing or failing the payment
+  app.post('/api/mock-gateway/checkout/:providerOrderId/complete', express.urlencoded({ extended: false }), async (req, res) => {
+    try {
+      const { providerOrderId } = req.params;
+      const outcome = req.body.outcome === 'failure' ? 'failure' : 'success';
+      
+      const { data: payment, error: paymentError } = await supabase
+        .from('payments')
+        .select('amount')
+        .eq('provider_order_id', providerOrderId)
+        .maybeSingle();
+      
+      if (paymentError) throw paymentError;
+      
+      if (!payment) {
+        return res.status(404).json({ success: false, error: 'Unknown payment' });
+      }
+      
+      const entity = {
+        id: `mock_pay_${crypto.randomBytes(8).toString('hex')}`,
+        order_id: providerOrderId,
+        amount: Math.round(payment.amount * 100),
+        status: outcome === 'success' ? 'captured' : 'failed',
+        error_description: outcome === 'success' ? null : 'Payment declined by mock gateway'
+      };
+      
+      const result = await sendMockWebhook(
+        outcome === 'success' ? 'payment.captured' : 'payment.failed',
+        { payment: { entity } }
+      );
+      
+      res.json({
+        success: true,
+        message: `Mock payment ${outcome === 'success' ? 'captured' : 'failed'}`,
+        webhook: result
+      });
+      
+    } catch (error) {
+      console.error('Mock gateway error:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: 'Mock gateway failed' 
+      });
+    }
+  });
+}
+
+// ============================================
+// 📦 INVENTORY ROUTES (Stock ledger on inventory_log)
+// ============================================
+
+// 📌 36. ADMIN: GET STOCK SUMMARY
+app.get('/api/admin/inventory', authenticateToken, requirePermission('inventory:read'), validate({
+  query: { category: optional(textField('Category', 50)) }
+}), async (req, res) => {
+  try {
+    const { category } = req.query;
+    
+    let query = supabase
+      .from('products')
+      .select(`id, name, category, price, stock_quantity, low_stock_threshold, is_active, product_variants (${PRODUCT_VARIANT_FIELDS})`)
+      .eq('is_active', true)
+      .order('name', { ascending: true });
+    
+    if (category && category !== 'all') {
+      query = query.eq('category', category);
+    }
+    
+    const { data: products, error } = await query;
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      data: (products || []).map(({ product_variants: variants, ...product }) => {
+        const activeVariants = (variants || []).filter(variant => variant.is_active).map(variant => ({
+          ...variant,
+          is_low_stock: variant.stock_quantity <= variant.low_stock_threshold
+        }));
+        
+        return {
+          ...product,
+          variants: activeVariants,
+          is_low_stock: activeVariants.length
+            ? activeVariants.some(variant => variant.is_low_stock)
+            : product.stock_quantity <= product.low_stock_threshold
+        };
+      })
+    });
+    
+  } catch (error) {
+    console.error('Get inventory error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch inventory' 
+    });
+  }
+});
+
+// 📌 37. ADMIN: LOW STOCK REPORT
+app.get('/api/admin/inventory/low-stock', authenticateToken, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { data: products, error } = await supabase
+      .from('low_stock_products')
+      .select('*')
+      .order('stock_quantity', { ascending: true });
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      count: (products || []).length,
+      data: products || []
+    });
+    
+  } catch (error) {
+    console.error('Low stock report error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch low stock report' 
+    });
+  }
+});
+
+// 📌 38. ADMIN: STOCK IN (Purchase receipt)
+app.post('/api/admin/inventory/stock-in', authenticateToken, requirePermission('inventory:write'), validate({
+  body: {
+    reference: optional(textField('Reference', 100)),
+    supplier: optional(textField('Supplier', 100)),
+    items: listField('Items', objectField('Item', {
+      product_id: uuidField('Product ID'),
+      variant_id: optional(uuidField('Variant ID'), null),
+      quantity: integerField('Quantity', { min: 1, max: 100000 }),
+      unit_cost: optional(amountField('Unit cost'), null)
+    }), { min: 1, max: 200 })
+  }
+}), async (req, res) => {
+  try {
+    const { reference, supplier, items } = req.body;
+    
+    const entries = await recordStockMovements(items.map(item => ({
+      product_id: item.product_id,
+      variant_id: item.variant_id,
+      quantity_change: item.quantity,
+      type: 'stock_in',
+      unit_cost: item.unit_cost,
+      reference: reference || null,
+      reason: supplier ? `Purchase from ${supplier}` : 'Purchase receipt',
+      created_by: req.user.id
+    })));
+    
+    res.status(201).json({
+      success: true,
+      message: 'Stock received successfully',
+      data: entries
+    });
+    
+  } catch (error) {
+    const inventoryError = orderErrorFromDatabase(error);
+    if (inventoryError) {
+      return res.status(inventoryError.status).json(inventoryError.body);
+    }
+    
+    console.error('Stock in error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to record stock in' 
+    });
+  }
+});
+
+// 📌 39. ADMIN: MANUAL STOCK ADJUSTMENT
+app.post('/api/admin/inventory/adjustments', authenticateToken, requirePermission('inventory:write'), validate({
+  body: {
+    product_id: uuidField('Product ID'),
+    variant_id: optional(uuidField('Variant ID'), null),
+    quantity_change: integerField('Quantity change', { min: -100000, max: 100000 }),
+    reason: textField('Reason', 500)
+  },
+  check: ({ body }) => body.quantity_change === 0
+    ? [{ field: 'quantity_change', code: 'not_allowed', message: 'Quantity change cannot be 0' }]
+    : []
+}), async (req, res) => {
+  try {
+    const { product_id, variant_id, quantity_change, reason } = req.body;
+    
+    const [entry] = await recordStockMovements([{
+      product_id,
+      variant_id,
+      quantity_change,
+      type: 'adjustment',
+      reason,
+      created_by: req.user.id
+    }]);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: entry
+    });
+    
+  } catch (error) {
+    const inventoryError = orderErrorFromDatabase(error);
+    if (inventoryError) {
+      return res.status(inventoryError.status).json(inventoryError.body);
+    }
+    
+    console.error('Stock adjustment error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to adjust stock' 
+    });
+  }
+});
+
+// 📌 40. ADMIN: DAMAGE / WRITE-OFF
+app.post('/api/admin/inventory/write-offs', authenticateToken, requirePermission('inventory:write'), validate({
+  body: {
+    product_id: uuidField('Product ID'),
+    variant_id: optional(uuidField('Variant ID'), null),
+    quantity: integerField('Quantity', { min: 1, max: 100000 }),
+    type: optional(oneOfField('Type', Object.keys(INVENTORY_MOVEMENT_TYPES).filter(type =>
+      INVENTORY_MOVEMENT_TYPES[type] === 'out' && !['sale', 'service_use'].includes(type)
+    )), 'damage'),
+    reason: textField('Reason', 500)
+  }
+}), async (req, res) => {
+  try {
+    const { product_id, variant_id, quantity, type, reason } = req.body;
+    
+    const [entry] = await recordStockMovements([{
+      product_id,
+      variant_id,
+      quantity_change: -quantity,
+      type,
+      reason,
+      created_by: req.user.id
+    }]);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Stock written off successfully',
+      data: entry
+    });
+    
+  } catch (error) {
+    const inventoryError = orderErrorFromDatabase(error);
+    if (inventoryError) {
+      return res.status(inventoryError.status).json(inventoryError.body);
+    }
+    
+    console.error('Write-off error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to write off stock' 
+    });
+  }
+});
+
+// 📌 41. ADMIN: PRODUCT STOCK LEDGER
+app.get('/api/admin/inventory/:product_id/ledger', authenticateToken, requirePermission('inventory:read'), validate({
+  params: { product_id: uuidField('Product ID') }
+}), async (req, res) => {
+  try {
+    const { product_id } = req.params;
+    
+    const { data: product, error: productError } = await supabase
+      .from('products')
+      .select('id, name, stock_quantity, low_stock_threshold')
+      .eq('id', product_id)
+      .maybeSingle();
+    
+    if (productError) throw productError;
+    
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Product not found' 
+      });
+    }
+    
+    const { data: entries, error } = await supabase
+      .from('inventory_log')
+      .select('*')
+      .eq('product_id', product_id)
+      .order('created_at', { ascending: true });
+    
+    if (error) throw error;
+    
+    const { data: variants, error: variantError } = await supabase
+      .from('product_variants')
+      .select('id, sku, name, stock_quantity, low_stock_threshold, is_active')
+      .eq('product_id', product_id)
+      .order('name', { ascending: true });
+    
+    if (variantError) throw variantError;
+    
+    // Product-level and per-variant stock are separate balances in the same ledger
+    const balanceOf = (variantId) => (entries || [])
+      .filter(entry => (entry.variant_id || null) === variantId)
+      .reduce((sum, entry) => sum + entry.quantity_change, 0);
+    
+    const ledgerBalance = balanceOf(null);
+    
+    res.json({
+      success: true,
+      data: {
+        product,
+        entries: entries || [],
+        ledger_balance: ledgerBalance,
+        is_consistent: ledgerBalance === product.stock_quantity,
+        variants: (variants || []).map(variant => ({
+          ...variant,
+          ledger_balance: balanceOf(variant.id),
+          is_consistent: balanceOf(variant.id) === variant.stock_quantity
+        }))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get stock ledger error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch stock ledger' 
+    });
+  }
+});
+
+// 📌 42. ADMIN: SET LOW STOCK THRESHOLD
+app.put('/api/admin/inventory/:product_id/threshold', authenticateToken, requirePermission('inventory:write'), validate({
+  params: { product_id: uuidField('Product ID') },
+  body: { low_stock_threshold: integerField('Low stock threshold', { min: 0, max: 100000 }) }
+}), async (req, res) => {
+  try {
+    const { product_id } = req.params;
+    const { low_stock_threshold: threshold } = req.body;
+    
+    const { data: product, error } = await supabase
+      .from('products')
+      .update({ low_stock_threshold: threshold, ...productChangeActor(req.user) })
+      .eq('id', product_id)
+      .select('id, name, stock_quantity, low_stock_threshold, version')
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Product not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Low stock threshold updated',
+      data: product
+    });
+    
+  } catch (error) {
+    console.error('Update threshold error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update low stock threshold' 
+    });
+  }
+});
+
+// ============================================
+// 🔧 REPAIR JOB ROUTES
+// ============================================
+
+// 📌 43. ADMIN: GET SERVICE JOB DETAILS (history + parts)
+app.get('/api/admin/services/:id', authenticateToken, requirePermission('services:read', 'services:read:assigned'), validate({
+  params: { id: uuidField('Service ID') }
+}), async (req, res) => {
+  try {
+    const access = await loadServiceForEmployee(req.params.id, req.user, 'services:read');
+    
+    if (access.error) {
+      return res.status(access.status).json({ success: false, error: access.error });
+    }
+    
+    const { data: service, error } = await supabase
+      .from('services')
+      .select(`
+        *,
+        customers (
+          name,
+          phone
+        ),
+        service_status_history (
+          from_status,
+          to_status,
+          note,
+          changed_by,
+          changed_by_role,
+          created_at
+        ),
+        service_parts (
+          id,
+          product_id,
+          part_name,
+          quantity,
+          unit_cost,
+          created_at
+        )
+      `)
+      .eq('id', req.params.id)
+      .single();
+    
+    if (error) throw error;
+    
+    service.service_status_history.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    
+    res.json({
+      success: true,
+      data: {
+        ...service,
+        allowed_statuses: allowedServiceTransitions(service),
+        parts_total: service.service_parts.reduce((sum, part) => sum + part.quantity * parseFloat(part.unit_cost || 0), 0)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get service details error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch service details' 
+    });
+  }
+});
+
+// 📌 44. ADMIN: SAVE DIAGNOSIS NOTES
+app.put('/api/admin/services/:id/diagnosis', authenticateToken, requirePermission('services:update', 'services:update:assigned'), validate({
+  params: { id: uuidField('Service ID') },
+  body: {
+    diagnosis_notes: textField('Diagnosis notes', 2000),
+    estimated_cost: optional(amountField('Estimated cost'))
+  }
+}), async (req, res) => {
+  try {
+    const { diagnosis_notes, estimated_cost } = req.body;
+    
+    const access = await loadServiceForEmployee(req.params.id, req.user, 'services:update');
+    
+    if (access.error) {
+      return res.status(access.status).json({ success: false, error: access.error });
+    }
+    
+    if (SERVICE_CLOSED_STATUSES.includes(access.service.status)) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Cannot change diagnosis on a closed job' 
+      });
+    }
+    
+    const updateData = {
+      diagnosis_notes,
+      diagnosed_by: req.user.id,
+      diagnosed_at: new Date(),
+      updated_at: new Date()
+    };
+    
+    if (estimated_cost !== undefined) {
+      updateData.estimated_cost = estimated_cost;
+    }
+    
+    const { data: service, error } = await supabase
+      .from('services')
+      .update(updateData)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      message: 'Diagnosis saved',
+      data: service
+    });
+    
+  } catch (error) {
+    console.error('Save diagnosis error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to save diagnosis' 
+    });
+  }
+});
+
+// 📌 45. ADMIN: ADD PART USED ON JOB
+app.post('/api/admin/services/:id/parts', authenticateToken, requirePermission('services:update', 'services:update:assigned'), validate({
+  params: { id: uuidField('Service ID') },
+  body: {
+    product_id: optional(uuidField('Product ID')),
+    part_name: optional(textField('Part name', 200)),
+    unit_cost: optional(amountField('Unit cost')),
+    quantity: optional(integerField('Quantity', { min: 1, max: 100 }), 1)
+  },
+  check: ({ body }) => !body.product_id && !body.part_name
+    ? [{ field: 'part_name', code: 'required', message: 'Product ID or part name is required' }]
+    : []
+}), async (req, res) => {
+  try {
+    const { product_id, part_name, unit_cost, quantity } = req.body;
+    
+    const access = await loadServiceForEmployee(req.params.id, req.user, 'services:update');
+    
+    if (access.error) {
+      return res.status(access.status).json({ success: false, error: access.error });
+    }
+    
+    if (SERVICE_CLOSED_STATUSES.includes(access.service.status)) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Cannot add parts to a closed job' 
+      });
+    }
+    
+    let name = part_name;
+    let cost = unit_cost !== undefined ? unit_cost : 0;
+    
+    // Parts taken from shop stock are booked out through the inventory ledger (in add_service_part)
+    if (product_id) {
+      const { data: product, error: productError } = await supabase
+        .from('products')
+        .select('id, name, price')
+        .eq('id', product_id)
+        .maybeSingle();
+      
+      if (productError) throw productError;
+      
+      if (!product) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Product not found' 
+        });
+      }
+      
+      name = name || product.name;
+      cost = unit_cost !== undefined ? cost : parseFloat(product.price);
+    }
+    
+    // The part and its stock movement are saved together or not at all
+    const { data: part, error } = await supabase.rpc('add_service_part', {
+      p_service_id: access.service.id,
+      p_product_id: product_id || null,
+      p_part_name: name,
+      p_quantity: quantity,
+      p_unit_cost: cost,
+      p_added_by: req.user.id
+    });
+    
+    if (error) throw error;
+    
+    if (product_id) {
+      appEvents.emit('inventory.changed', {});
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Part added to service job',
+      data: part
+    });
+    
+  } catch (error) {
+    const inventoryError = orderErrorFromDatabase(error);
+    if (inventoryError) {
+      return res.status(inventoryError.status).json(inventoryError.body);
+    }
+    
+    console.error('Add service part error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to add part' 
+    });
+  }
+});
+
+// 📌 46. ADMIN: ASSIGN TECHNICIAN
+app.put('/api/admin/services/:id/assign', authenticateToken, requirePermission('services:update'), validate({
+  params: { id: uuidField('Service ID') },
+  body: { technician_id: uuidField('Technician ID') }
+}), async (req, res) => {
+  try {
+    const { technician_id } = req.body;
+    
+    const { data: technician, error: technicianError } = await supabase
+      .from('employees')
+      .select('id, name, role, is_active')
+      .eq('id', technician_id)
+      .maybeSingle();
+    
+    if (technicianError) throw technicianError;
+    
+    if (!technician || !technician.is_active || technician.role !== 'technician') {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Technician not found or inactive' 
+      });
+    }
+    
+    const { data: service, error } = await supabase
+      .from('services')
+      .update({ technician_id, updated_at: new Date() })
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!service) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Service not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Service assigned to ${technician.name}`,
+      data: service
+    });
+    
+  } catch (error) {
+    console.error('Assign technician error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to assign technician' 
+    });
+  }
+});
+
+// ============================================
+// 📝 REPAIR QUOTE ROUTES
+// ============================================
+
+// 📌 47. ADMIN: ISSUE QUOTE FOR SERVICE JOB
+app.post('/api/admin/services/:id/quotes', authenticateToken, requirePermission('services:update', 'services:update:assigned'), validate({
+  params: { id: uuidField('Service ID') },
+  body: {
+    items: listField('Quote items', objectField('Quote item', {
+      description: textField('Description', 200),
+      type: optional(oneOfField('Type', QUOTE_ITEM_TYPES), 'part'),
+      quantity: optional(integerField('Quantity', { min: 1, max: 100 }), 1),
+      unit_price: amountField('Unit price')
+    }), { min: 1, max: 50 }),
+    notes: optional(textField('Notes', 1000))
+  }
+}), async (req, res) => {
+  try {
+    const { items, notes } = req.body;
+    
+    const quoteLines = normalizeQuoteItems(items);
+    
+    if (quoteLines.error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: quoteLines.error 
+      });
+    }
+    
+    const access = await loadServiceForEmployee(req.params.id, req.user, 'services:update');
+    
+    if (access.error) {
+      return res.status(access.status).json({ success: false, error: access.error });
+    }
+    
+    const service = access.service;
+    
+    if (!QUOTABLE_SERVICE_STATUSES.includes(service.status)) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Cannot issue a quote while the job is ${service.status}` 
+      });
+    }
+    
+    // A re-quote on an approved job goes back to the customer for approval
+    if (service.status !== 'quote_sent' && !allowedServiceTransitions(service).includes('quote_sent')) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Cannot change status from ${service.status} to quote_sent` 
+      });
+    }
+    
+    const linkToken = crypto.randomBytes(24).toString('hex');
+    
+    // Supersedes the quote awaiting an answer, adds this one and moves the job to
+    // quote_sent in one transaction
+    const { data: issued, error } = await supabase.rpc('issue_service_quote', {
+      p_service_id: service.id,
+      p_expected_status: service.status,
+      p_items: quoteLines.items,
+      p_parts_total: quoteLines.partsTotal,
+      p_labour_total: quoteLines.labourTotal,
+      p_total: quoteLines.total,
+      p_notes: notes || null,
+      p_link_token_hash: hashQuoteToken(linkToken),
+      p_link_expires_at: new Date(Date.now() + QUOTE_LINK_TTL_HOURS * 60 * 60 * 1000),
+      p_created_by: req.user.id,
+      p_created_by_role: req.user.role
+    });
+    
+    if (error && error.message === 'SERVICE_STATUS_CHANGED') {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Service status was changed by someone else. Please refresh.' 
+      });
+    }
+    
+    if (error) throw error;
+    
+    const { quote } = issued;
+    
+    if (service.status !== 'quote_sent') {
+      appEvents.emit('service.status_changed', {
+        service: issued.service,
+        from: service.status,
+        to: 'quote_sent',
+        note: issued.service.status_note
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Quote sent to customer',
+      data: {
+        quote: publicQuote(quote),
+        approval_link: `${PUBLIC_API_URL}/api/quotes/${linkToken}`
+      }
+    });
+    
+  } catch (error) {
+    console.error('Issue quote error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to issue quote' 
+    });
+  }
+});
+
+// 📌 48. GET CURRENT QUOTE FOR MY SERVICE JOB
+app.get('/api/my-services/:id/quote', authenticateToken, validate({
+  params: { id: uuidField('Service ID') }
+}), async (req, res) => {
+  try {
+    const { data: quotes, error } = await supabase
+      .from('service_quotes')
+      .select('*, services!inner(customer_id, status)')
+      .eq('service_id', req.params.id)
+      .eq('services.customer_id', req.user.id)
+      .neq('status', 'superseded')
+      .order('version', { ascending: false })
+      .limit(1);
+    
+    if (error) throw error;
+    
+    if (!quotes || quotes.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No quote found for this service' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: publicQuote(quotes[0])
+    });
+    
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch quote' 
+    });
+  }
+});
+
+// 📌 49. APPROVE / REJECT QUOTE (Logged-in customer)
+app.post('/api/my-services/:id/quote/respond', authenticateToken, validate({
+  params: { id: uuidField('Service ID') },
+  body: {
+    decision: oneOfField('Decision', ['approve', 'reject']),
+    note: optional(textField('Note', 500))
+  }
+}), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    
+    const { data: quote, error } = await supabase
+      .from('service_quotes')
+      .select('*, services!inner(customer_id)')
+      .eq('service_id', req.params.id)
+      .eq('services.customer_id', req.user.id)
+      .eq('status', 'sent')
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!quote) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No quote awaiting your approval' 
+      });
+    }
+    
+    const result = await respondToQuote(quote, decision, { channel: 'app', note });
+    
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Quote approved. We will start the repair.' : 'Quote rejected',
+      data: {
+        quote: publicQuote(result.quote),
+        service: result.service
+      }
+    });
+    
+  } catch (error) {
+    console.error('Respond to quote error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to respond to quote' 
+    });
+  }
+});
+
+// Looks up the quote behind a one-time link, or explains why the link is dead
+const findQuoteByLink = async (token) => {
+  const { data: quote, error } = await supabase
+    .from('service_quotes')
+    .select('*, services(device_type, problem_description)')
+    .eq('link_token_hash', hashQuoteToken(token))
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  if (!quote) {
+    return { status: 404, error: 'This quote link is not valid' };
+  }
+  
+  if (quote.status !== 'sent' || quote.link_used_at) {
+    return { status: 410, error: `This quote has already been ${quote.status === 'superseded' ? 'replaced by a newer quote' : quote.status}` };
+  }
+  
+  if (new Date(quote.link_expires_at) < new Date()) {
+    return { status: 410, error: 'This quote link has expired. Please contact the shop.' };
+  }
+  
+  return { quote };
+};
+
+const quotePage = (title, body) => `
+  <html>
+    <head><meta name="viewport" content="width=device-width, initial-scale=1"></head>
+    <body style="font-family:sans-serif; max-width:480px; margin:auto; padding:24px;">
+      <h2>${title}</h2>
+      ${body}
+    </body>
+  </html>
+`;
+
+// 📌 50. QUOTE APPROVAL PAGE (One-time link, no login)
+app.get('/api/quotes/:token', async (req, res) => {
+  try {
+    const lookup = await findQuoteByLink(req.params.token);
+    
+    if (lookup.error) {
+      return res.status(lookup.status).send(quotePage('📝 Repair Quote', `<p>${escapeHtml(lookup.error)}</p>`));
+    }
+    
+    const { quote } = lookup;
+    const device = quote.services || {};
+    
+    const rows = quote.items.map(item => `
+      <tr>
+        <td>${escapeHtml(item.description)}${item.type === 'labour' ? ' (labour)' : ''}</td>
+        <td style="text-align:right;">${item.quantity} × ₹${item.unit_price}</td>
+        <td style="text-align:right;">₹${item.line_total}</td>
+      </tr>
+    `).join('');
+    
+    res.send(quotePage('📝 Repair Quote', `
+      <p><strong>${escapeHtml(device.device_type)}</strong></p>
+      <p>${escapeHtml(device.problem_description)}</p>
+      <table style="width:100%; border-collapse:collapse;">${rows}</table>
+      <p>Parts: ₹${quote.parts_total} &nbsp; Labour: ₹${quote.labour_total}</p>
+      <h3>Total: ₹${quote.total}</h3>
+      ${quote.notes ? `<p>${escapeHtml(quote.notes)}</p>` : ''}
+      <form method="POST" action="/api/quotes/${escapeHtml(req.params.token)}">
+        <textarea name="note" placeholder="Note for the shop (optional)" style="width:100%;"></textarea>
+        <p>
+          <button name="decision" value="approve">✅ Approve</button>
+          <button name="decision" value="reject">❌ Reject</button>
+        </p>
+      </form>
+    `));
+    
+  } catch (error) {
+    console.error('Quote page error:', error);
+    res.status(500).send(quotePage('📝 Repair Quote', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+// 📌 51. QUOTE APPROVAL PAGE SUBMIT
+app.post('/api/quotes/:token', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).send(quotePage('📝 Repair Quote', '<p>Please choose approve or reject.</p>'));
+    }
+    
+    const lookup = await findQuoteByLink(req.params.token);
+    
+    if (lookup.error) {
+      return res.status(lookup.status).send(quotePage('📝 Repair Quote', `<p>${escapeHtml(lookup.error)}</p>`));
+    }
+    
+    const result = await respondToQuote(lookup.quote, decision, { channel: 'link', note });
+    
+    if (result.error) {
+      return res.status(result.status).send(quotePage('📝 Repair Quote', `<p>${escapeHtml(result.error)}</p>`));
+    }
+    
+    res.send(quotePage(
+      decision === 'approve' ? '✅ Quote Approved' : '❌ Quote Rejected',
+      decision === 'approve'
+        ? `<p>Thank you! We will start the repair. Approved amount: ₹${result.quote.total}</p>`
+        : '<p>We have recorded your decision. You can collect your device from the shop.</p>'
+    ));
+    
+  } catch (error) {
+    console.error('Quote page submit error:', error);
+    res.status(500).send(quotePage('📝 Repair Quote', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+// ============================================
+// 🛡️ WARRANTY ROUTES
+// ============================================
+
+// 📌 52. GET MY WARRANTIES
+app.get('/api/my-warranties', authenticateToken, async (req, res) => {
+  try {
+    const { data: warranties, error } = await supabase
+      .from('warranties')
+      .select('*, warranty_claims(id, status, rejection_reason, claim_service_id, created_at)')
+      .eq('customer_id', req.user.id)
+      .order('expires_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    const now = new Date();
+    
+    res.json({
+      success: true,
+      data: (warranties || []).map(warranty => ({
+        ...warranty,
+        is_valid: warranty.status === 'active' && new Date(warranty.expires_at) >= now
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get warranties error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch warranties' 
+    });
+  }
+});
+
+// 📌 53. ADMIN: LOOK UP WARRANTIES BY PHONE OR JOB ID
+app.get('/api/admin/warranties/lookup', authenticateToken, requirePermission('services:read', 'customers:read'), validate({
+  query: {
+    phone: optional(phoneField()),
+    job_id: optional(uuidField('Job ID'))
+  }
+}), async (req, res) => {
+  try {
+    const { phone, job_id } = req.query;
+    
+    if (!phone && !job_id) {
+      return rejectField(res, 'phone', 'Phone or job ID is required', 'required', 'query');
+    }
+    
+    let query = supabase
+      .from('warranties')
+      .select(`
+        *,
+        customers (
+          name,
+          phone
+        ),
+        warranty_claims (
+          id,
+          issue_description,
+          status,
+          rejection_reason,
+          claim_service_id,
+          created_at
+        )
+      `)
+      .order('expires_at', { ascending: false });
+    
+    if (job_id) {
+      // A job ID may be the repair job or the order the product came from
+      query = query.or(`service_id.eq.${job_id},order_id.eq.${job_id}`);
+    } else {
+      const { data: customer, error: customerError } = await supabase
+        .from('customers')
+        .select('id')
+        .eq('phone', phone)
+        .maybeSingle();
+      
+      if (customerError) throw customerError;
+      
+      if (!customer) {
+        return res.json({ success: true, data: [] });
+      }
+      
+      query = query.eq('customer_id', customer.id);
+    }
+    
+    const { data: warranties, error } = await query;
+    
+    if (error) throw error;
+    
+    const now = new Date();
+    
+    res.json({
+      success: true,
+      data: (warranties || []).map(warranty => ({
+        ...warranty,
+        is_valid: warranty.status === 'active' && new Date(warranty.expires_at) >= now
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Warranty lookup error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to look up warranties' 
+    });
+  }
+});
+
+// 📌 54. FILE WARRANTY CLAIM (Customer for own warranty, or staff at the counter)
+app.post('/api/warranties/:id/claims', authenticateToken, validate({
+  params: { id: uuidField('Warranty ID') },
+  body: { issue_description: textField('Issue description', 2000) }
+}), async (req, res) => {
+  try {
+    const { issue_description } = req.body;
+    const isStaff = hasPermission(req.user, 'services:update');
+    
+    const { data: warranty, error } = await supabase
+      .from('warranties')
+      .select('*, services!warranties_service_id_fkey(device_type)')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!warranty || (!isStaff && warranty.customer_id !== req.user.id)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Warranty not found' 
+      });
+    }
+    
+    const rejection = warrantyClaimRejection(warranty);
+    
+    if (rejection) {
+      const { data: claim, error: claimError } = await supabase
+        .from('warranty_claims')
+        .insert([{
+          warranty_id: warranty.id,
+          customer_id: warranty.customer_id,
+          issue_description,
+          status: 'rejected',
+          rejection_reason: rejection,
+          created_by: req.user.id,
+          created_at: new Date()
+        }])
+        .select()
+        .single();
+      
+      if (claimError) throw claimError;
+      
+      return res.status(422).json({ 
+        success: false, 
+        error: rejection,
+        data: claim
+      });
+    }
+    
+    // Zero-cost job linked to the warranty and the accepted claim, in one transaction
+    const { data: opened, error: openError } = await supabase.rpc('open_warranty_claim', {
+      p_warranty_id: warranty.id,
+      p_customer_id: warranty.customer_id,
+      p_service_type: warranty.category,
+      p_device_type: warranty.services ? warranty.services.device_type : warranty.description,
+      p_issue_description: issue_description,
+      p_created_by: req.user.id,
+      p_created_by_role: req.user.role
+    });
+    
+    if (openError) {
+      if (openError.code === '23505') {
+        return res.status(409).json({ 
+          success: false, 
+          error: 'A warranty claim for this item is already being handled' 
+        });
+      }
+      throw openError;
+    }
+    
+    const { claim, service } = opened;
+    
+    appEvents.emit('service.created', { service });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Warranty claim accepted. Repair job created at no cost.',
+      data: {
+        claim,
+        service
+      }
+    });
+    
+  } catch (error) {
+    console.error('Warranty claim error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to file warranty claim' 
+    });
+  }
+});
+
+// ============================================
+// 💻 LAPTOP RENTAL ROUTES
+// ============================================
+
+// 📌 55. GET RENTAL LAPTOPS (Public)
+app.get('/api/rentals/models', async (req, res) => {
+  try {
+    const { data: models, error } = await supabase
+      .from('rental_models')
+      .select(`
+        id,
+        name,
+        specs,
+        image_url,
+        rental_rates (
+          period,
+          price
+        ),
+        rental_units (
+          status
+        )
+      `)
+      .eq('is_active', true)
+      .order('name', { ascending: true });
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      data: (models || []).map(({ rental_units, rental_rates, ...model }) => ({
+        ...model,
+        rates: rental_rates
+          .sort((a, b) => RENTAL_PERIODS[a.period].hours - RENTAL_PERIODS[b.period].hours)
+          .map(rate => ({ ...rate, label: RENTAL_PERIODS[rate.period].label })),
+        units_in_service: rental_units.filter(unit => unit.status === 'available').length
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get rental models error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch rental laptops' 
+    });
+  }
+});
+
+// 📌 56. RENTAL AVAILABILITY CALENDAR (Public)
+// ?from=&to= returns busy slots per unit; add ?start=&period= to check a specific window
+app.get('/api/rentals/models/:id/availability', validate({
+  params: { id: uuidField('Laptop ID') },
+  query: {
+    start: optional(dateField('Start time')),
+    period: optional(oneOfField('Rental period', Object.keys(RENTAL_PERIODS))),
+    from: optional(dateField('Calendar start')),
+    to: optional(dateField('Calendar end'))
+  }
+}), async (req, res) => {
+  try {
+    const { start, period } = req.query;
+    
+    const { data: model, error: modelError } = await supabase
+      .from('rental_models')
+      .select('id, name, is_active, rental_rates(period, price)')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    
+    if (modelError) throw modelError;
+    
+    if (!model || !model.is_active) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Laptop not found' 
+      });
+    }
+    
+    let requested = null;
+    if (start || period) {
+      requested = parseRentalWindow(start, period);
+      
+      if (requested.error) {
+        return res.status(400).json({ 
+          success: false, 
+          error: requested.error 
+        });
+      }
+    }
+    
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 14 * 24 * 60 * 60 * 1000);
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid calendar range' 
+      });
+    }
+    
+    if (to - from > RENTAL_CALENDAR_MAX_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Calendar range cannot exceed ${RENTAL_CALENDAR_MAX_DAYS} days` 
+      });
+    }
+    
+    // Load enough of the schedule to cover both the calendar and the requested window
+    const scheduleFrom = requested && requested.startsAt < from ? requested.startsAt : from;
+    const scheduleTo = requested && requested.endsAt > to ? requested.endsAt : to;
+    const schedule = await loadModelSchedule(model.id, scheduleFrom, scheduleTo);
+    
+    // Units are numbered rather than identified so serials stay internal
+    const calendar = schedule.units.map((unit, index) => ({
+      unit: index + 1,
+      busy: schedule.bookings
+        .filter(booking => booking.unit_id === unit.id && new Date(booking.starts_at) < to && new Date(booking.ends_at) > from)
+        .map(booking => ({ starts_at: booking.starts_at, ends_at: booking.ends_at }))
+    }));
+    
+    let check = null;
+    if (requested) {
+      const rate = model.rental_rates.find(r => r.period === period);
+      const freeUnits = freeUnitsFor(schedule, requested.startsAt, requested.endsAt);
+      
+      check = {
+        starts_at: requested.startsAt,
+        ends_at: requested.endsAt,
+        period,
+        price: rate ? parseFloat(rate.price) : null,
+        available: Boolean(rate) && freeUnits.length > 0,
+        free_units: freeUnits.length
+      };
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        model_id: model.id,
+        name: model.name,
+        from,
+        to,
+        total_units: schedule.units.length,
+        calendar,
+        requested: check
+      }
+    });
+    
+  } catch (error) {
+    console.error('Rental availability error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to check availability' 
+    });
+  }
+});
+
+// 📌 57. BOOK A RENTAL LAPTOP (OTP-verified guest)
+app.post('/api/rentals/bookings', validate({
+  body: {
+    name: textField('Name', 100),
+    phone: phoneField(),
+    model_id: uuidField('Laptop'),
+    period: oneOfField('Rental period', Object.keys(RENTAL_PERIODS)),
+    starts_at: dateField('Start time'),
+    delivery_option: optional(oneOfField('Delivery option', ['store', 'home']), 'store'),
+    delivery_address: optional(textField('Delivery address', 500)),
+    verification_token: VERIFICATION_TOKEN_FIELD
+  },
+  check: ({ body }) => {
+    const rentalWindow = parseRentalWindow(body.starts_at, body.period);
+    return [
+      body.delivery_option === 'home' && !body.delivery_address &&
+        { field: 'delivery_address', code: 'required', message: 'Delivery address is required for home delivery' },
+      rentalWindow.error && { field: 'starts_at', code: 'not_allowed', message: rentalWindow.error }
+    ].filter(Boolean);
+  }
+}), requireOtpVerification(req => req.body.phone, 'order', { claim: false }), async (req, res) => {
+  try {
+    const { name, phone, model_id, period, starts_at, delivery_option, delivery_address } = req.body;
+    const rentalWindow = parseRentalWindow(starts_at, period);
+    
+    const { data: rate, error: rateError } = await supabase
+      .from('rental_rates')
+      .select('price, rental_models!inner(name, is_active)')
+      .eq('model_id', model_id)
+      .eq('period', period)
+      .eq('rental_models.is_active', true)
+      .maybeSingle();
+    
+    if (rateError) throw rateError;
+    
+    if (!rate) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'This laptop is not available for the selected period' 
+      });
+    }
+    
+    const customer = await findOrCreateCustomerByPhone(name, phone);
+    const schedule = await loadModelSchedule(model_id, rentalWindow.startsAt, rentalWindow.endsAt);
+    
+    // The exclusion constraint is the real guard: if someone grabs a unit
+    // between our read and insert, fall through to the next free one.
+    // The booking and the OTP claim are one transaction.
+    for (const unit of freeUnitsFor(schedule, rentalWindow.startsAt, rentalWindow.endsAt)) {
+      const { data: booking, error } = await supabase.rpc('book_verified_rental', {
+        p_otp_id: req.otpVerification.otp_id,
+        p_unit_id: unit.id,
+        p_customer_id: customer.id,
+        p_period: period,
+        p_starts_at: rentalWindow.startsAt,
+        p_ends_at: rentalWindow.endsAt,
+        p_price: rate.price,
+        p_delivery_option: delivery_option,
+        p_delivery_address: delivery_option === 'home' ? delivery_address : null
+      });
+      
+      if (error && error.code === '23P01') continue;
+      if (error) throw error;
+      
+      return res.status(201).json({
+        success: true,
+        message: 'Laptop reserved successfully',
+        data: {
+          ...booking,
+          laptop: rate.rental_models.name,
+          period_label: RENTAL_PERIODS[period].label,
+          // Lets the customer attach an ID proof to this booking only
+          upload_token: jwt.sign(
+            { type: 'rental_upload', booking_id: booking.id },
+            process.env.JWT_SECRET || 'your-secret-key-change-this',
+            { expiresIn: '1h' }
+          )
+        }
+      });
+    }
+    
+    res.status(409).json({ 
+      success: false, 
+      error: 'No laptop of this model is free for the selected time. Please pick another slot.' 
+    });
+    
+  } catch (error) {
+    const orderError = orderErrorFromDatabase(error);
+    if (orderError) {
+      return res.status(orderError.status).json(orderError.body);
+    }
+    
+    console.error('Rental booking error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to book laptop' 
+    });
+  }
+});
+
+// 📌 58. ADMIN: ADD RENTAL MODEL WITH RATES
+app.post('/api/admin/rentals/models', authenticateToken, requirePermission('rentals:write'), validate({
+  body: {
+    name: textField('Name', 100),
+    specs: optional(textField('Specs', 1000)),
+    image_url: optional(urlField('Image link')),
+    rates: RENTAL_RATES_FIELD
+  }
+}), async (req, res) => {
+  try {
+    const { name, specs, image_url, rates } = req.body;
+    const rateRows = Object.entries(rates).map(([period, price]) => ({ period, price }));
+    
+    const { data: model, error } = await supabase
+      .from('rental_models')
+      .insert([{ name, specs, image_url, created_at: new Date() }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    const { data: savedRates, error: ratesError } = await supabase
+      .from('rental_rates')
+      .insert(rateRows.map(rate => ({ ...rate, model_id: model.id })))
+      .select('period, price');
+    
+    if (ratesError) throw ratesError;
+    
+    res.status(201).json({
+      success: true,
+      message: 'Rental laptop added',
+      data: { ...model, rates: savedRates }
+    });
+    
+  } catch (error) {
+    console.error('Create rental model error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to add rental laptop' 
+    });
+  }
+});
+
+// 📌 59. ADMIN: UPDATE RENTAL RATES
+app.put('/api/admin/rentals/models/:id/rates', authenticateToken, requirePermission('rentals:write'), validate({
+  params: { id: uuidField('Laptop ID') },
+  body: { rates: RENTAL_RATES_FIELD }
+}), async (req, res) => {
+  try {
+    const rateRows = Object.entries(req.body.rates).map(([period, price]) => ({
+      model_id: req.params.id,
+      period,
+      price
+    }));
+    
+    const { data: rates, error } = await supabase
+      .from('rental_rates')
+      .upsert(rateRows, { onConflict: 'model_id,period' })
+      .select('period, price');
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      message: 'Rental rates updated',
+      data: rates
+    });
+    
+  } catch (error) {
+    console.error('Update rental rates error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update rental rates' 
+    });
+  }
+});
+
+// 📌 60. ADMIN: ADD RENTAL UNIT
+app.post('/api/admin/rentals/units', authenticateToken, requirePermission('rentals:write'), validate({
+  body: {
+    model_id: uuidField('Model'),
+    serial_number: textField('Serial number', 100),
+    notes: optional(textField('Notes', 1000))
+  }
+}), async (req, res) => {
+  try {
+    const { model_id, serial_number, notes } = req.body;
+    
+    const { data: unit, error } = await supabase
+      .from('rental_units')
+      .insert([{ model_id, serial_number, notes, created_at: new Date() }])
+      .select()
+      .single();
+    
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ 
+          success: false, 
+          error: 'A unit with this serial number already exists' 
+        });
+      }
+      throw error;
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Rental unit added',
+      data: unit
+    });
+    
+  } catch (error) {
+    console.error('Create rental unit error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to add rental unit' 
+    });
+  }
+});
+
+// 📌 61. ADMIN: UPDATE RENTAL UNIT STATUS
+app.put('/api/admin/rentals/units/:id', authenticateToken, requirePermission('rentals:write'), validate({
+  params: { id: uuidField('Unit ID') },
+  body: {
+    status: oneOfField('Status', ['available', 'maintenance', 'retired']),
+    notes: nullable(textField('Notes', 1000))
+  }
+}), async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+    
+    // Taking a unit out of service must not strand customers holding bookings on it
+    if (status !== 'available') {
+      const { count: upcoming, error: upcomingError } = await supabase
+        .from('rental_bookings')
+        .select('*', { count: 'exact', head: true })
+        .eq('unit_id', req.params.id)
+        .in('status', RENTAL_BLOCKING_STATUSES)
+        .gt('ends_at', new Date().toISOString());
+      
+      if (upcomingError) throw upcomingError;
+      
+      if (upcoming > 0) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Unit has ${upcoming} active or upcoming booking(s). Move or cancel them first.` 
+        });
+      }
+    }
+    
+    const updateData = { status };
+    if (notes !== undefined) updateData.notes = notes;
+    
+    const { data: unit, error } = await supabase
+      .from('rental_units')
+      .update(updateData)
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!unit) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Rental unit not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Rental unit updated',
+      data: unit
+    });
+    
+  } catch (error) {
+    console.error('Update rental unit error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update rental unit' 
+    });
+  }
+});
+
+// 📌 62. ADMIN: GET RENTAL BOOKINGS
+app.get('/api/admin/rentals/bookings', authenticateToken, requirePermission('rentals:read'), validate({
+  query: {
+    status: optional(oneOfField('Status', ['all', 'reserved', 'checked_out', 'returned', 'cancelled'])),
+    from: optional(dateField('From')),
+    to: optional(dateField('To')),
+    ...pageQuery(100)
+  }
+}), async (req, res) => {
+  try {
+    const { status, from, to, page, limit } = req.query;
+    
+    let query = supabase
+      .from('rental_bookings')
+      .select(`
+        *,
+        customers (
+          name,
+          phone
+        ),
+        rental_units (
+          serial_number,
+          rental_models (
+            name
+          )
+        )
+      `, { count: 'exact' })
+      .order('starts_at', { ascending: true });
+    
+    if (status && status !== 'all') {
+      query = query.eq('status', status);
+    }
+    
+    if (from) {
+      query = query.gte('ends_at', from);
+    }
+    
+    if (to) {
+      query = query.lte('starts_at', to);
+    }
+    
+    const fromIndex = (page - 1) * limit;
+    const toIndex = fromIndex + limit - 1;
+    
+    const { data: bookings, error, count } = await query.range(fromIndex, toIndex);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      data: bookings,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get rental bookings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch rental bookings' 
+    });
+  }
+});
+
+// 📌 63. ADMIN: CANCEL RENTAL BOOKING
+app.put('/api/admin/rentals/bookings/:id/cancel', authenticateToken, requirePermission('rentals:write'), validate({
+  params: { id: uuidField('Booking ID') },
+  body: { reason: optional(textField('Reason', 500)) }
+}), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    const { data: booking, error } = await supabase
+      .from('rental_bookings')
+      .update({ status: 'cancelled', cancel_reason: reason || null, updated_at: new Date() })
+      .eq('id', req.params.id)
+      .eq('status', 'reserved')
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!booking) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Only reserved bookings can be cancelled' 
+      });
+    }
+    
+    await scheduleIdProofPurge(booking.id);
+    
+    res.json({
+      success: true,
+      message: 'Booking cancelled',
+      data: booking
+    });
+    
+  } catch (error) {
+    console.error('Cancel rental booking error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to cancel booking' 
+    });
+  }
+});
+
+// 📌 64. ADMIN: CHECK OUT RENTAL (hand laptop to customer)
+app.put('/api/admin/rentals/bookings/:id/check-out', authenticateToken, requirePermission('rentals:write'), validate({
+  params: { id: uuidField('Booking ID') },
+  body: {
+    condition_notes: textField('Condition notes', 2000),
+    photos: optional(listField('Photos', dataUrlField('Photo'), { max: CONDITION_PHOTO_MAX_COUNT })),
+    deposit_amount: optional(amountField('Deposit amount')),
+    deposit_method: optional(oneOfField('Deposit method', RENTAL_DEPOSIT_METHODS))
+  }
+}), async (req, res) => {
+  try {
+    const { condition_notes, photos, deposit_method } = req.body;
+    
+    const { data: booking, error: bookingError } = await supabase
+      .from('rental_bookings')
+      .select('*, rental_units(model_id, rental_models(deposit_amount))')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    
+    if (bookingError) throw bookingError;
+    
+    if (!booking) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Booking not found' 
+      });
+    }
+    
+    if (booking.status !== 'reserved') {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Cannot check out a booking that is ${booking.status}` 
+      });
+    }
+    
+    // The previous renter of this unit may not have brought it back yet
+    const { count: stillOut, error: stillOutError } = await supabase
+      .from('rental_bookings')
+      .select('*', { count: 'exact', head: true })
+      .eq('unit_id', booking.unit_id)
+      .eq('status', 'checked_out');
+    
+    if (stillOutError) throw stillOutError;
+    
+    if (stillOut > 0) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'This unit has not been returned by the previous renter yet' 
+      });
+    }
+    
+    const depositAmount = req.body.deposit_amount !== undefined
+      ? req.body.deposit_amount
+      : parseFloat(booking.rental_units.rental_models.deposit_amount);
+    
+    if (depositAmount > 0 && !deposit_method) {
+      return rejectField(res, 'deposit_method', `Deposit method must be one of: ${RENTAL_DEPOSIT_METHODS.join(', ')}`);
+    }
+    
+    const upload = await saveConditionPhotos(booking.id, 'checkout', photos);
+    
+    if (upload.error) {
+      return rejectField(res, 'photos', upload.error, 'invalid_format');
+    }
+    
+    const { data: updated, error } = await supabase
+      .from('rental_bookings')
+      .update({
+        status: 'checked_out',
+        checked_out_at: new Date(),
+        checked_out_by: req.user.id,
+        checkout_condition: condition_notes,
+        checkout_photos: upload.photos,
+        deposit_amount: depositAmount,
+        deposit_method: depositAmount > 0 ? deposit_method : null,
+        deposit_status: depositAmount > 0 ? 'held' : 'none',
+        updated_at: new Date()
+      })
+      .eq('id', booking.id)
+      .eq('status', 'reserved')
+      .select()
+      .maybeSingle();
+    
+    if (error || !updated) await removeConditionPhotos(upload.photos);
+    
+    if (error) throw error;
+    
+    if (!updated) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Booking was changed by someone else. Please refresh.' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: depositAmount > 0 ? `Laptop checked out. Deposit of ₹${depositAmount} held.` : 'Laptop checked out',
+      data: updated
+    });
+    
+  } catch (error) {
+    console.error('Rental check-out error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to check out rental' 
+    });
+  }
+});
+
+// 📌 65. ADMIN: CHECK IN RENTAL (laptop returned)
+app.put('/api/admin/rentals/bookings/:id/check-in', authenticateToken, requirePermission('rentals:write'), validate({
+  params: { id: uuidField('Booking ID') },
+  body: {
+    condition_notes: textField('Condition notes', 2000),
+    photos: optional(listField('Photos', dataUrlField('Photo'), { max: CONDITION_PHOTO_MAX_COUNT })),
+    damage_charge: optional(amountField('Damage charge'), 0)
+  }
+}), async (req, res) => {
+  try {
+    const { condition_notes, photos, damage_charge: damageCharge } = req.body;
+    
+    const { data: booking, error: bookingError } = await supabase
+      .from('rental_bookings')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    
+    if (bookingError) throw bookingError;
+    
+    if (!booking) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Booking not found' 
+      });
+    }
+    
+    if (booking.status !== 'checked_out') {
+      return res.status(409).json({ 
+        success: false, 
+        error: `Cannot check in a booking that is ${booking.status}` 
+      });
+    }
+    
+    const upload = await saveConditionPhotos(booking.id, 'return', photos);
+    
+    if (upload.error) {
+      return rejectField(res, 'photos', upload.error, 'invalid_format');
+    }
+    
+    const returnedAt = new Date();
+    const { lateMinutes, lateFee } = computeRentalLateFee(booking, returnedAt);
+    
+    // Charges come out of the deposit first; anything beyond it is still owed
+    const charges = Math.round((lateFee + damageCharge) * 100) / 100;
+    const deposit = parseFloat(booking.deposit_amount || 0);
+    const refund = Math.max(0, Math.round((deposit - charges) * 100) / 100);
+    const balanceDue = Math.max(0, Math.round((charges - deposit) * 100) / 100);
+    
+    let depositStatus = 'none';
+    if (booking.deposit_status === 'held') {
+      depositStatus = refund === deposit ? 'released' : refund > 0 ? 'partially_released' : 'forfeited';
+    }
+    
+    const { data: updated, error } = await supabase
+      .from('rental_bookings')
+      .update({
+        status: 'returned',
+        returned_at: returnedAt,
+        returned_by: req.user.id,
+        return_condition: condition_notes,
+        return_photos: upload.photos,
+        late_minutes: lateMinutes,
+        late_fee: lateFee,
+        damage_charge: damageCharge,
+        balance_due: balanceDue,
+        deposit_status: depositStatus,
+        deposit_refund_amount: booking.deposit_status === 'held' ? refund : null,
+        deposit_released_at: booking.deposit_status === 'held' ? returnedAt : null,
+        updated_at: returnedAt
+      })
+      .eq('id', booking.id)
+      .eq('status', 'checked_out')
+      .select()
+      .maybeSingle();
+    
+    if (error || !updated) await removeConditionPhotos(upload.photos);
+    
+    if (error) throw error;
+    
+    if (!updated) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Booking was changed by someone else. Please refresh.' 
+      });
+    }
+    
+    await scheduleIdProofPurge(booking.id);
+    
+    res.json({
+      success: true,
+      message: 'Laptop checked in',
+      data: updated,
+      settlement: {
+        late_minutes: lateMinutes,
+        late_fee: lateFee,
+        damage_charge: damageCharge,
+        deposit_held: deposit,
+        deposit_refund: booking.deposit_status === 'held' ? refund : 0,
+        balance_due: balanceDue
+      }
+    });
+    
+  } catch (error) {
+    console.error('Rental check-in error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to check in rental' 
+    });
+  }
+});
+
+// 📌 66. ADMIN: OVERDUE RENTALS
+app.get('/api/admin/rentals/overdue', authenticateToken, requirePermission('rentals:read'), async (req, res) => {
+  try {
+    const { data: bookings, error } = await supabase
+      .from('rental_bookings')
+      .select(`
+        *,
+        customers (
+          name,
+          phone
+        ),
+        rental_units (
+          serial_number,
+          rental_models (
+            name
+          )
+        )
+      `)
+      .eq('status', 'checked_out')
+      .lt('ends_at', new Date().toISOString())
+      .order('ends_at', { ascending: true });
+    
+    if (error) throw error;
+    
+    const now = new Date();
+    
+    res.json({
+      success: true,
+      data: (bookings || []).map(booking => {
+        const { lateMinutes, lateFee } = computeRentalLateFee(booking, now);
+        return {
+          ...booking,
+          overdue_minutes: lateMinutes,
+          late_fee_so_far: lateFee
+        };
+      })
+    });
+    
+  } catch (error) {
+    console.error('Get overdue rentals error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch overdue rentals' 
+    });
+  }
+});
+
+// 📌 67. ADMIN: VIEW RENTAL CONDITION PHOTO
+app.get('/api/admin/rentals/bookings/:id/photos/:photoId', authenticateToken, requirePermission('rentals:read'), validate({
+  params: {
+    id: uuidField('Booking ID'),
+    photoId: textField('Photo ID', 100)
+  }
+}), async (req, res) => {
+  try {
+    const { data: booking, error: bookingError } = await supabase
+      .from('rental_bookings')
+      .select('checkout_photos, return_photos')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    
+    if (bookingError) throw bookingError;
+    
+    const photo = booking && [...(booking.checkout_photos || []), ...(booking.return_photos || [])]
+      .find(p => p.id === req.params.photoId);
+    
+    if (!photo) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Photo not found' 
+      });
     }
-
-    console.log('✅ Database initialized successfully!');
+    
+    const buffer = await getStorageAdapter(photo.storage_driver).get(photo.key);
+    
+    res.set('Cache-Control', 'private, no-store');
+    res.type(photo.content_type);
+    res.send(buffer);
     
   } catch (error) {
-    console.error('❌ Database initialization error:', error.message);
+    console.error('Get rental photo error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch photo' 
+    });
   }
-}
-
-// ============================================
-// 🔐 MIDDLEWARE FUNCTIONS
-// ============================================
+});
 
-const authenticateToken = (req, res, next) => {
+// Who may attach an ID proof: the customer holding the booking's upload token, or rental staff.
+// Staff are checked against their current account, as authenticateToken does.
+const bookingUploader = async (req, bookingId) => {
+  const secret = process.env.JWT_SECRET || 'your-secret-key-change-this';
+  const uploadToken = req.headers['x-upload-token'];
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ success: false, error: 'Access token required' });
-  }
+  const bearer = authHeader && authHeader.split(' ')[1];
+  let payload;
   
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-this');
-    req.user = decoded;
-    next();
+    payload = jwt.verify(uploadToken || bearer || '', secret);
   } catch (error) {
-    return res.status(403).json({ success: false, error: 'Invalid or expired token' });
+    return null;
   }
-};
-
-const isAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ success: false, error: 'Admin access required' });
+  
+  if (uploadToken) {
+    return payload.type === 'rental_upload' && payload.booking_id === bookingId ? { role: 'customer' } : null;
   }
-  next();
+  
+  if (payload.type !== 'employee') return null;
+  
+  const role = await activeEmployeeRole(payload.id);
+  const user = { ...payload, role };
+  
+  return role && hasPermission(user, 'rentals:write') ? user : null;
 };
 
-// ============================================
-// 🚀 API ROUTES START HERE
-// ============================================
-
-// 📌 1. HEALTH CHECK
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    success: true, 
-    message: 'Step\'sEazy API is running 🚀',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
-});
-
-// 📌 2. USER REGISTRATION
-app.post('/api/register', async (req, res) => {
+// 📌 68. UPLOAD RENTAL ID PROOF
+app.post('/api/rentals/bookings/:id/id-proof', validate({
+  params: { id: uuidField('Booking ID') },
+  body: { file: dataUrlField('ID proof') }
+}), async (req, res) => {
   try {
-    const { name, phone, email, password } = req.body;
+    const uploader = await bookingUploader(req, req.params.id);
     
-    if (!name || !phone || !password) {
-      return res.status(400).json({ 
+    if (!uploader) {
+      return res.status(403).json({ 
         success: false, 
-        error: 'Name, phone and password are required' 
+        error: 'Not allowed to upload for this booking' 
       });
     }
     
-    // Check if user already exists
-    const { data: existingUser } = await supabase
-      .from('customers')
-      .select('id')
-      .eq('phone', phone)
-      .single();
+    const upload = decodeUpload(req.body.file, ID_PROOF_TYPES, ID_PROOF_MAX_BYTES);
     
-    if (existingUser) {
-      return res.status(400).json({ 
+    if (upload.error) {
+      return rejectField(res, 'file', upload.error, 'invalid_format');
+    }
+    
+    const { data: booking, error: bookingError } = await supabase
+      .from('rental_bookings')
+      .select('id, status')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    
+    if (bookingError) throw bookingError;
+    
+    if (!booking) {
+      return res.status(404).json({ 
         success: false, 
-        error: 'User with this phone already exists' 
+        error: 'Booking not found' 
       });
     }
     
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    if (!RENTAL_BLOCKING_STATUSES.includes(booking.status)) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'ID proof can only be added to an active booking' 
+      });
+    }
     
-    // Create user
-    const { data: user, error } = await supabase
-      .from('customers')
+    const driver = storageDriverName();
+    const key = `id-proofs/${booking.id}/${crypto.randomUUID()}.${upload.extension}`;
+    await getStorageAdapter(driver).put(key, upload.buffer, upload.contentType);
+    
+    const { data: proof, error } = await supabase
+      .from('rental_id_proofs')
       .insert([{
-        name,
-        phone,
-        email: email || null,
-        password: hashedPassword,
-        created_at: new Date()
+        booking_id: booking.id,
+        storage_driver: driver,
+        storage_key: key,
+        content_type: upload.contentType,
+        size_bytes: upload.buffer.length,
+        sha256: crypto.createHash('sha256').update(upload.buffer).digest('hex'),
+        uploaded_by_role: uploader.role,
+        uploaded_at: new Date()
       }])
-      .select()
+      .select('id, content_type, size_bytes, uploaded_at')
       .single();
     
-    if (error) throw error;
+    if (error) {
+      await getStorageAdapter(driver).remove(key);
+      throw error;
+    }
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        phone: user.phone, 
-        name: user.name,
-        role: 'customer' 
-      },
-      process.env.JWT_SECRET || 'your-secret-key-change-this',
-      { expiresIn: '7d' }
-    );
+    // Only the latest proof is kept; earlier uploads for this booking are deleted now
+    const { data: previous, error: previousError } = await supabase
+      .from('rental_id_proofs')
+      .select('id, storage_driver, storage_key')
+      .eq('booking_id', booking.id)
+      .is('deleted_at', null)
+      .neq('id', proof.id);
     
-    // Remove password from response
-    delete user.password;
+    if (previousError) throw previousError;
+    
+    for (const old of previous || []) {
+      await deleteIdProof(old);
+    }
     
     res.status(201).json({
       success: true,
-      message: 'Registration successful',
-      token,
-      user
+      message: 'ID proof uploaded securely',
+      data: proof
     });
     
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('ID proof upload error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Internal server error' 
+      error: 'Failed to upload ID proof' 
     });
   }
 });
 
-// 📌 3. USER LOGIN
-app.post('/api/login', async (req, res) => {
+// 📌 69. ADMIN: GET SIGNED LINK TO RENTAL ID PROOF
+app.get('/api/admin/rentals/bookings/:id/id-proof', authenticateToken, isAdmin, validate({
+  params: { id: uuidField('Booking ID') }
+}), async (req, res) => {
   try {
-    const { phone, password } = req.body;
-    
-    if (!phone || !password) {
-      return res.status(400).json({ 
+    const { data: proof, error: proofError } = await supabase
+      .from('rental_id_proofs')
+      .select('id, content_type, size_bytes, uploaded_at, purge_after')
+      .eq('booking_id', req.params.id)
+      .is('deleted_at', null)
+      .order('uploaded_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    if (proofError) throw proofError;
+    
+    if (!proof) {
+      return res.status(404).json({ 
         success: false, 
-        error: 'Phone and password are required' 
+        error: 'No ID proof on file for this booking' 
       });
     }
     
-    // Find user by phone
-    const { data: user, error } = await supabase
-      .from('customers')
-      .select('*')
-      .eq('phone', phone)
-      .single();
+    res.json({
+      success: true,
+      data: {
+        ...proof,
+        ...signFileUrl('id-proofs', proof.id)
+      }
+    });
     
-    if (error || !user) {
-      return res.status(401).json({ 
+  } catch (error) {
+    console.error('Get ID proof link error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create ID proof link' 
+    });
+  }
+});
+
+// 📌 70. SIGNED FILE DOWNLOAD (ID proofs)
+app.get('/api/files/id-proofs/:id', async (req, res) => {
+  try {
+    const { expires, signature } = req.query;
+    
+    if (!fileUrlValid('id-proofs', req.params.id, expires, signature)) {
+      return res.status(403).json({ 
         success: false, 
-        error: 'Invalid phone or password' 
+        error: 'This link is invalid or has expired' 
       });
     }
     
-    // Check password
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(401).json({ 
+    const { data: proof, error: proofError } = await supabase
+      .from('rental_id_proofs')
+      .select('storage_driver, storage_key, content_type, deleted_at')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    
+    if (proofError) throw proofError;
+    
+    if (!proof || proof.deleted_at) {
+      return res.status(404).json({ 
         success: false, 
-        error: 'Invalid phone or password' 
+        error: 'File not found' 
       });
     }
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        phone: user.phone, 
-        name: user.name,
-        role: 'customer' 
-      },
-      process.env.JWT_SECRET || 'your-secret-key-change-this',
-      { expiresIn: '7d' }
-    );
+    const buffer = await getStorageAdapter(proof.storage_driver).get(proof.storage_key);
     
-    // Remove password from response
-    delete user.password;
+    res.set('Cache-Control', 'private, no-store');
+    res.set('Content-Disposition', 'inline');
+    res.type(proof.content_type);
+    res.send(buffer);
+    
+  } catch (error) {
+    console.error('Signed file download error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch file' 
+    });
+  }
+});
+
+// ============================================
+// 📱 PRODUCT VARIANT & DEVICE ROUTES
+// ============================================
+
+// 📌 71. GET DEVICE MODELS (Public, for "which phone do you have?")
+app.get('/api/devices', validate({
+  query: { search: optional(textField('Search', 100)) }
+}), async (req, res) => {
+  try {
+    const { search } = req.query;
+    
+    let query = supabase
+      .from('device_models')
+      .select('id, brand, model')
+      .order('brand', { ascending: true })
+      .order('model', { ascending: true })
+      .limit(100);
+    
+    if (search) {
+      const term = `%${escapeLikePattern(search)}%`;
+      query = query.or(`model.ilike.${term},brand.ilike.${term}`);
+    }
+    
+    const { data: devices, error } = await query;
+    
+    if (error) throw error;
     
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user
+      data: devices || []
     });
     
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Get devices error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Internal server error' 
+      error: 'Failed to fetch device models' 
     });
   }
 });
 
-// 📌 4. ADMIN LOGIN
-app.post('/api/admin/login', async (req, res) => {
+// 📌 72. ADMIN: ADD DEVICE MODEL
+app.post('/api/admin/devices', authenticateToken, requirePermission('products:write'), validate({
+  body: {
+    brand: textField('Brand', 100),
+    model: textField('Model', 100)
+  }
+}), async (req, res) => {
   try {
-    const { phone, password } = req.body;
+    const { brand, model } = req.body;
     
-    // For demo, using simple check
-    // In production, use proper authentication
-    if (phone === '9999999999' && password === 'admin123') {
-      const token = jwt.sign(
-        { 
-          id: 'admin-001', 
-          phone: '9999999999', 
-          name: 'Admin User',
-          role: 'admin' 
-        },
-        process.env.JWT_SECRET || 'your-secret-key-change-this',
-        { expiresIn: '7d' }
-      );
-      
-      return res.json({
-        success: true,
-        message: 'Admin login successful',
-        token,
-        user: {
-          id: 'admin-001',
-          name: 'Admin User',
-          phone: '9999999999',
-          role: 'admin'
-        }
+    const { data: device, error } = await supabase
+      .from('device_models')
+      .insert([{ brand, model }])
+      .select('id, brand, model')
+      .single();
+    
+    if (error && error.code === '23505') {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'This device model already exists' 
       });
     }
     
-    res.status(401).json({ 
-      success: false, 
-      error: 'Invalid admin credentials' 
+    if (error) throw error;
+    
+    res.status(201).json({
+      success: true,
+      message: 'Device model added',
+      data: device
     });
     
   } catch (error) {
-    console.error('Admin login error:', error);
+    console.error('Add device error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Internal server error' 
+      error: 'Failed to add device model' 
     });
   }
 });
 
-// 📌 5. GET ALL PRODUCTS
-app.get('/api/products', async (req, res) => {
+// 📌 73. ADMIN: ADD PRODUCT VARIANT (own price, stock and compatible devices)
+app.post('/api/admin/products/:id/variants', authenticateToken, requirePermission('products:write'), validate({
+  params: { id: uuidField('Product ID') },
+  body: {
+    ...VARIANT_FIELDS,
+    name: textField('Variant name', 200),
+    price: PRODUCT_EDITABLE_FIELDS.price,
+    attributes: optional(VARIANT_FIELDS.attributes, {}),
+    low_stock_threshold: optional(VARIANT_FIELDS.low_stock_threshold, 5),
+    stock_quantity: optional(integerField('Opening stock', { min: 0, max: 100000 }), 0),
+    device_model_ids: optional(DEVICE_MODEL_IDS_FIELD, [])
+  }
+}), async (req, res) => {
   try {
-    const { category, search, page = 1, limit = 20 } = req.query;
+    const { sku, name, price, attributes, stock_quantity: openingStock, low_stock_threshold, is_active, device_model_ids } = req.body;
     
-    let query = supabase
+    const { data: product, error: productError } = await supabase
       .from('products')
-      .select('*', { count: 'exact' })
-      .eq('is_active', true);
+      .select('id, stock_quantity')
+      .eq('id', req.params.id)
+      .maybeSingle();
     
-    // Apply filters
-    if (category && category !== 'all') {
-      query = query.eq('category', category);
+    if (productError) throw productError;
+    
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Product not found' 
+      });
     }
     
-    if (search) {
-      query = query.ilike('name', `%${search}%`);
+    // Once a product has variants, orders only draw from them, so stock held on the product would be stranded
+    if (product.stock_quantity !== 0) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `This product still holds ${product.stock_quantity} in stock. Adjust it to 0 and add it as opening stock on the variants instead.` 
+      });
     }
     
-    // Pagination
-    const from = (page - 1) * limit;
-    const to = from + parseInt(limit) - 1;
+    const { data: variant, error } = await supabase
+      .from('product_variants')
+      .insert([{
+        product_id: product.id,
+        sku: sku || null,
+        name,
+        attributes,
+        price,
+        low_stock_threshold,
+        ...(is_active !== undefined && { is_active })
+      }])
+      .select(PRODUCT_VARIANT_FIELDS)
+      .single();
     
-    const { data: products, error, count } = await query
-      .order('created_at', { ascending: false })
-      .range(from, to);
+    if (error && error.code === '23505') {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'A variant with this SKU already exists' 
+      });
+    }
+    
+    if (error) throw error;
+    
+    const compatibility = await setVariantCompatibility(variant.id, device_model_ids);
+    if (compatibility.error) {
+      await supabase.from('product_variants').delete().eq('id', variant.id);
+      return res.status(compatibility.status).json({ success: false, error: compatibility.error });
+    }
+    
+    // Opening stock is recorded in the ledger, which sets the variant's stock_quantity
+    if (openingStock > 0) {
+      await recordStockMovements([{
+        product_id: product.id,
+        variant_id: variant.id,
+        quantity_change: openingStock,
+        type: 'opening',
+        reason: 'Opening stock',
+        created_by: req.user.id
+      }]);
+      variant.stock_quantity = openingStock;
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Variant added successfully',
+      data: { ...variant, device_model_ids: compatibility.deviceIds }
+    });
+    
+  } catch (error) {
+    console.error('Add variant error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to add variant' 
+    });
+  }
+});
+
+// 📌 74. ADMIN: UPDATE PRODUCT VARIANT
+app.put('/api/admin/variants/:id', authenticateToken, requirePermission('products:write'), validate({
+  params: { id: uuidField('Variant ID') },
+  body: {
+    ...VARIANT_FIELDS,
+    stock_quantity: optional(STOCK_QUANTITY_FIELD)
+  }
+}), async (req, res) => {
+  try {
+    const updates = req.body;
+    
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Nothing to update', 
+        code: 'NOTHING_TO_UPDATE' 
+      });
+    }
+    
+    const { data: variant, error } = await supabase
+      .from('product_variants')
+      .update({ ...updates, updated_at: new Date() })
+      .eq('id', req.params.id)
+      .select(PRODUCT_VARIANT_FIELDS)
+      .maybeSingle();
+    
+    if (error && error.code === '23505') {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'A variant with this SKU already exists' 
+      });
+    }
     
     if (error) throw error;
     
+    if (!variant) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Variant not found' 
+      });
+    }
+    
     res.json({
       success: true,
-      data: products || [],
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: count || 0,
-        pages: Math.ceil((count || 0) / limit)
-      }
+      message: 'Variant updated successfully',
+      data: variant
     });
     
   } catch (error) {
-    console.error('Get products error:', error);
+    console.error('Update variant error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch products' 
+      error: 'Failed to update variant' 
     });
   }
 });
 
-// 📌 6. GET SINGLE PRODUCT
-app.get('/api/products/:id', async (req, res) => {
+// 📌 75. ADMIN: SET DEVICES A VARIANT FITS
+app.put('/api/admin/variants/:id/compatibility', authenticateToken, requirePermission('products:write'), validate({
+  params: { id: uuidField('Variant ID') },
+  body: { device_model_ids: optional(DEVICE_MODEL_IDS_FIELD, []) }
+}), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { device_model_ids } = req.body;
     
-    const { data: product, error } = await supabase
-      .from('products')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const { data: variant, error: variantError } = await supabase
+      .from('product_variants')
+      .select('id')
+      .eq('id', req.params.id)
+      .maybeSingle();
     
-    if (error) throw error;
+    if (variantError) throw variantError;
     
-    if (!product) {
+    if (!variant) {
       return res.status(404).json({ 
         success: false, 
-        error: 'Product not found' 
+        error: 'Variant not found' 
       });
     }
     
+    const compatibility = await setVariantCompatibility(variant.id, device_model_ids);
+    if (compatibility.error) {
+      return res.status(compatibility.status).json({ success: false, error: compatibility.error });
+    }
+    
     res.json({
       success: true,
-      data: product
+      message: 'Compatible devices updated',
+      data: { variant_id: variant.id, device_model_ids: compatibility.deviceIds }
     });
     
   } catch (error) {
-    console.error('Get product error:', error);
+    console.error('Set variant compatibility error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch product' 
+      error: 'Failed to update compatible devices' 
     });
   }
 });
 
-// 📌 7. CREATE ORDER (Authenticated)
-app.post('/api/orders', authenticateToken, async (req, res) => {
+// ============================================
+// 📥 PRODUCT CSV IMPORT / EXPORT ROUTES
+// ============================================
+
+// 📌 77. ADMIN: EXPORT CATALOGUE AS CSV (with stock levels)
+app.get('/api/admin/products/export', authenticateToken, requirePermission('products:write', 'inventory:read'), async (req, res) => {
   try {
-    const { items, total_amount, payment_method, delivery_address } = req.body;
-    const customer_id = req.user.id;
+    const products = [];
+    const pageSize = 1000;
+    
+    // PostgREST caps each response, so read the catalogue a page at a time
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await supabase
+        .from('products')
+        .select(PRODUCT_CSV_COLUMNS.join(', '))
+        .order('name', { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
+      
+      if (error) throw error;
+      
+      products.push(...(data || []));
+      if (!data || data.length < pageSize) break;
+    }
+    
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.csv`;
+    
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(toCsv(PRODUCT_CSV_COLUMNS, products));
+    
+  } catch (error) {
+    console.error('Export products error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to export products' 
+    });
+  }
+});
+
+// 📌 78. ADMIN: IMPORT PRODUCTS FROM CSV (dry run preview, upsert by SKU)
+app.post('/api/admin/products/import', authenticateToken, requirePermission('products:write'), validate({
+  body: {
+    csv: withLabel('CSV text', (value) => typeof value === 'string'
+      ? { value }
+      : { error: 'CSV text must be text', code: 'invalid_type' }),
+    dry_run: optional(booleanField('dry_run'), false)
+  }
+}), async (req, res) => {
+  try {
+    const { csv, dry_run: dryRun } = req.body;
     
-    if (!items || !items.length) {
+    const [header, ...lines] = parseCsv(csv);
+    const columns = (header || []).map(column => column.trim().toLowerCase());
+    const unknown = columns.filter(column => !PRODUCT_IMPORT_COLUMNS.includes(column));
+    const missing = PRODUCT_IMPORT_REQUIRED.filter(column => !columns.includes(column));
+    const duplicates = columns.filter((column, i) => columns.indexOf(column) !== i);
+    
+    if (unknown.length || missing.length || duplicates.length) {
+      const csvDetail = (code, message) => ({ field: 'csv', in: 'body', code, message });
       return res.status(400).json({ 
-        success: false, 
-        error: 'Order items are required' 
+        ...validationErrorBody([
+          ...unknown.map(column => csvDetail('not_allowed', `Unknown column: ${column}`)),
+          ...missing.map(column => csvDetail('required', `Missing column: ${column}`)),
+          ...duplicates.map(column => csvDetail('duplicate', `Column listed twice: ${column}`))
+        ]),
+        error: 'CSV header is not valid',
+        allowed_columns: PRODUCT_IMPORT_COLUMNS
       });
     }
     
-    // Start transaction
-    // 1. Create order
-    const { data: order, error: orderError } = await supabase
-      .from('orders')
-      .insert([{
-        customer_id,
-        total_amount,
-        payment_method: payment_method || 'cod',
-        delivery_address,
-        status: 'pending',
-        payment_status: payment_method === 'cod' ? 'pending' : 'paid',
-        created_at: new Date()
-      }])
-      .select()
-      .single();
+    if (!lines.length || lines.length > PRODUCT_IMPORT_MAX_ROWS) {
+      return rejectField(res, 'csv', `CSV must have between 1 and ${PRODUCT_IMPORT_MAX_ROWS} product rows`, 'invalid_format');
+    }
     
-    if (orderError) throw orderError;
+    // Undo the ' that the export puts in front of formula-like cells
+    const records = lines.map(cells => Object.fromEntries(columns.map((column, i) => [
+      column,
+      cells[i] === undefined ? undefined : cells[i].replace(/^'(?=[=+\-@])/, '')
+    ])));
+    const skus = [...new Set(records.map(record => (record.sku || '').trim()).filter(Boolean))];
+    const existingBySku = {};
     
-    // 2. Add order items
-    const orderItems = items.map(item => ({
-      order_id: order.id,
-      product_id: item.product_id,
-      quantity: item.quantity || 1,
-      price: item.price
-    }));
+    for (let i = 0; i < skus.length; i += 200) {
+      const { data, error } = await supabase
+        .from('products')
+        .select('id, sku, name, description, price, category, images, delivery_eta, low_stock_threshold, is_active, stock_quantity')
+        .in('sku', skus.slice(i, i + 200));
+      
+      if (error) throw error;
+      (data || []).forEach(product => { existingBySku[product.sku] = product; });
+    }
     
-    const { error: itemsError } = await supabase
-      .from('order_items')
-      .insert(orderItems);
+    // Spreadsheet row numbers: the header is row 1
+    const seen = new Map();
+    const plan = records.map((record, i) => {
+      const rowNumber = i + 2;
+      const existing = existingBySku[(record.sku || '').trim()];
+      const { row, errors, warnings } = validateProductImportRow(record, existing);
+      
+      if (lines[i].length !== columns.length) {
+        errors.push({ column: null, message: `Expected ${columns.length} cells, found ${lines[i].length}` });
+      }
+      
+      if (row.sku && seen.has(row.sku)) {
+        errors.push({ column: 'sku', message: `Duplicate SKU, first used on row ${seen.get(row.sku)}` });
+      } else if (row.sku) {
+        seen.set(row.sku, rowNumber);
+      }
+      
+      const changes = productImportChanges(row, existing);
+      const action = errors.length
+        ? 'error'
+        : !existing ? 'create' : changes.length ? 'update' : 'unchanged';
+      
+      return { row_number: rowNumber, sku: row.sku, action, changes, stock_in: row.stock_in, opening_stock: row.opening_stock, errors, warnings, row };
+    });
     
-    if (itemsError) throw itemsError;
+    const summary = {
+      rows: plan.length,
+      create: plan.filter(item => item.action === 'create').length,
+      update: plan.filter(item => item.action === 'update').length,
+      unchanged: plan.filter(item => item.action === 'unchanged').length,
+      errors: plan.filter(item => item.action === 'error').length,
+      stock_in_units: plan.reduce((sum, item) => sum + item.stock_in + item.opening_stock, 0)
+    };
     
-    // 3. Update product stock
-    for (const item of items) {
-      await supabase
-        .from('products')
-        .update({ 
-          stock_quantity: supabase.rpc('decrement', { 
-            val: item.quantity || 1 
-          }) 
-        })
-        .eq('id', item.product_id);
+    const report = plan.map(({ row, ...item }) => item);
+    
+    if (summary.errors) {
+      return res.status(422).json({
+        success: false,
+        error: `${summary.errors} row(s) have errors; nothing was imported`,
+        summary,
+        rows: report
+      });
+    }
+    
+    // Receiving stock is an inventory action as well as a catalogue one
+    if (summary.stock_in_units > 0 && !hasPermission(req.user, 'inventory:write')) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'You do not have permission to receive stock; remove the stock columns or ask a manager' 
+      });
+    }
+    
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dry_run: true,
+        message: 'Preview only - nothing was imported',
+        summary,
+        rows: report
+      });
+    }
+    
+    const toImport = plan.filter(item => item.action !== 'unchanged' || item.stock_in > 0).map(item => item.row);
+    
+    if (toImport.length) {
+      // Product history for updated rows is written by the products_change_history trigger
+      const { error } = await supabase.rpc('import_products', {
+        p_rows: toImport,
+        p_created_by: req.user.id,
+        p_reference: `CSV import ${new Date().toISOString()}`,
+        p_created_by_role: req.user.role
+      });
+      
+      if (error) throw error;
     }
     
     res.status(201).json({
       success: true,
-      message: 'Order created successfully',
-      order_id: order.id,
-      data: order
+      dry_run: false,
+      message: `Imported ${summary.create} new and ${summary.update} updated product(s)`,
+      summary,
+      rows: report
     });
     
   } catch (error) {
-    console.error('Create order error:', error);
+    const inventoryError = orderErrorFromDatabase(error);
+    if (inventoryError) {
+      return res.status(inventoryError.status).json(inventoryError.body);
+    }
+    
+    console.error('Import products error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to create order' 
+      error: 'Failed to import products' 
     });
   }
 });
 
-// 📌 8. GET USER ORDERS
-app.get('/api/my-orders', authenticateToken, async (req, res) => {
+// ============================================
+// 🕓 PRODUCT CHANGE HISTORY
+// ============================================
+
+// 📌 79. ADMIN: PRODUCT CHANGE HISTORY
+app.get('/api/admin/products/:id/history', authenticateToken, requirePermission('products:write', 'inventory:read'), validate({
+  params: { id: uuidField('Product ID') },
+  query: pageQuery(100)
+}), async (req, res) => {
   try {
-    const customer_id = req.user.id;
+    const { page, limit } = req.query;
+    const from = (page - 1) * limit;
     
-    const { data: orders, error } = await supabase
-      .from('orders')
-      .select(`
-        *,
-        order_items (
-          quantity,
-          price,
-          products (
-            name,
-            images
-          )
-        )
-      `)
-      .eq('customer_id', customer_id)
-      .order('created_at', { ascending: false });
+    const { data: product, error: productError } = await supabase
+      .from('products')
+      .select(PRODUCT_EDIT_SELECT)
+      .eq('id', req.params.id)
+      .maybeSingle();
+    
+    if (productError) throw productError;
+    
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Product not found' 
+      });
+    }
+    
+    const { data: entries, error, count } = await supabase
+      .from('product_change_history')
+      .select('id, version, changes, source, changed_by, changed_by_role, created_at', { count: 'exact' })
+      .eq('product_id', product.id)
+      .order('created_at', { ascending: false })
+      .range(from, from + limit - 1);
     
     if (error) throw error;
     
+    // Show who made each change
+    const editorIds = [...new Set((entries || []).map(entry => entry.changed_by).filter(Boolean))];
+    const { data: editors } = editorIds.length
+      ? await supabase.from('employees').select('id, name').in('id', editorIds)
+      : { data: [] };
+    const editorName = Object.fromEntries((editors || []).map(editor => [editor.id, editor.name]));
+    
     res.json({
       success: true,
-      data: orders || []
+      data: {
+        product,
+        history: (entries || []).map(entry => ({
+          ...entry,
+          changed_by_name: editorName[entry.changed_by] || null
+        }))
+      },
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        pages: Math.ceil((count || 0) / limit)
+      }
     });
     
   } catch (error) {
-    console.error('Get orders error:', error);
+    console.error('Get product history error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch orders' 
+      error: 'Failed to fetch product history' 
     });
   }
 });
 
-// 📌 9. CART OPERATIONS
-// Add to cart
-app.post('/api/cart', authenticateToken, async (req, res) => {
+// ============================================
+// 🏷️ COUPONS & PROMOTIONS
+// ============================================
+
+// 📌 80. VALIDATE COUPON (Public; logged-in customers get their own usage checked)
+app.post('/api/coupons/validate', optionalAuthentication, validate({
+  body: {
+    code: textField('Coupon code', 32),
+    order_type: optional(oneOfField('Order type', ['shop', 'repair']), 'shop'),
+    items: optional(ORDER_ITEMS_FIELD),
+    service_type: optional(textField('Service type', 100))
+  },
+  check: ({ body }) => [
+    body.order_type === 'shop' && !body.items &&
+      { field: 'items', code: 'required', message: 'Add at least one item to check the coupon against' },
+    body.order_type === 'repair' && !body.service_type &&
+      { field: 'service_type', code: 'required', message: 'Service type is required for repair orders' }
+  ].filter(Boolean)
+}), async (req, res) => {
   try {
-    const { product_id, quantity = 1 } = req.body;
-    const customer_id = req.user.id;
-    
-    if (!product_id) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Product ID is required' 
-      });
-    }
-    
-    // Check if product exists
-    const { data: product } = await supabase
-      .from('products')
-      .select('id, stock_quantity')
-      .eq('id', product_id)
-      .single();
+    const { code, order_type, items, service_type } = req.body;
     
-    if (!product) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Product not found' 
-      });
-    }
+    const orderItems = order_type === 'shop' ? normalizeOrderItems(items) : null;
     
-    // Check if already in cart
-    const { data: existingItem } = await supabase
-      .from('cart')
-      .select('*')
-      .eq('customer_id', customer_id)
-      .eq('product_id', product_id)
-      .single();
+    // Per-customer limits are only checked here for the signed-in customer; looking a guest up
+    // by phone would tell anyone whether that number has used the coupon. Guest orders are
+    // still held to the limit when the order is placed.
+    const customerId = req.user && req.user.role === 'customer' ? req.user.id : null;
     
-    let result;
-    if (existingItem) {
-      // Update quantity
-      const { data, error } = await supabase
-        .from('cart')
-        .update({ quantity: existingItem.quantity + quantity })
-        .eq('id', existingItem.id)
-        .select()
-        .single();
-      
-      if (error) throw error;
-      result = data;
-    } else {
-      // Add new item
-      const { data, error } = await supabase
-        .from('cart')
-        .insert([{ customer_id, product_id, quantity }])
-        .select()
-        .single();
-      
-      if (error) throw error;
-      result = data;
-    }
+    const quote = await quoteOrder({
+      customerId,
+      orderType: order_type,
+      items: orderItems,
+      serviceType: service_type,
+      couponCode: code
+    });
     
     res.json({
       success: true,
-      message: 'Item added to cart',
-      data: result
+      message: `Coupon applied: ₹${quote.discount} off`,
+      data: {
+        code: quote.coupon.code,
+        description: quote.coupon.description,
+        subtotal: quote.subtotal,
+        discount: quote.discount,
+        total: quote.total
+      }
     });
     
   } catch (error) {
-    console.error('Add to cart error:', error);
+    const orderError = orderErrorFromDatabase(error);
+    if (orderError) {
+      return res.status(orderError.status).json(orderError.body);
+    }
+    
+    console.error('Validate coupon error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to add to cart' 
+      error: 'Failed to validate coupon' 
     });
   }
 });
 
-// Get cart items
-app.get('/api/cart', authenticateToken, async (req, res) => {
+// Times each coupon has been used on orders that were not cancelled
+const couponUsage = async (couponIds) => {
+  if (!couponIds.length) return {};
+  
+  const { data, error } = await supabase
+    .from('coupon_redemptions')
+    .select('coupon_id, discount_amount, orders!inner (status)')
+    .in('coupon_id', couponIds)
+    .neq('orders.status', 'cancelled');
+  
+  if (error) throw error;
+  
+  return (data || []).reduce((usage, row) => {
+    const entry = usage[row.coupon_id] || { used: 0, discount_given: 0 };
+    entry.used += 1;
+    entry.discount_given = Math.round((entry.discount_given + parseFloat(row.discount_amount)) * 100) / 100;
+    usage[row.coupon_id] = entry;
+    return usage;
+  }, {});
+};
+
+// 📌 81. ADMIN: CREATE COUPON
+app.post('/api/admin/coupons', authenticateToken, requirePermission('promotions:write'), validate({
+  body: {
+    ...COUPON_FIELDS,
+    code: required(COUPON_FIELDS.code),
+    discount_type: required(COUPON_FIELDS.discount_type),
+    discount_value: required(COUPON_FIELDS.discount_value)
+  },
+  partial: true
+}), async (req, res) => {
   try {
-    const customer_id = req.user.id;
+    const { data: coupon, error } = await supabase
+      .from('coupons')
+      .insert([{ ...req.body, created_by: req.user.id, created_at: new Date() }])
+      .select()
+      .single();
     
-    const { data: cartItems, error } = await supabase
-      .from('cart')
-      .select(`
-        quantity,
-        products (
-          id,
-          name,
-          price,
-          images,
-          stock_quantity
-        )
-      `)
-      .eq('customer_id', customer_id);
+    if (error && error.code === '23505') {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'A coupon with this code already exists' 
+      });
+    }
     
-    if (error) throw error;
+    if (error && error.code === '23514') {
+      return res.status(400).json({ success: false, error: PROMOTION_CHECK_ERROR });
+    }
     
-    // Format response
-    const formattedItems = (cartItems || []).map(item => ({
-      ...item.products,
-      cart_quantity: item.quantity
-    }));
+    if (error) throw error;
     
-    res.json({
+    res.status(201).json({
       success: true,
-      data: formattedItems
+      message: 'Coupon created',
+      data: coupon
     });
     
   } catch (error) {
-    console.error('Get cart error:', error);
+    console.error('Create coupon error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch cart' 
+      error: 'Failed to create coupon' 
     });
   }
 });
 
-// Remove from cart
-app.delete('/api/cart/:product_id', authenticateToken, async (req, res) => {
+// 📌 82. ADMIN: LIST COUPONS (with usage)
+app.get('/api/admin/coupons', authenticateToken, requirePermission('promotions:write', 'analytics:read'), validate({
+  query: { status: optional(oneOfField('Status', ['all', 'active', 'expired'])) }
+}), async (req, res) => {
   try {
-    const { product_id } = req.params;
-    const customer_id = req.user.id;
+    const { status } = req.query;
+    const now = new Date().toISOString();
     
-    const { error } = await supabase
-      .from('cart')
-      .delete()
-      .eq('customer_id', customer_id)
-      .eq('product_id', product_id);
+    let query = supabase
+      .from('coupons')
+      .select('*')
+      .order('created_at', { ascending: false });
+    
+    if (status === 'active') {
+      query = query.eq('is_active', true).lte('starts_at', now).or(`ends_at.is.null,ends_at.gt.${now}`);
+    } else if (status === 'expired') {
+      query = query.lte('ends_at', now);
+    }
+    
+    const { data: coupons, error } = await query;
     
     if (error) throw error;
     
+    const usage = await couponUsage((coupons || []).map(coupon => coupon.id));
+    
     res.json({
       success: true,
-      message: 'Item removed from cart'
+      data: (coupons || []).map(coupon => ({
+        ...coupon,
+        used: (usage[coupon.id] || {}).used || 0,
+        discount_given: (usage[coupon.id] || {}).discount_given || 0
+      }))
     });
     
   } catch (error) {
-    console.error('Remove from cart error:', error);
+    console.error('Get coupons error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to remove from cart' 
+      error: 'Failed to fetch coupons' 
     });
   }
 });
 
-// 📌 10. CREATE SERVICE REQUEST
-app.post('/api/services', authenticateToken, async (req, res) => {
+// 📌 83. ADMIN: UPDATE COUPON
+app.put('/api/admin/coupons/:id', authenticateToken, requirePermission('promotions:write'), validate({
+  params: { id: uuidField('Coupon ID') },
+  body: COUPON_FIELDS,
+  partial: true
+}), async (req, res) => {
   try {
-    const { device_type, problem_description, estimated_cost } = req.body;
-    const customer_id = req.user.id;
+    const { data: coupon, error } = await supabase
+      .from('coupons')
+      .update(req.body)
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
     
-    if (!device_type || !problem_description) {
-      return res.status(400).json({ 
+    if (error && error.code === '23505') {
+      return res.status(409).json({ 
         success: false, 
-        error: 'Device type and problem description are required' 
+        error: 'A coupon with this code already exists' 
       });
     }
     
-    const { data: service, error } = await supabase
-      .from('services')
-      .insert([{
-        customer_id,
-        device_type,
-        problem_description,
-        estimated_cost: estimated_cost || 0,
-        status: 'pending',
-        created_at: new Date()
-      }])
-      .select()
-      .single();
+    if (error && error.code === '23514') {
+      return res.status(400).json({ success: false, error: PROMOTION_CHECK_ERROR });
+    }
     
     if (error) throw error;
     
-    res.status(201).json({
+    if (!coupon) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Coupon not found' 
+      });
+    }
+    
+    res.json({
       success: true,
-      message: 'Service request created successfully',
-      data: service
+      message: 'Coupon updated',
+      data: coupon
     });
     
   } catch (error) {
-    console.error('Create service error:', error);
+    console.error('Update coupon error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to create service request' 
+      error: 'Failed to update coupon' 
     });
   }
 });
 
-// 📌 11. GET USER SERVICES
-app.get('/api/my-services', authenticateToken, async (req, res) => {
+// 📌 84. ADMIN: CREATE SALE PRICE PROMOTION
+app.post('/api/admin/promotions', authenticateToken, requirePermission('promotions:write'), validate({
+  body: {
+    ...PROMOTION_FIELDS,
+    name: required(PROMOTION_FIELDS.name),
+    discount_type: required(PROMOTION_FIELDS.discount_type),
+    discount_value: required(PROMOTION_FIELDS.discount_value)
+  },
+  partial: true,
+  check: ({ body }) => body.product_id && body.category
+    ? [{ field: 'category', code: 'not_allowed', message: PROMOTION_SCOPE_ERROR }]
+    : []
+}), async (req, res) => {
   try {
-    const customer_id = req.user.id;
+    const { data: promotion, error } = await supabase
+      .from('price_promotions')
+      .insert([{ ...req.body, created_by: req.user.id, created_at: new Date() }])
+      .select()
+      .single();
     
-    const { data: services, error } = await supabase
-      .from('services')
-      .select('*')
-      .eq('customer_id', customer_id)
-      .order('created_at', { ascending: false });
+    if (error && error.code === '23503') {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Product not found' 
+      });
+    }
+    
+    if (error && error.code === '23514') {
+      return res.status(400).json({ success: false, error: PROMOTION_CHECK_ERROR });
+    }
     
     if (error) throw error;
     
-    res.json({
+    res.status(201).json({
       success: true,
-      data: services || []
+      message: 'Promotion created',
+      data: promotion
     });
     
   } catch (error) {
-    console.error('Get services error:', error);
+    console.error('Create promotion error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch services' 
+      error: 'Failed to create promotion' 
     });
   }
 });
 
-// ============================================
-// 👑 ADMIN ROUTES (Require Admin Authentication)
-// ============================================
-
-// 📌 12. ADMIN: GET ALL ORDERS
-app.get('/api/admin/orders', authenticateToken, isAdmin, async (req, res) => {
+// 📌 85. ADMIN: LIST SALE PRICE PROMOTIONS
+app.get('/api/admin/promotions', authenticateToken, requirePermission('promotions:write', 'analytics:read'), async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
-    
-    let query = supabase
-      .from('orders')
-      .select(`
-        *,
-        customers (
-          name,
-          phone
-        )
-      `, { count: 'exact' })
+    const { data: promotions, error } = await supabase
+      .from('price_promotions')
+      .select('*, products (name)')
       .order('created_at', { ascending: false });
     
-    if (status && status !== 'all') {
-      query = query.eq('status', status);
-    }
-    
-    // Pagination
-    const from = (page - 1) * limit;
-    const to = from + parseInt(limit) - 1;
-    
-    const { data: orders, error, count } = await query.range(from, to);
-    
     if (error) throw error;
     
-    // Get order items for each order
-    const ordersWithItems = await Promise.all(
-      (orders || []).map(async (order) => {
-        const { data: items } = await supabase
-          .from('order_items')
-          .select(`
-            quantity,
-            price,
-            products (
-              name
-            )
-          `)
-          .eq('order_id', order.id);
-        
-        return {
-          ...order,
-          items: items || []
-        };
-      })
-    );
+    const now = new Date();
     
     res.json({
       success: true,
-      data: ordersWithItems,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: count || 0,
-        pages: Math.ceil((count || 0) / limit)
-      }
+      data: (promotions || []).map(promotion => ({
+        ...promotion,
+        running: promotion.is_active &&
+          new Date(promotion.starts_at) <= now &&
+          (!promotion.ends_at || new Date(promotion.ends_at) > now)
+      }))
     });
     
   } catch (error) {
-    console.error('Admin get orders error:', error);
+    console.error('Get promotions error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch orders' 
+      error: 'Failed to fetch promotions' 
     });
   }
 });
 
-// 📌 13. ADMIN: UPDATE ORDER STATUS
-app.put('/api/admin/orders/:id/status', authenticateToken, isAdmin, async (req, res) => {
+// 📌 86. ADMIN: UPDATE SALE PRICE PROMOTION
+app.put('/api/admin/promotions/:id', authenticateToken, requirePermission('promotions:write'), validate({
+  params: { id: uuidField('Promotion ID') },
+  body: PROMOTION_FIELDS,
+  partial: true
+}), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
+    const { data: current, error: currentError } = await supabase
+      .from('price_promotions')
+      .select('product_id, category')
+      .eq('id', req.params.id)
+      .maybeSingle();
     
-    if (!status) {
-      return res.status(400).json({ 
+    if (currentError) throw currentError;
+    
+    if (!current) {
+      return res.status(404).json({ 
         success: false, 
-        error: 'Status is required' 
+        error: 'Promotion not found' 
       });
     }
     
-    const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid status' 
-      });
+    // Setting a category on a product promotion (or the reverse) must clear the other one
+    const scope = { ...current, ...req.body };
+    
+    if (scope.product_id && scope.category) {
+      return rejectField(res, 'category', PROMOTION_SCOPE_ERROR, 'not_allowed');
     }
     
-    const { data: order, error } = await supabase
-      .from('orders')
-      .update({ 
-        status,
-        updated_at: new Date()
-      })
-      .eq('id', id)
+    const { data: promotion, error } = await supabase
+      .from('price_promotions')
+      .update(req.body)
+      .eq('id', req.params.id)
       .select()
-      .single();
+      .maybeSingle();
+    
+    if (error && error.code === '23514') {
+      return res.status(400).json({ success: false, error: PROMOTION_CHECK_ERROR });
+    }
     
     if (error) throw error;
     
+    if (!promotion) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Promotion not found' 
+      });
+    }
+    
     res.json({
       success: true,
-      message: 'Order status updated successfully',
-      data: order
+      message: 'Promotion updated',
+      data: promotion
     });
     
   } catch (error) {
-    console.error('Update order status error:', error);
+    console.error('Update promotion error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to update order status' 
+      error: 'Failed to update promotion' 
     });
   }
 });
 
-// 📌 14. ADMIN: GET ALL SERVICES
-app.get('/api/admin/services', authenticateToken, isAdmin, async (req, res) => {
+// ============================================
+// 🧾 GST INVOICES
+// ============================================
+
+// 📌 87. DOWNLOAD ORDER INVOICE (PDF)
+app.get('/api/my-orders/:id/invoice', authenticateToken, validate({
+  params: { id: uuidField('Order ID') }
+}), async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('id, customer_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
     
-    let query = supabase
-      .from('services')
-      .select(`
-        *,
-        customers (
-          name,
-          phone
-        )
-      `, { count: 'exact' })
-      .order('created_at', { ascending: false });
+    if (orderError) throw orderError;
     
-    if (status && status !== 'all') {
-      query = query.eq('status', status);
+    // Someone else's order looks the same as a missing one
+    if (!order || order.customer_id !== req.user.id) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Order not found' 
+      });
     }
     
-    // Pagination
-    const from = (page - 1) * limit;
-    const to = from + parseInt(limit) - 1;
-    
-    const { data: services, error, count } = await query.range(from, to);
+    const result = await issueInvoice({ orderId: order.id });
     
-    if (error) throw error;
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
     
-    res.json({
-      success: true,
-      data: services || [],
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: count || 0,
-        pages: Math.ceil((count || 0) / limit)
-      }
-    });
+    await sendInvoicePdf(res, result.invoice);
     
   } catch (error) {
-    console.error('Admin get services error:', error);
+    console.error('Order invoice error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch services' 
+      error: 'Failed to generate invoice' 
     });
   }
 });
 
-// 📌 15. ADMIN: UPDATE SERVICE STATUS
-app.put('/api/admin/services/:id/status', authenticateToken, isAdmin, async (req, res) => {
+// 📌 88. DOWNLOAD REPAIR INVOICE (PDF)
+app.get('/api/my-services/:id/invoice', authenticateToken, validate({
+  params: { id: uuidField('Job ID') }
+}), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status, actual_cost, technician_id } = req.body;
+    const { data: service, error: serviceError } = await supabase
+      .from('services')
+      .select('id, customer_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
     
-    if (!status) {
-      return res.status(400).json({ 
+    if (serviceError) throw serviceError;
+    
+    if (!service || service.customer_id !== req.user.id) {
+      return res.status(404).json({ 
         success: false, 
-        error: 'Status is required' 
+        error: 'Service not found' 
       });
     }
     
-    const updateData = {
-      status,
-      updated_at: new Date()
-    };
+    const result = await issueInvoice({ serviceId: service.id });
     
-    if (actual_cost !== undefined) {
-      updateData.actual_cost = actual_cost;
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
     }
     
-    if (technician_id) {
-      updateData.technician_id = technician_id;
-    }
+    await sendInvoicePdf(res, result.invoice);
     
-    if (status === 'completed') {
-      updateData.completion_date = new Date();
-    }
+  } catch (error) {
+    console.error('Service invoice error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to generate invoice' 
+    });
+  }
+});
+
+// 📌 89. SET GSTIN FOR BUSINESS INVOICES
+app.put('/api/my-gstin', authenticateToken, validate({
+  body: {
+    gstin: nullable(withLabel('GSTIN', (value) => typeof value === 'string' && GSTIN_PATTERN.test(value.trim().toUpperCase())
+      ? { value: value.trim().toUpperCase() }
+      : { error: 'GSTIN must be 15 characters, e.g. 27ABCDE1234F1Z5', code: 'invalid_format' }))
+  }
+}), async (req, res) => {
+  try {
+    // Leaving it out or sending null removes the GSTIN
+    const { gstin = null } = req.body;
     
-    const { data: service, error } = await supabase
-      .from('services')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single();
+    const { error } = await supabase
+      .from('customers')
+      .update({ gstin })
+      .eq('id', req.user.id);
     
     if (error) throw error;
     
     res.json({
       success: true,
-      message: 'Service status updated successfully',
-      data: service
+      message: gstin ? 'GSTIN saved; new invoices will show it' : 'GSTIN removed',
+      data: { gstin }
     });
     
   } catch (error) {
-    console.error('Update service status error:', error);
+    console.error('Set GSTIN error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to update service status' 
+      error: 'Failed to save GSTIN' 
     });
   }
 });
 
-// 📌 16. ADMIN: ADD NEW PRODUCT
-app.post('/api/admin/products', authenticateToken, isAdmin, async (req, res) => {
+// 📌 90. ADMIN: LIST INVOICES
+app.get('/api/admin/invoices', authenticateToken, requirePermission('orders:read', 'analytics:read'), validate({
+  query: {
+    financial_year: optional(textField('Financial year', 7)),
+    source_type: optional(oneOfField('Source type', ['order', 'service'])),
+    ...pageQuery(100)
+  }
+}), async (req, res) => {
   try {
-    const { name, description, price, category, stock_quantity, images } = req.body;
+    const { financial_year, source_type, page, limit } = req.query;
+    const from = (page - 1) * limit;
     
-    if (!name || !price || !category) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Name, price and category are required' 
-      });
+    let query = supabase
+      .from('invoices')
+      .select(`
+        id, invoice_number, financial_year, source_type, order_id, service_id, buyer,
+        supply_type, taxable_total, cgst_total, sgst_total, igst_total, grand_total, issued_at
+      `, { count: 'exact' })
+      .order('issued_at', { ascending: false })
+      .range(from, from + limit - 1);
+    
+    if (financial_year) {
+      query = query.eq('financial_year', financial_year);
     }
     
-    const { data: product, error } = await supabase
-      .from('products')
-      .insert([{
-        name,
-        description: description || '',
-        price: parseFloat(price),
-        category,
-        stock_quantity: stock_quantity || 0,
-        images: images || [],
-        created_at: new Date()
-      }])
-      .select()
-      .single();
+    if (source_type) {
+      query = query.eq('source_type', source_type);
+    }
+    
+    const { data: invoices, error, count } = await query;
     
     if (error) throw error;
     
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Product added successfully',
-      data: product
+      data: invoices || [],
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        pages: Math.ceil((count || 0) / limit)
+      }
     });
     
   } catch (error) {
-    console.error('Add product error:', error);
+    console.error('Get invoices error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to add product' 
+      error: 'Failed to fetch invoices' 
     });
   }
 });
 
-// 📌 17. ADMIN: UPDATE PRODUCT
-app.put('/api/admin/products/:id', authenticateToken, isAdmin, async (req, res) => {
+// 📌 91. ADMIN: ISSUE INVOICE FOR AN ORDER OR REPAIR JOB
+app.post('/api/admin/invoices', authenticateToken, requirePermission('orders:update', 'services:update'), validate({
+  body: {
+    order_id: optional(uuidField('Order ID')),
+    service_id: optional(uuidField('Job ID'))
+  },
+  check: ({ body }) => !body.order_id === !body.service_id
+    ? [{ field: 'order_id', code: 'required', message: 'Give either order_id or service_id' }]
+    : []
+}), async (req, res) => {
   try {
-    const { id } = req.params;
-    const updateData = req.body;
+    const { order_id, service_id } = req.body;
     
-    const { data: product, error } = await supabase
-      .from('products')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single();
+    if (!hasPermission(req.user, order_id ? 'orders:update' : 'services:update')) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'You do not have permission to perform this action' 
+      });
+    }
     
-    if (error) throw error;
+    const result = await issueInvoice({ orderId: order_id, serviceId: service_id, issuedBy: req.user.id });
     
-    res.json({
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    
+    res.status(201).json({
       success: true,
-      message: 'Product updated successfully',
-      data: product
+      message: `Invoice ${result.invoice.invoice_number}`,
+      data: result.invoice
     });
     
   } catch (error) {
-    console.error('Update product error:', error);
+    console.error('Issue invoice error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to update product' 
+      error: 'Failed to issue invoice' 
     });
   }
 });
 
-// 📌 18. ADMIN: DELETE PRODUCT
-app.delete('/api/admin/products/:id', authenticateToken, isAdmin, async (req, res) => {
+// 📌 92. ADMIN: DOWNLOAD INVOICE (PDF)
+app.get('/api/admin/invoices/:id/pdf', authenticateToken, requirePermission('orders:read', 'services:read', 'analytics:read'), validate({
+  params: { id: uuidField('Invoice ID') }
+}), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Soft delete - set is_active to false
-    const { error } = await supabase
-      .from('products')
-      .update({ is_active: false })
-      .eq('id', id);
+    const { data: invoice, error } = await supabase
+      .from('invoices')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
     
     if (error) throw error;
     
-    res.json({
-      success: true,
-      message: 'Product deleted successfully'
-    });
+    if (!invoice) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Invoice not found' 
+      });
+    }
+    
+    await sendInvoicePdf(res, invoice);
     
   } catch (error) {
-    console.error('Delete product error:', error);
+    console.error('Admin invoice PDF error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to delete product' 
+      error: 'Failed to generate invoice' 
     });
   }
 });
 
-// 📌 19. ADMIN: GET ANALYTICS
-app.get('/api/admin/analytics', authenticateToken, isAdmin, async (req, res) => {
+// ============================================
+// 🔔 CUSTOMER NOTIFICATIONS
+// ============================================
+
+// 📌 94. SET NOTIFICATION LANGUAGE
+app.put('/api/my-language', authenticateToken, validate({
+  body: { language: oneOfField('Language', NOTIFICATION_LANGUAGES) }
+}), async (req, res) => {
   try {
-    // Get today's date
-    const today = new Date();
-    const startOfToday = new Date(today.setHours(0, 0, 0, 0));
-    const endOfToday = new Date(today.setHours(23, 59, 59, 999));
-    
-    // Today's revenue
-    const { data: todayOrders } = await supabase
-      .from('orders')
-      .select('total_amount, payment_status')
-      .gte('created_at', startOfToday.toISOString())
-      .lte('created_at', endOfToday.toISOString());
-    
-    const todayRevenue = (todayOrders || [])
-      .filter(order => order.payment_status === 'paid')
-      .reduce((sum, order) => sum + parseFloat(order.total_amount || 0), 0);
-    
-    // Total revenue
-    const { data: allOrders } = await supabase
-      .from('orders')
-      .select('total_amount, payment_status')
-      .eq('payment_status', 'paid');
-    
-    const totalRevenue = (allOrders || [])
-      .reduce((sum, order) => sum + parseFloat(order.total_amount || 0), 0);
+    const { language } = req.body;
     
-    // Counts
-    const { count: totalOrders } = await supabase
-      .from('orders')
-      .select('*', { count: 'exact', head: true });
-    
-    const { count: pendingOrders } = await supabase
-      .from('orders')
-      .select('*', { count: 'exact', head: true })
-      .eq('status', 'pending');
-    
-    const { count: totalCustomers } = await supabase
+    const { error } = await supabase
       .from('customers')
-      .select('*', { count: 'exact', head: true });
-    
-    const { count: totalProducts } = await supabase
-      .from('products')
-      .select('*', { count: 'exact', head: true })
-      .eq('is_active', true);
+      .update({ preferred_language: language })
+      .eq('id', req.user.id);
     
-    const { count: pendingServices } = await supabase
-      .from('services')
-      .select('*', { count: 'exact', head: true })
-      .eq('status', 'pending');
+    if (error) throw error;
     
     res.json({
       success: true,
-      data: {
-        today_revenue: todayRevenue,
-        total_revenue: totalRevenue,
-        total_orders: totalOrders || 0,
-        pending_orders: pendingOrders || 0,
-        total_customers: totalCustomers || 0,
-        total_products: totalProducts || 0,
-        pending_services: pendingServices || 0,
-        date: new Date().toLocaleDateString('en-IN')
-      }
+      message: 'Notification language updated',
+      data: { language }
     });
     
   } catch (error) {
-    console.error('Get analytics error:', error);
+    console.error('Set language error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch analytics' 
+      error: 'Failed to update language' 
     });
   }
 });
 
-// 📌 20. ADMIN: GET ALL CUSTOMERS
-app.get('/api/admin/customers', authenticateToken, isAdmin, async (req, res) => {
+// 📌 95. ADMIN: NOTIFICATION DELIVERY LOG
+app.get('/api/admin/notifications', authenticateToken, requirePermission('orders:read', 'services:read'), validate({
+  query: {
+    status: optional(oneOfField('Status', ['pending', 'sending', 'sent', 'retrying', 'failed'])),
+    entity_type: optional(oneOfField('Entity type', ['order', 'service'])),
+    entity_id: optional(uuidField('Entity ID')),
+    channel: optional(textField('Channel', 20)),
+    ...pageQuery(100)
+  }
+}), async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    
+    const { status, entity_type, entity_id, channel, page, limit } = req.query;
     const from = (page - 1) * limit;
-    const to = from + parseInt(limit) - 1;
     
-    const { data: customers, error, count } = await supabase
-      .from('customers')
-      .select('id, name, phone, email, created_at', { count: 'exact' })
+    let query = supabase
+      .from('notification_deliveries')
+      .select(`
+        id, event, entity_type, entity_id, status_to, channel, recipient, language, message,
+        status, attempts, last_error, next_attempt_at, sent_at, created_at
+      `, { count: 'exact' })
       .order('created_at', { ascending: false })
-      .range(from, to);
+      .range(from, from + limit - 1);
+    
+    if (status) query = query.eq('status', status);
+    if (entity_type) query = query.eq('entity_type', entity_type);
+    if (entity_id) query = query.eq('entity_id', entity_id);
+    if (channel) query = query.eq('channel', channel);
+    
+    const { data: deliveries, error, count } = await query;
     
     if (error) throw error;
     
     res.json({
       success: true,
-      data: customers || [],
+      data: deliveries || [],
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total: count || 0,
         pages: Math.ceil((count || 0) / limit)
       }
     });
     
   } catch (error) {
-    console.error('Get customers error:', error);
+    console.error('Get notifications error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch customers' 
+      error: 'Failed to fetch notifications' 
     });
   }
 });
 
-// 📌 21. ADMIN: GET ORDER DETAILS
-app.get('/api/admin/orders/:id', authenticateToken, isAdmin, async (req, res) => {
+// 📌 96. ADMIN: RETRY A FAILED NOTIFICATION NOW
+app.post('/api/admin/notifications/:id/retry', authenticateToken, requirePermission('orders:update', 'services:update'), validate({
+  params: { id: uuidField('Notification ID') }
+}), async (req, res) => {
   try {
-    const { id } = req.params;
+    // Claimed the same way as the retry loop, so it cannot be sent twice
+    const delivery = await claimNotification({ id: req.params.id }, { fromStatuses: ['failed', 'retrying'] });
     
-    // Get order
-    const { data: order, error: orderError } = await supabase
-      .from('orders')
-      .select(`
-        *,
-        customers (
-          name,
-          phone,
-          email
-        )
-      `)
-      .eq('id', id)
-      .single();
+    if (!delivery) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Only failed or waiting notifications can be retried' 
+      });
+    }
     
-    if (orderError) throw orderError;
+    // A manual retry gets a fresh set of attempts
+    await deliverNotification({ ...delivery, attempts: 0 });
     
-    // Get order items
-    const { data: items, error: itemsError } = await supabase
-      .from('order_items')
-      .select(`
-        quantity,
-        price,
-        products (
-          id,
-          name,
-          images
-        )
-      `)
-      .eq('order_id', id);
+    const { data: result, error: resultError } = await supabase
+      .from('notification_deliveries')
+      .select('id, status, attempts, last_error, sent_at')
+      .eq('id', delivery.id)
+      .single();
     
-    if (itemsError) throw itemsError;
+    if (resultError) throw resultError;
     
     res.json({
-      success: true,
-      data: {
-        ...order,
-        items: items || []
-      }
+      success: result.status === 'sent',
+      message: result.status === 'sent' ? 'Notification sent' : undefined,
+      error: result.status === 'sent' ? undefined : `Send failed: ${result.last_error}`,
+      data: result
     });
     
   } catch (error) {
-    console.error('Get order details error:', error);
+    console.error('Retry notification error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch order details' 
+      error: 'Failed to retry notification' 
     });
   }
 });
 
 // ============================================
-// 🎯 SIMPLE ROUTES FOR YOUR EXISTING WEBSITE
+// 📡 ADMIN LIVE UPDATE ROUTES
 // ============================================
 
-// 📌 22. CREATE QUICK ORDER (For your existing WhatsApp flow)
-app.post('/api/quick-order', async (req, res) => {
+// 📌 97. ADMIN: LIVE UPDATES TICKET
+app.post('/api/admin/stream/ticket', authenticateToken, requirePermission('orders:read', 'services:read', 'services:read:assigned', 'inventory:read'), (req, res) => {
+  const ticket = jwt.sign(
+    { type: 'admin_stream', id: req.user.id, name: req.user.name, role: req.user.role },
+    process.env.JWT_SECRET || 'your-secret-key-change-this',
+    { expiresIn: ADMIN_STREAM_TICKET_SECONDS }
+  );
+  
+  res.json({
+    success: true,
+    ticket,
+    expires_in: ADMIN_STREAM_TICKET_SECONDS
+  });
+});
+
+// 📌 98. ADMIN: LIVE UPDATES STREAM (Server-Sent Events, ?ticket=)
+// Events: new-order, new-service-request, status-change, low-stock
+app.get('/api/admin/stream', async (req, res) => {
+  let user;
+  
   try {
-    const { name, phone, service_type, phone_model, location, price } = req.body;
-    
-    if (!name || !phone || !service_type) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Name, phone and service type are required' 
-      });
-    }
-    
-    // Save to database
-    const { data: order, error } = await supabase
-      .from('orders')
-      .insert([{
-        customer_id: null, // Not registered user
-        total_amount: price || 0,
-        payment_method: 'cod',
-        delivery_address: location || '',
-        status: 'pending',
-        payment_status: 'pending',
-        created_at: new Date()
-      }])
-      .select()
-      .single();
-    
-    if (error) throw error;
-    
-    // Also save customer if not exists
-    const { data: customer } = await supabase
-      .from('customers')
-      .select('id')
-      .eq('phone', phone)
-      .single();
-    
-    if (!customer) {
-      await supabase
-        .from('customers')
-        .insert([{
-          name,
-          phone,
-          created_at: new Date()
-        }]);
-    }
-    
-    res.json({
-      success: true,
-      message: 'Quick order received successfully',
-      order_id: order.id,
-      whatsapp_message: `🔧 *NEW QUICK ORDER*%0A%0AName: ${name}%0APhone: ${phone}%0AService: ${service_type}%0AModel: ${phone_model || 'Not specified'}%0ALocation: ${location || 'Not shared'}%0APrice: ₹${price || 'To be determined'}%0A%0AOrder ID: ${order.id}`
-    });
-    
+    const payload = jwt.verify(String(req.query.ticket || ''), process.env.JWT_SECRET || 'your-secret-key-change-this');
+    if (payload.type === 'admin_stream') user = payload;
   } catch (error) {
-    console.error('Quick order error:', error);
-    res.status(500).json({ 
+    user = null;
+  }
+  
+  if (!user) {
+    return res.status(401).json({ 
       success: false, 
-      error: 'Failed to process quick order' 
+      error: 'Invalid or expired stream ticket' 
     });
   }
-});
-
-// 📌 23. TRACK ORDER (Public)
-app.get('/api/track-order/:id', async (req, res) => {
+  
   try {
-    const { id } = req.params;
-    
-    const { data: order, error } = await supabase
-      .from('orders')
-      .select(`
-        id,
-        status,
-        total_amount,
-        created_at,
-        customers (
-          name
-        )
-      `)
-      .eq('id', id)
-      .single();
-    
-    if (error || !order) {
-      return res.status(404).json({ 
+    if (await activeEmployeeRole(user.id) !== user.role) {
+      return res.status(401).json({ 
         success: false, 
-        error: 'Order not found' 
+        error: 'Invalid or expired stream ticket' 
       });
     }
-    
-    const statusMessages = {
-      'pending': '🟡 Order received - Waiting for confirmation',
-      'confirmed': '🟢 Order confirmed - Processing',
-      'processing': '🔵 Order being processed',
-      'shipped': '🚚 Order shipped - Out for delivery',
-      'delivered': '✅ Order delivered successfully',
-      'cancelled': '❌ Order cancelled'
-    };
-    
-    res.json({
-      success: true,
-      data: {
-        order_id: order.id,
-        status: order.status,
-        status_message: statusMessages[order.status] || 'Order received',
-        customer_name: order.customers?.name || 'Customer',
-        amount: order.total_amount,
-        order_date: new Date(order.created_at).toLocaleDateString('en-IN'),
-        estimated_delivery: 'Today 4-6 PM' // You can calculate this
-      }
+  } catch (error) {
+    console.error('Live updates employee check error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Failed to check your account' 
     });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`event: ready\ndata: ${JSON.stringify({ role: user.role })}\n\n`);
+  
+  const client = { user, res };
+  adminStreamClients.add(client);
+  
+  const disconnect = () => {
+    clearInterval(heartbeat);
+    adminStreamClients.delete(client);
+  };
+  
+  // Comments keep proxies from closing an idle connection. A deactivated or re-roled employee
+  // is cut off here; the admin page reconnects with a fresh ticket, which checks the new role.
+  const heartbeat = setInterval(async () => {
+    res.write(': ping\n\n');
+    
+    try {
+      if (await activeEmployeeRole(user.id) === user.role) return;
+    } catch (error) {
+      // Keep the stream through a database hiccup; the next heartbeat checks again
+      console.error('Live updates employee check error:', error);
+      return;
+    }
     
-  } catch (error) {
-    console.error('Track order error:', error);
-    res.status(500).json({ 
+    disconnect();
+    res.end();
+  }, ADMIN_STREAM_HEARTBEAT_SECONDS * 1000);
+  
+  req.on('close', disconnect);
+});
+
+// ============================================
+// 🧯 FALLBACK HANDLERS (Unknown routes + unhandled errors, same error shape)
+// ============================================
+
+app.use('/api', (req, res) => {
+  res.status(404).json({ 
+    success: false, 
+    error: `No route for ${req.method} ${req.originalUrl.split('?')[0]}`, 
+    code: 'ROUTE_NOT_FOUND' 
+  });
+});
+
+// Body parser failures arrive here before any route runs
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ 
       success: false, 
-      error: 'Failed to track order' 
+      error: 'Request body is not valid JSON', 
+      code: 'INVALID_JSON' 
     });
   }
+  
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ 
+      success: false, 
+      error: 'Request body is too large', 
+      code: 'PAYLOAD_TOO_LARGE' 
+    });
+  }
+  
+  console.error('Unhandled error:', error);
+  res.status(500).json({ 
+    success: false, 
+    error: 'Something went wrong', 
+    code: 'INTERNAL_ERROR' 
+  });
 });
 
+// ============================================
+// 🧰 STARTUP CHECKS (Refuse to start with unsafe or broken settings)
+// ============================================
+
+// Each check returns a list of problems; any problem stops the server before it listens
+const STARTUP_CHECKS = [
+  checkPaymentConfig,
+  checkInvoiceConfig,
+  checkNotificationConfig
+];
+
+const startupProblems = STARTUP_CHECKS.flatMap(check => check());
+
+if (startupProblems.length) {
+  console.error('❌ Refusing to start:');
+  startupProblems.forEach(problem => console.error(`   - ${problem}`));
+  process.exit(1);
+}
+
 // ============================================
 // 🚀 START SERVER
 // ============================================
@@ -1508,10 +9771,22 @@ app.listen(PORT, async () => {
   console.log(`📡 Port: ${PORT}`);
   console.log(`🌐 API Base URL: http://localhost:${PORT}`);
   console.log(`🔗 Health Check: http://localhost:${PORT}/api/health`);
-  console.log(`\n📊 Initializing database...`);
+  console.log(`\n📊 Checking database migrations...`);
+  
+  await checkMigrations();
+  
+  // Delete rental ID proofs whose retention period has ended
+  setInterval(() => {
+    purgeExpiredIdProofs().catch(error => console.error('ID proof purge error:', error));
+  }, ID_PROOF_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+  
+  // Resend customer notifications that failed and are due for another attempt
+  setInterval(() => {
+    retryNotifications().catch(error => console.error('Notification retry error:', error));
+  }, NOTIFICATION_RETRY_INTERVAL_SECONDS * 1000).unref();
   
-  // Initialize database on startup
-  await initializeDatabase();
+  // Remember what is already low on stock so live updates only announce new shortfalls
+  queueLowStockCheck();
   
   console.log(`\n✅ Server is ready!`);
   console.log(`\n📋 Available Endpoints:`);
@@ -1519,19 +9794,60 @@ app.listen(PORT, async () => {
   console.log(`   POST /api/register - User registration`);
   console.log(`   POST /api/login - User login`);
   console.log(`   POST /api/admin/login - Admin login`);
-  console.log(`   GET  /api/products - Get all products`);
-  console.log(`   POST /api/quick-order - Quick order (WhatsApp flow)`);
-  console.log(`   GET  /api/track-order/:id - Track order`);
+  console.log(`   GET  /api/products - Get all products (?device= for phone-specific items)`);
+  console.log(`   GET  /api/products/search - Product search with facets and highlights`);
+  console.log(`   GET  /api/devices - Phone models for compatibility lookup`);
+  console.log(`   POST /api/coupons/validate - Check a coupon and preview the discount`);
+  console.log(`   POST /api/otp/send - Send OTP`);
+  console.log(`   POST /api/otp/verify - Verify OTP`);
+  console.log(`   POST /api/quick-order - Quick repair or shop order (WhatsApp flow, requires OTP)`);
+  console.log(`   GET  /api/track-order/:id?phone= - Track order with timeline and ETA`);
+  console.log(`   POST /api/track-order/by-phone - Track recent orders by phone (requires 'track' OTP)`);
+  console.log(`   POST /api/payments/webhook - Payment gateway webhook (signed)`);
+  console.log(`   GET  /api/rentals/models/:id/availability - Laptop rental calendar`);
+  console.log(`   POST /api/rentals/bookings - Book a rental laptop (requires OTP)`);
+  console.log(`   POST /api/rentals/bookings/:id/id-proof - Upload rental ID proof (upload token)`);
   console.log(`\n🔐 Protected Endpoints (Require Token):`);
-  console.log(`   POST /api/orders - Create order`);
+  console.log(`   POST /api/orders - Create order (requires OTP)`);
   console.log(`   GET  /api/my-orders - Get user orders`);
   console.log(`   POST /api/cart - Add to cart`);
   console.log(`   GET  /api/cart - Get cart items`);
+  console.log(`   PUT  /api/cart/:product_id - Set cart quantity`);
+  console.log(`   DELETE /api/cart - Clear cart`);
+  console.log(`   POST /api/cart/checkout - Checkout cart (requires OTP)`);
   console.log(`   POST /api/services - Create service request`);
-  console.log(`\n👑 Admin Endpoints (Require Admin Token):`);
+  console.log(`   POST /api/payments/intent - Start online payment`);
+  console.log(`   GET  /api/payments/:id - Payment status`);
+  console.log(`   POST /api/warranties/:id/claims - File warranty claim`);
+  console.log(`   GET  /api/my-orders/:id/invoice - Order GST invoice (PDF)`);
+  console.log(`   GET  /api/my-services/:id/invoice - Repair GST invoice (PDF)`);
+  console.log(`   PUT  /api/my-language - Notification language (en, hi, mr)`);
+  console.log(`\n👑 Admin Endpoints (Require Employee Token + Role Permission):`);
   console.log(`   GET  /api/admin/orders - Get all orders`);
   console.log(`   PUT  /api/admin/orders/:id/status - Update order status`);
+  console.log(`   PUT  /api/admin/services/:id/status - Move repair job to next stage`);
+  console.log(`   POST /api/admin/services/:id/quotes - Send repair quote to customer`);
+  console.log(`   GET  /api/admin/rentals/overdue - Overdue rentals`);
+  console.log(`   GET  /api/admin/rentals/bookings/:id/id-proof - Signed link to ID proof (admin)`);
   console.log(`   GET  /api/admin/analytics - Get analytics`);
   console.log(`   POST /api/admin/products - Add product`);
+  console.log(`   PUT  /api/admin/products/:id - Edit product (whitelisted fields, version check)`);
+  console.log(`   GET  /api/admin/products/:id/history - Product change history`);
+  console.log(`   POST /api/admin/products/import - Import products from CSV (dry run supported)`);
+  console.log(`   GET  /api/admin/products/export - Export catalogue as CSV`);
+  console.log(`   POST /api/admin/products/:id/variants - Add product variant`);
+  console.log(`   PUT  /api/admin/variants/:id/compatibility - Set devices a variant fits`);
+  console.log(`   GET  /api/admin/notifications - Customer notification delivery log`);
+  console.log(`   POST /api/admin/stream/ticket - Ticket for the live updates stream`);
+  console.log(`   GET  /api/admin/stream?ticket= - Live updates (SSE: new-order, new-service-request, status-change, low-stock)`);
+  console.log(`   GET  /api/admin/invoices - GST invoices by financial year`);
+  console.log(`   GET  /api/admin/invoices/:id/pdf - Download invoice (PDF)`);
+  console.log(`   POST /api/admin/coupons - Create coupon`);
+  console.log(`   GET  /api/admin/coupons - Coupons with usage`);
+  console.log(`   POST /api/admin/promotions - Create sale price promotion`);
+  console.log(`   GET  /api/admin/inventory/low-stock - Low stock report`);
+  console.log(`   POST /api/admin/inventory/stock-in - Receive stock`);
+  console.log(`   GET  /api/admin/employees - Get employees`);
+  console.log(`   POST /api/admin/employees - Add employee`);
   console.log(`\n💡 Tip: Use Postman to test API endpoints`);
 });
@@ -0,0 +1,11 @@
+-- Create customers table
+
+CREATE TABLE IF NOT EXISTS customers (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  phone VARCHAR(15) UNIQUE NOT NULL,
+  email VARCHAR(100),
+  password VARCHAR(255),
+  address TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
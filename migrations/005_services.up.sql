@@ -0,0 +1,15 @@
+-- Create services table
+
+CREATE TABLE IF NOT EXISTS services (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+  device_type VARCHAR(100),
+  problem_description TEXT,
+  estimated_cost DECIMAL(10,2),
+  actual_cost DECIMAL(10,2),
+  status VARCHAR(20) DEFAULT 'pending',
+  technician_id UUID,
+  completion_date TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
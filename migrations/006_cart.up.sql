@@ -0,0 +1,10 @@
+-- Create cart table
+
+CREATE TABLE IF NOT EXISTS cart (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER DEFAULT 1,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(customer_id, product_id)
+);
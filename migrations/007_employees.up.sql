@@ -0,0 +1,13 @@
+-- Create employees table
+
+CREATE TABLE IF NOT EXISTS employees (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  phone VARCHAR(15) UNIQUE NOT NULL,
+  email VARCHAR(100),
+  role VARCHAR(50) DEFAULT 'technician',
+  salary DECIMAL(10,2),
+  joining_date DATE,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,10 @@
+-- Create inventory_log table
+
+CREATE TABLE IF NOT EXISTS inventory_log (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+  quantity_change INTEGER NOT NULL,
+  type VARCHAR(20),
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
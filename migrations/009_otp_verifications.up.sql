@@ -0,0 +1,15 @@
+-- Create otp_verifications table
+
+CREATE TABLE IF NOT EXISTS otp_verifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  phone VARCHAR(15) NOT NULL,
+  purpose VARCHAR(30) NOT NULL DEFAULT 'order',
+  code_hash VARCHAR(128) NOT NULL,
+  attempts INTEGER DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  verified_at TIMESTAMP,
+  consumed_at TIMESTAMP,
+  invalidated_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_otp_verifications_phone ON otp_verifications (phone, purpose, created_at DESC);
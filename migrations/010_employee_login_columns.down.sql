@@ -0,0 +1,3 @@
+ALTER TABLE employees DROP CONSTRAINT IF EXISTS employees_role_check;
+ALTER TABLE employees DROP COLUMN IF EXISTS last_login_at;
+ALTER TABLE employees DROP COLUMN IF EXISTS password;
@@ -0,0 +1,7 @@
+-- Add login columns to employees table
+
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS password VARCHAR(255);
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP;
+ALTER TABLE employees DROP CONSTRAINT IF EXISTS employees_role_check;
+ALTER TABLE employees ADD CONSTRAINT employees_role_check
+  CHECK (role IN ('admin', 'manager', 'technician', 'delivery'));
@@ -0,0 +1 @@
+DROP FUNCTION IF EXISTS place_order(UUID, JSONB, VARCHAR, TEXT);
@@ -0,0 +1,63 @@
+-- Create place_order function (order + items + stock in one transaction)
+
+CREATE OR REPLACE FUNCTION place_order(
+  p_customer_id UUID,
+  p_items JSONB,
+  p_payment_method VARCHAR,
+  p_delivery_address TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_item RECORD;
+  v_product products%ROWTYPE;
+  v_total DECIMAL(10,2) := 0;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'ORDER_EMPTY';
+  END IF;
+
+  INSERT INTO orders (customer_id, total_amount, payment_method, delivery_address, status, payment_status)
+  VALUES (
+    p_customer_id, 0, COALESCE(p_payment_method, 'cod'), p_delivery_address, 'pending', 'pending'
+  )
+  RETURNING * INTO v_order;
+
+  -- Lock products in id order so concurrent orders cannot deadlock
+  FOR v_item IN
+    SELECT (elem->>'product_id')::UUID AS product_id, SUM((elem->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY 1
+    ORDER BY 1
+  LOOP
+    IF v_item.quantity IS NULL OR v_item.quantity <= 0 THEN
+      RAISE EXCEPTION 'INVALID_QUANTITY:%', v_item.product_id;
+    END IF;
+
+    SELECT * INTO v_product FROM products WHERE id = v_item.product_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT v_product.is_active THEN
+      RAISE EXCEPTION 'PRODUCT_UNAVAILABLE:%', v_item.product_id;
+    END IF;
+
+    IF v_product.stock_quantity < v_item.quantity THEN
+      RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', v_item.product_id;
+    END IF;
+
+    INSERT INTO order_items (order_id, product_id, quantity, price)
+    VALUES (v_order.id, v_product.id, v_item.quantity, v_product.price);
+
+    -- The inventory_log trigger decrements products.stock_quantity
+    INSERT INTO inventory_log (product_id, quantity_change, type, reason, reference)
+    VALUES (v_product.id, -v_item.quantity, 'sale', 'Order ' || v_order.id, v_order.id::TEXT);
+
+    v_total := v_total + v_product.price * v_item.quantity;
+  END LOOP;
+
+  UPDATE orders SET total_amount = v_total WHERE id = v_order.id
+  RETURNING * INTO v_order;
+
+  RETURN to_jsonb(v_order);
+END;
+$$;
@@ -0,0 +1 @@
+DROP FUNCTION IF EXISTS checkout_cart(UUID, VARCHAR, TEXT);
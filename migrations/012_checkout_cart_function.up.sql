@@ -0,0 +1,32 @@
+-- Create checkout_cart function (cart -> order -> empty cart in one transaction)
+
+CREATE OR REPLACE FUNCTION checkout_cart(
+  p_customer_id UUID,
+  p_payment_method VARCHAR,
+  p_delivery_address TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_items JSONB;
+  v_order JSONB;
+BEGIN
+  -- Lock the cart so a concurrent add/remove cannot slip between order and clear
+  PERFORM 1 FROM cart WHERE customer_id = p_customer_id FOR UPDATE;
+
+  SELECT jsonb_agg(jsonb_build_object('product_id', product_id, 'quantity', quantity))
+  INTO v_items
+  FROM cart
+  WHERE customer_id = p_customer_id;
+
+  IF v_items IS NULL THEN
+    RAISE EXCEPTION 'CART_EMPTY';
+  END IF;
+
+  v_order := place_order(p_customer_id, v_items, p_payment_method, p_delivery_address);
+
+  DELETE FROM cart WHERE customer_id = p_customer_id;
+
+  RETURN v_order;
+END;
+$$;
@@ -0,0 +1,30 @@
+-- Create payments and payment_events tables
+
+CREATE TABLE IF NOT EXISTS payments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  provider VARCHAR(30) NOT NULL,
+  method VARCHAR(20),
+  amount DECIMAL(10,2) NOT NULL,
+  currency VARCHAR(3) DEFAULT 'INR',
+  status VARCHAR(20) DEFAULT 'created',
+  provider_order_id VARCHAR(100) UNIQUE,
+  provider_payment_id VARCHAR(100),
+  failure_reason TEXT,
+  provider_refund_id VARCHAR(100),
+  refund_status VARCHAR(20),
+  refund_reason TEXT,
+  refunded_amount DECIMAL(10,2) DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_payments_order ON payments (order_id);
+CREATE INDEX IF NOT EXISTS idx_payments_provider_payment ON payments (provider_payment_id);
+
+CREATE TABLE IF NOT EXISTS payment_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  event_id VARCHAR(100) UNIQUE NOT NULL,
+  event_type VARCHAR(50),
+  payload JSONB,
+  received_at TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,14 @@
+DROP VIEW IF EXISTS low_stock_products;
+
+DROP TRIGGER IF EXISTS products_guard_stock ON products;
+DROP FUNCTION IF EXISTS guard_product_stock();
+DROP TRIGGER IF EXISTS inventory_log_apply ON inventory_log;
+DROP FUNCTION IF EXISTS apply_inventory_log_entry();
+
+DELETE FROM inventory_log WHERE reference = 'migration_014';
+DROP INDEX IF EXISTS idx_inventory_log_product;
+ALTER TABLE inventory_log DROP COLUMN IF EXISTS created_by;
+ALTER TABLE inventory_log DROP COLUMN IF EXISTS unit_cost;
+ALTER TABLE inventory_log DROP COLUMN IF EXISTS reference;
+ALTER TABLE inventory_log DROP COLUMN IF EXISTS balance_after;
+ALTER TABLE products DROP COLUMN IF EXISTS low_stock_threshold;
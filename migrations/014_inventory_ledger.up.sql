@@ -0,0 +1,75 @@
+-- Inventory ledger: stock is only ever changed by inserting into inventory_log
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS low_stock_threshold INTEGER DEFAULT 5;
+ALTER TABLE inventory_log ADD COLUMN IF NOT EXISTS balance_after INTEGER;
+ALTER TABLE inventory_log ADD COLUMN IF NOT EXISTS reference VARCHAR(100);
+ALTER TABLE inventory_log ADD COLUMN IF NOT EXISTS unit_cost DECIMAL(10,2);
+ALTER TABLE inventory_log ADD COLUMN IF NOT EXISTS created_by UUID;
+CREATE INDEX IF NOT EXISTS idx_inventory_log_product ON inventory_log (product_id, created_at);
+
+-- Opening balance so the ledger of every existing product sums to its current stock.
+-- Runs before the trigger below exists, so the stock itself is left as it is.
+INSERT INTO inventory_log (product_id, quantity_change, type, reason, reference, balance_after)
+SELECT p.id, p.stock_quantity - COALESCE(l.total, 0), 'opening', 'Opening balance', 'migration_014', p.stock_quantity
+FROM products p
+LEFT JOIN (
+  SELECT product_id, SUM(quantity_change) AS total FROM inventory_log GROUP BY product_id
+) l ON l.product_id = p.id
+WHERE p.stock_quantity - COALESCE(l.total, 0) <> 0;
+
+-- Applies each ledger entry to products.stock_quantity and refuses negative stock
+CREATE OR REPLACE FUNCTION apply_inventory_log_entry() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_stock INTEGER;
+BEGIN
+  SELECT stock_quantity INTO v_stock FROM products WHERE id = NEW.product_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PRODUCT_UNAVAILABLE:%', NEW.product_id;
+  END IF;
+
+  IF v_stock + NEW.quantity_change < 0 THEN
+    RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', NEW.product_id;
+  END IF;
+
+  NEW.balance_after := v_stock + NEW.quantity_change;
+
+  PERFORM set_config('app.inventory_sync', 'on', true);
+  UPDATE products SET stock_quantity = NEW.balance_after WHERE id = NEW.product_id;
+  PERFORM set_config('app.inventory_sync', 'off', true);
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS inventory_log_apply ON inventory_log;
+CREATE TRIGGER inventory_log_apply
+  BEFORE INSERT ON inventory_log
+  FOR EACH ROW EXECUTE FUNCTION apply_inventory_log_entry();
+
+-- Blocks stock edits that bypass the ledger
+CREATE OR REPLACE FUNCTION guard_product_stock() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF COALESCE(current_setting('app.inventory_sync', true), 'off') <> 'on' AND (
+    (TG_OP = 'INSERT' AND COALESCE(NEW.stock_quantity, 0) <> 0) OR
+    (TG_OP = 'UPDATE' AND NEW.stock_quantity IS DISTINCT FROM OLD.stock_quantity)
+  ) THEN
+    RAISE EXCEPTION 'STOCK_MANAGED_BY_LEDGER:%', NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_guard_stock ON products;
+CREATE TRIGGER products_guard_stock
+  BEFORE INSERT OR UPDATE ON products
+  FOR EACH ROW EXECUTE FUNCTION guard_product_stock();
+
+CREATE OR REPLACE VIEW low_stock_products AS
+  SELECT id, name, category, stock_quantity, low_stock_threshold
+  FROM products
+  WHERE is_active = true AND stock_quantity <= low_stock_threshold;
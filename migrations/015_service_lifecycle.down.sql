@@ -0,0 +1,16 @@
+DROP TRIGGER IF EXISTS services_status_history ON services;
+DROP FUNCTION IF EXISTS log_service_status_change();
+
+DROP TABLE IF EXISTS service_parts;
+DROP TABLE IF EXISTS service_status_history;
+
+ALTER TABLE services DROP CONSTRAINT IF EXISTS services_status_check;
+ALTER TABLE services ALTER COLUMN status SET DEFAULT 'pending';
+UPDATE services SET status = 'pending' WHERE status = 'received';
+
+ALTER TABLE services DROP COLUMN IF EXISTS status_note;
+ALTER TABLE services DROP COLUMN IF EXISTS status_changed_by_role;
+ALTER TABLE services DROP COLUMN IF EXISTS status_changed_by;
+ALTER TABLE services DROP COLUMN IF EXISTS diagnosed_at;
+ALTER TABLE services DROP COLUMN IF EXISTS diagnosed_by;
+ALTER TABLE services DROP COLUMN IF EXISTS diagnosis_notes;
@@ -0,0 +1,64 @@
+-- Repair job lifecycle: status history and parts used
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS diagnosis_notes TEXT;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS diagnosed_by UUID;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS diagnosed_at TIMESTAMP;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS status_changed_by UUID;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS status_changed_by_role VARCHAR(20);
+ALTER TABLE services ADD COLUMN IF NOT EXISTS status_note TEXT;
+
+UPDATE services SET status = 'received' WHERE status = 'pending';
+ALTER TABLE services ALTER COLUMN status SET DEFAULT 'received';
+ALTER TABLE services DROP CONSTRAINT IF EXISTS services_status_check;
+ALTER TABLE services ADD CONSTRAINT services_status_check CHECK (status IN (
+  'received', 'diagnosed', 'quote_sent', 'approved', 'in_repair',
+  'qc', 'ready', 'delivered', 'rejected', 'unrepairable'
+));
+
+CREATE TABLE IF NOT EXISTS service_status_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  note TEXT,
+  changed_by UUID,
+  changed_by_role VARCHAR(20),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_service_status_history_service ON service_status_history (service_id, created_at);
+
+CREATE TABLE IF NOT EXISTS service_parts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  part_name VARCHAR(200) NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  unit_cost DECIMAL(10,2) DEFAULT 0,
+  added_by UUID,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Every status change, from any code path, lands in the history table
+CREATE OR REPLACE FUNCTION log_service_status_change() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO service_status_history (service_id, from_status, to_status, note, changed_by, changed_by_role)
+    VALUES (
+      NEW.id,
+      CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+      NEW.status,
+      NEW.status_note,
+      NEW.status_changed_by,
+      NEW.status_changed_by_role
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS services_status_history ON services;
+CREATE TRIGGER services_status_history
+  AFTER INSERT OR UPDATE OF status ON services
+  FOR EACH ROW EXECUTE FUNCTION log_service_status_change();
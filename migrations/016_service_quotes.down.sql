@@ -0,0 +1,5 @@
+ALTER TABLE services DROP COLUMN IF EXISTS approved_at;
+ALTER TABLE services DROP COLUMN IF EXISTS approved_amount;
+ALTER TABLE services DROP COLUMN IF EXISTS approved_quote_id;
+
+DROP TABLE IF EXISTS service_quotes;
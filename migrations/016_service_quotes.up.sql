@@ -0,0 +1,27 @@
+-- Repair quotes with one-time approval links
+
+CREATE TABLE IF NOT EXISTS service_quotes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  items JSONB NOT NULL,
+  parts_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+  labour_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+  total DECIMAL(10,2) NOT NULL,
+  notes TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'sent'
+    CHECK (status IN ('sent', 'approved', 'rejected', 'superseded')),
+  link_token_hash VARCHAR(64) UNIQUE,
+  link_expires_at TIMESTAMP,
+  link_used_at TIMESTAMP,
+  responded_at TIMESTAMP,
+  response_channel VARCHAR(10),
+  customer_note TEXT,
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (service_id, version)
+);
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS approved_quote_id UUID REFERENCES service_quotes(id);
+ALTER TABLE services ADD COLUMN IF NOT EXISTS approved_amount DECIMAL(10,2);
+ALTER TABLE services ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP;
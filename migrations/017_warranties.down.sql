@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS warranty_claims;
+
+DROP INDEX IF EXISTS idx_services_open_warranty_claim;
+ALTER TABLE services DROP COLUMN IF EXISTS warranty_id;
+
+DROP TABLE IF EXISTS warranties;
+ALTER TABLE services DROP COLUMN IF EXISTS service_type;
@@ -0,0 +1,40 @@
+-- Warranties and warranty claims
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS service_type VARCHAR(50);
+
+CREATE TABLE IF NOT EXISTS warranties (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+  source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('service', 'order_item')),
+  service_id UUID UNIQUE REFERENCES services(id) ON DELETE CASCADE,
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  order_item_id UUID UNIQUE REFERENCES order_items(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  category VARCHAR(50),
+  description TEXT,
+  coverage_months INTEGER NOT NULL,
+  starts_at TIMESTAMP NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'void')),
+  void_reason TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_warranties_customer ON warranties (customer_id);
+
+-- The warranty a zero-cost claim job is being repaired under
+ALTER TABLE services ADD COLUMN IF NOT EXISTS warranty_id UUID REFERENCES warranties(id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_services_open_warranty_claim
+  ON services (warranty_id)
+  WHERE warranty_id IS NOT NULL AND status NOT IN ('delivered', 'rejected', 'unrepairable');
+
+CREATE TABLE IF NOT EXISTS warranty_claims (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  warranty_id UUID REFERENCES warranties(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+  issue_description TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('accepted', 'rejected')),
+  rejection_reason TEXT,
+  claim_service_id UUID REFERENCES services(id) ON DELETE SET NULL,
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,5 @@
+-- btree_gist is left installed; other schemas may use it
+DROP TABLE IF EXISTS rental_bookings;
+DROP TABLE IF EXISTS rental_units;
+DROP TABLE IF EXISTS rental_rates;
+DROP TABLE IF EXISTS rental_models;
@@ -0,0 +1,53 @@
+-- Laptop rentals: models, rate tiers, units and bookings
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+CREATE TABLE IF NOT EXISTS rental_models (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  specs TEXT,
+  image_url TEXT,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS rental_rates (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  model_id UUID REFERENCES rental_models(id) ON DELETE CASCADE,
+  period VARCHAR(20) NOT NULL CHECK (period IN ('2_hours', '4_hours', '8_hours', '3_days', '7_days')),
+  price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+  UNIQUE (model_id, period)
+);
+
+CREATE TABLE IF NOT EXISTS rental_units (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  model_id UUID REFERENCES rental_models(id) ON DELETE CASCADE,
+  serial_number VARCHAR(100) UNIQUE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'maintenance', 'retired')),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS rental_bookings (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  unit_id UUID REFERENCES rental_units(id) ON DELETE RESTRICT,
+  customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+  period VARCHAR(20) NOT NULL,
+  starts_at TIMESTAMP NOT NULL,
+  ends_at TIMESTAMP NOT NULL,
+  price DECIMAL(10,2) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'reserved'
+    CHECK (status IN ('reserved', 'checked_out', 'returned', 'cancelled')),
+  delivery_option VARCHAR(10) NOT NULL DEFAULT 'store' CHECK (delivery_option IN ('store', 'home')),
+  delivery_address TEXT,
+  cancel_reason TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (ends_at > starts_at),
+  -- A unit can't be out on two live bookings at overlapping times
+  CONSTRAINT rental_bookings_no_overlap EXCLUDE USING gist (
+    unit_id WITH =,
+    tsrange(starts_at, ends_at, '[)') WITH &&
+  ) WHERE (status IN ('reserved', 'checked_out'))
+);
+CREATE INDEX IF NOT EXISTS idx_rental_bookings_customer ON rental_bookings (customer_id);
@@ -0,0 +1,22 @@
+DROP INDEX IF EXISTS idx_rental_bookings_out;
+
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS deposit_released_at;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS deposit_refund_amount;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS deposit_status;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS deposit_method;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS deposit_amount;
+
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS balance_due;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS damage_charge;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS late_fee;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS late_minutes;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS return_photos;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS return_condition;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS returned_by;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS returned_at;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS checkout_photos;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS checkout_condition;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS checked_out_by;
+ALTER TABLE rental_bookings DROP COLUMN IF EXISTS checked_out_at;
+
+ALTER TABLE rental_models DROP COLUMN IF EXISTS deposit_amount;
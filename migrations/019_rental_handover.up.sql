@@ -0,0 +1,25 @@
+-- Rental check-out / check-in, late fees and deposits
+
+ALTER TABLE rental_models ADD COLUMN IF NOT EXISTS deposit_amount DECIMAL(10,2) NOT NULL DEFAULT 2000;
+
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMP;
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS checked_out_by UUID;
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS checkout_condition TEXT;
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS checkout_photos JSONB DEFAULT '[]';
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS returned_at TIMESTAMP;
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS returned_by UUID;
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS return_condition TEXT;
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS return_photos JSONB DEFAULT '[]';
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS late_minutes INTEGER DEFAULT 0;
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS late_fee DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS damage_charge DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS balance_due DECIMAL(10,2) DEFAULT 0;
+
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS deposit_amount DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS deposit_method VARCHAR(10);
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS deposit_status VARCHAR(20) NOT NULL DEFAULT 'none'
+  CHECK (deposit_status IN ('none', 'held', 'released', 'partially_released', 'forfeited'));
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS deposit_refund_amount DECIMAL(10,2);
+ALTER TABLE rental_bookings ADD COLUMN IF NOT EXISTS deposit_released_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_rental_bookings_out ON rental_bookings (ends_at) WHERE status = 'checked_out';
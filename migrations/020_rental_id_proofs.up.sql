@@ -0,0 +1,17 @@
+-- Rental ID proofs (file kept in storage, row kept for audit)
+
+CREATE TABLE IF NOT EXISTS rental_id_proofs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  booking_id UUID REFERENCES rental_bookings(id) ON DELETE CASCADE,
+  storage_driver VARCHAR(20) NOT NULL,
+  storage_key TEXT NOT NULL,
+  content_type VARCHAR(50) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  sha256 VARCHAR(64) NOT NULL,
+  uploaded_by_role VARCHAR(20),
+  uploaded_at TIMESTAMP DEFAULT NOW(),
+  purge_after TIMESTAMP,
+  deleted_at TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_rental_id_proofs_booking ON rental_id_proofs (booking_id);
+CREATE INDEX IF NOT EXISTS idx_rental_id_proofs_purge ON rental_id_proofs (purge_after) WHERE deleted_at IS NULL;
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_products_active_category;
+ALTER TABLE products DROP COLUMN IF EXISTS delivery_eta;
@@ -0,0 +1,4 @@
+-- Shop catalogue: delivery time shown on each product card
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS delivery_eta VARCHAR(20) DEFAULT '15 min';
+CREATE INDEX IF NOT EXISTS idx_products_active_category ON products (is_active, category, created_at DESC);
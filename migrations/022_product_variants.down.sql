@@ -0,0 +1,139 @@
+-- Back to product-only stock, ordering and carts (as in 011, 012 and 014)
+CREATE OR REPLACE FUNCTION place_order(
+  p_customer_id UUID,
+  p_items JSONB,
+  p_payment_method VARCHAR,
+  p_delivery_address TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_item RECORD;
+  v_product products%ROWTYPE;
+  v_total DECIMAL(10,2) := 0;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'ORDER_EMPTY';
+  END IF;
+
+  INSERT INTO orders (customer_id, total_amount, payment_method, delivery_address, status, payment_status)
+  VALUES (
+    p_customer_id, 0, COALESCE(p_payment_method, 'cod'), p_delivery_address, 'pending', 'pending'
+  )
+  RETURNING * INTO v_order;
+
+  -- Lock products in id order so concurrent orders cannot deadlock
+  FOR v_item IN
+    SELECT (elem->>'product_id')::UUID AS product_id, SUM((elem->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY 1
+    ORDER BY 1
+  LOOP
+    IF v_item.quantity IS NULL OR v_item.quantity <= 0 THEN
+      RAISE EXCEPTION 'INVALID_QUANTITY:%', v_item.product_id;
+    END IF;
+
+    SELECT * INTO v_product FROM products WHERE id = v_item.product_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT v_product.is_active THEN
+      RAISE EXCEPTION 'PRODUCT_UNAVAILABLE:%', v_item.product_id;
+    END IF;
+
+    IF v_product.stock_quantity < v_item.quantity THEN
+      RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', v_item.product_id;
+    END IF;
+
+    INSERT INTO order_items (order_id, product_id, quantity, price)
+    VALUES (v_order.id, v_product.id, v_item.quantity, v_product.price);
+
+    -- The inventory_log trigger decrements products.stock_quantity
+    INSERT INTO inventory_log (product_id, quantity_change, type, reason, reference)
+    VALUES (v_product.id, -v_item.quantity, 'sale', 'Order ' || v_order.id, v_order.id::TEXT);
+
+    v_total := v_total + v_product.price * v_item.quantity;
+  END LOOP;
+
+  UPDATE orders SET total_amount = v_total WHERE id = v_order.id
+  RETURNING * INTO v_order;
+
+  RETURN to_jsonb(v_order);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION checkout_cart(
+  p_customer_id UUID,
+  p_payment_method VARCHAR,
+  p_delivery_address TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_items JSONB;
+  v_order JSONB;
+BEGIN
+  -- Lock the cart so a concurrent add/remove cannot slip between order and clear
+  PERFORM 1 FROM cart WHERE customer_id = p_customer_id FOR UPDATE;
+
+  SELECT jsonb_agg(jsonb_build_object('product_id', product_id, 'quantity', quantity))
+  INTO v_items
+  FROM cart
+  WHERE customer_id = p_customer_id;
+
+  IF v_items IS NULL THEN
+    RAISE EXCEPTION 'CART_EMPTY';
+  END IF;
+
+  v_order := place_order(p_customer_id, v_items, p_payment_method, p_delivery_address);
+
+  DELETE FROM cart WHERE customer_id = p_customer_id;
+
+  RETURN v_order;
+END;
+$$;
+
+DROP VIEW IF EXISTS low_stock_products;
+CREATE OR REPLACE VIEW low_stock_products AS
+  SELECT id, name, category, stock_quantity, low_stock_threshold
+  FROM products
+  WHERE is_active = true AND stock_quantity <= low_stock_threshold;
+
+DROP TRIGGER IF EXISTS product_variants_guard_stock ON product_variants;
+
+CREATE OR REPLACE FUNCTION apply_inventory_log_entry() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_stock INTEGER;
+BEGIN
+  SELECT stock_quantity INTO v_stock FROM products WHERE id = NEW.product_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PRODUCT_UNAVAILABLE:%', NEW.product_id;
+  END IF;
+
+  IF v_stock + NEW.quantity_change < 0 THEN
+    RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', NEW.product_id;
+  END IF;
+
+  NEW.balance_after := v_stock + NEW.quantity_change;
+
+  PERFORM set_config('app.inventory_sync', 'on', true);
+  UPDATE products SET stock_quantity = NEW.balance_after WHERE id = NEW.product_id;
+  PERFORM set_config('app.inventory_sync', 'off', true);
+
+  RETURN NEW;
+END;
+$$;
+
+-- Cart lines for different variants of one product cannot be merged back
+DELETE FROM cart WHERE variant_id IS NOT NULL;
+DROP INDEX IF EXISTS idx_cart_customer_item;
+ALTER TABLE cart ADD CONSTRAINT cart_customer_id_product_id_key UNIQUE (customer_id, product_id);
+ALTER TABLE cart DROP COLUMN IF EXISTS variant_id;
+ALTER TABLE order_items DROP COLUMN IF EXISTS variant_id;
+ALTER TABLE inventory_log DROP COLUMN IF EXISTS variant_id;
+
+DROP TABLE IF EXISTS variant_compatibility;
+DROP TABLE IF EXISTS device_models;
+DROP TABLE IF EXISTS product_variants;
@@ -0,0 +1,225 @@
+-- Product variants (own price + stock) and device compatibility
+
+CREATE TABLE IF NOT EXISTS product_variants (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+  sku VARCHAR(64) UNIQUE,
+  name VARCHAR(200) NOT NULL,
+  -- e.g. {"model": "iPhone 13", "colour": "Black", "length": "1.5m", "wattage": "20W"}
+  attributes JSONB NOT NULL DEFAULT '{}',
+  price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+  stock_quantity INTEGER NOT NULL DEFAULT 0,
+  low_stock_threshold INTEGER DEFAULT 5,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_product_variants_product ON product_variants (product_id);
+
+CREATE TABLE IF NOT EXISTS device_models (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  brand VARCHAR(50) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_device_models_name ON device_models (lower(brand), lower(model));
+
+CREATE TABLE IF NOT EXISTS variant_compatibility (
+  variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+  device_model_id UUID REFERENCES device_models(id) ON DELETE CASCADE,
+  PRIMARY KEY (variant_id, device_model_id)
+);
+CREATE INDEX IF NOT EXISTS idx_variant_compatibility_device ON variant_compatibility (device_model_id);
+
+ALTER TABLE inventory_log ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id);
+ALTER TABLE cart ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE cart DROP CONSTRAINT IF EXISTS cart_customer_id_product_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_customer_item ON cart (customer_id, product_id, variant_id) NULLS NOT DISTINCT;
+
+-- Ledger entries with a variant_id move that variant's stock instead of the product's
+CREATE OR REPLACE FUNCTION apply_inventory_log_entry() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_stock INTEGER;
+BEGIN
+  IF NEW.variant_id IS NOT NULL THEN
+    SELECT stock_quantity INTO v_stock FROM product_variants
+    WHERE id = NEW.variant_id AND product_id = NEW.product_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'VARIANT_UNAVAILABLE:%', NEW.variant_id;
+    END IF;
+
+    IF v_stock + NEW.quantity_change < 0 THEN
+      RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', NEW.product_id;
+    END IF;
+
+    NEW.balance_after := v_stock + NEW.quantity_change;
+
+    PERFORM set_config('app.inventory_sync', 'on', true);
+    UPDATE product_variants SET stock_quantity = NEW.balance_after, updated_at = NOW() WHERE id = NEW.variant_id;
+    PERFORM set_config('app.inventory_sync', 'off', true);
+
+    RETURN NEW;
+  END IF;
+
+  SELECT stock_quantity INTO v_stock FROM products WHERE id = NEW.product_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PRODUCT_UNAVAILABLE:%', NEW.product_id;
+  END IF;
+
+  IF v_stock + NEW.quantity_change < 0 THEN
+    RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', NEW.product_id;
+  END IF;
+
+  NEW.balance_after := v_stock + NEW.quantity_change;
+
+  PERFORM set_config('app.inventory_sync', 'on', true);
+  UPDATE products SET stock_quantity = NEW.balance_after WHERE id = NEW.product_id;
+  PERFORM set_config('app.inventory_sync', 'off', true);
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS product_variants_guard_stock ON product_variants;
+CREATE TRIGGER product_variants_guard_stock
+  BEFORE INSERT OR UPDATE ON product_variants
+  FOR EACH ROW EXECUTE FUNCTION guard_product_stock();
+
+-- Products sold by variant are low on stock per variant, not on their own (unused) stock
+CREATE OR REPLACE VIEW low_stock_products AS
+  SELECT p.id, p.name, p.category, p.stock_quantity, p.low_stock_threshold, NULL::UUID AS variant_id
+  FROM products p
+  WHERE p.is_active = true AND p.stock_quantity <= p.low_stock_threshold
+    AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active)
+  UNION ALL
+  SELECT p.id, p.name || ' - ' || v.name, p.category, v.stock_quantity, v.low_stock_threshold, v.id
+  FROM product_variants v
+  JOIN products p ON p.id = v.product_id
+  WHERE p.is_active = true AND v.is_active = true AND v.stock_quantity <= v.low_stock_threshold;
+
+-- Items may now name a variant; products that have variants must be ordered by variant
+CREATE OR REPLACE FUNCTION place_order(
+  p_customer_id UUID,
+  p_items JSONB,
+  p_payment_method VARCHAR,
+  p_delivery_address TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_item RECORD;
+  v_product products%ROWTYPE;
+  v_variant product_variants%ROWTYPE;
+  v_price DECIMAL(10,2);
+  v_total DECIMAL(10,2) := 0;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'ORDER_EMPTY';
+  END IF;
+
+  INSERT INTO orders (customer_id, total_amount, payment_method, delivery_address, status, payment_status)
+  VALUES (
+    p_customer_id, 0, COALESCE(p_payment_method, 'cod'), p_delivery_address, 'pending', 'pending'
+  )
+  RETURNING * INTO v_order;
+
+  -- Lock rows in a fixed order so concurrent orders cannot deadlock
+  FOR v_item IN
+    SELECT
+      (elem->>'product_id')::UUID AS product_id,
+      NULLIF(elem->>'variant_id', '')::UUID AS variant_id,
+      SUM((elem->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY 1, 2
+    ORDER BY 1, 2
+  LOOP
+    IF v_item.quantity IS NULL OR v_item.quantity <= 0 THEN
+      RAISE EXCEPTION 'INVALID_QUANTITY:%', v_item.product_id;
+    END IF;
+
+    SELECT * INTO v_product FROM products WHERE id = v_item.product_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT v_product.is_active THEN
+      RAISE EXCEPTION 'PRODUCT_UNAVAILABLE:%', v_item.product_id;
+    END IF;
+
+    IF v_item.variant_id IS NOT NULL THEN
+      SELECT * INTO v_variant FROM product_variants
+      WHERE id = v_item.variant_id AND product_id = v_product.id
+      FOR UPDATE;
+
+      IF NOT FOUND OR NOT v_variant.is_active THEN
+        RAISE EXCEPTION 'VARIANT_UNAVAILABLE:%', v_item.variant_id;
+      END IF;
+
+      IF v_variant.stock_quantity < v_item.quantity THEN
+        RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', v_item.product_id;
+      END IF;
+
+      v_price := v_variant.price;
+    ELSE
+      IF EXISTS (SELECT 1 FROM product_variants WHERE product_id = v_product.id AND is_active) THEN
+        RAISE EXCEPTION 'VARIANT_REQUIRED:%', v_item.product_id;
+      END IF;
+
+      IF v_product.stock_quantity < v_item.quantity THEN
+        RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', v_item.product_id;
+      END IF;
+
+      v_price := v_product.price;
+    END IF;
+
+    INSERT INTO order_items (order_id, product_id, variant_id, quantity, price)
+    VALUES (v_order.id, v_product.id, v_item.variant_id, v_item.quantity, v_price);
+
+    -- The inventory_log trigger decrements the product or variant stock
+    INSERT INTO inventory_log (product_id, variant_id, quantity_change, type, reason, reference)
+    VALUES (v_product.id, v_item.variant_id, -v_item.quantity, 'sale', 'Order ' || v_order.id, v_order.id::TEXT);
+
+    v_total := v_total + v_price * v_item.quantity;
+  END LOOP;
+
+  UPDATE orders SET total_amount = v_total WHERE id = v_order.id
+  RETURNING * INTO v_order;
+
+  RETURN to_jsonb(v_order);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION checkout_cart(
+  p_customer_id UUID,
+  p_payment_method VARCHAR,
+  p_delivery_address TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_items JSONB;
+  v_order JSONB;
+BEGIN
+  -- Lock the cart so a concurrent add/remove cannot slip between order and clear
+  PERFORM 1 FROM cart WHERE customer_id = p_customer_id FOR UPDATE;
+
+  SELECT jsonb_agg(jsonb_build_object('product_id', product_id, 'variant_id', variant_id, 'quantity', quantity))
+  INTO v_items
+  FROM cart
+  WHERE customer_id = p_customer_id;
+
+  IF v_items IS NULL THEN
+    RAISE EXCEPTION 'CART_EMPTY';
+  END IF;
+
+  v_order := place_order(p_customer_id, v_items, p_payment_method, p_delivery_address);
+
+  DELETE FROM cart WHERE customer_id = p_customer_id;
+
+  RETURN v_order;
+END;
+$$;
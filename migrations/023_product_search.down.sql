@@ -0,0 +1,13 @@
+-- pg_trgm is left installed; other schemas may use it
+DROP FUNCTION IF EXISTS search_products(TEXT, VARCHAR, VARCHAR, JSONB, UUID[], INTEGER, INTEGER);
+
+DROP INDEX IF EXISTS idx_products_name_trgm;
+DROP INDEX IF EXISTS idx_products_search_vector;
+
+DROP TRIGGER IF EXISTS product_variants_search_vector ON product_variants;
+DROP FUNCTION IF EXISTS product_variants_refresh_search();
+DROP TRIGGER IF EXISTS products_search_vector ON products;
+DROP FUNCTION IF EXISTS products_refresh_search();
+DROP FUNCTION IF EXISTS product_search_vector(UUID, TEXT, TEXT, TEXT);
+
+ALTER TABLE products DROP COLUMN IF EXISTS search_vector;
@@ -0,0 +1,176 @@
+-- Product search: full-text (name, category, variants, description) + trigram typo tolerance
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+-- Name matters most, then category and variant names ("iPhone 13", "Blue", "1.5m"), then description
+CREATE OR REPLACE FUNCTION product_search_vector(p_id UUID, p_name TEXT, p_category TEXT, p_description TEXT)
+RETURNS tsvector
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    setweight(to_tsvector('english', COALESCE(p_name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(p_category, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE((
+      SELECT string_agg(v.name || ' ' || COALESCE((SELECT string_agg(value, ' ') FROM jsonb_each_text(v.attributes)), ''), ' ')
+      FROM product_variants v
+      WHERE v.product_id = p_id AND v.is_active
+    ), '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(p_description, '')), 'C')
+$$;
+
+CREATE OR REPLACE FUNCTION products_refresh_search() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.search_vector := product_search_vector(NEW.id, NEW.name, NEW.category, NEW.description);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_search_vector ON products;
+CREATE TRIGGER products_search_vector
+  BEFORE INSERT OR UPDATE OF name, category, description ON products
+  FOR EACH ROW EXECUTE FUNCTION products_refresh_search();
+
+CREATE OR REPLACE FUNCTION product_variants_refresh_search() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE products
+  SET search_vector = product_search_vector(id, name, category, description)
+  WHERE id = COALESCE(NEW.product_id, OLD.product_id);
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS product_variants_search_vector ON product_variants;
+CREATE TRIGGER product_variants_search_vector
+  AFTER INSERT OR DELETE OR UPDATE OF name, attributes, is_active ON product_variants
+  FOR EACH ROW EXECUTE FUNCTION product_variants_refresh_search();
+
+UPDATE products SET search_vector = product_search_vector(id, name, category, description);
+
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_products_name_trgm
+  ON products USING GIN ((lower(name) || ' ' || lower(COALESCE(category, ''))) gin_trgm_ops);
+
+-- One page of ranked results plus facet counts over all matches.
+-- Text matches rank above typo matches ("earfone" -> Earphones). Highlights are
+-- wrapped in ⟦ ⟧ so the API can escape the text before turning them into <mark>.
+-- Each facet ignores its own filter so the shop can show what switching would give.
+CREATE OR REPLACE FUNCTION search_products(
+  p_query TEXT,
+  p_category VARCHAR DEFAULT NULL,
+  p_price_band VARCHAR DEFAULT NULL,
+  p_price_bands JSONB DEFAULT '[]',
+  p_product_ids UUID[] DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_query TEXT := lower(trim(p_query));
+  v_tsq tsquery := websearch_to_tsquery('english', p_query);
+  v_words TEXT[] := regexp_split_to_array(lower(trim(p_query)), '\s+');
+  v_result JSONB;
+BEGIN
+  PERFORM set_config('pg_trgm.word_similarity_threshold', '0.4', true);
+
+  WITH matches AS (
+    SELECT
+      p.*,
+      COALESCE(
+        (SELECT MIN(v.price) FROM product_variants v WHERE v.product_id = p.id AND v.is_active),
+        p.price
+      ) AS effective_price,
+      p.search_vector @@ v_tsq AS text_match,
+      ts_rank_cd(p.search_vector, v_tsq) AS text_rank,
+      word_similarity(v_query, lower(p.name) || ' ' || lower(COALESCE(p.category, ''))) AS fuzzy_rank
+    FROM products p
+    WHERE p.is_active = true
+      AND (p_product_ids IS NULL OR p.id = ANY(p_product_ids))
+      AND (
+        p.search_vector @@ v_tsq OR
+        v_query <% (lower(p.name) || ' ' || lower(COALESCE(p.category, '')))
+      )
+  ),
+  banded AS (
+    SELECT m.*, (
+      SELECT band->>'key'
+      FROM jsonb_array_elements(p_price_bands) AS band
+      WHERE m.effective_price >= COALESCE((band->>'min')::NUMERIC, 0)
+        AND (band->>'max' IS NULL OR m.effective_price < (band->>'max')::NUMERIC)
+      LIMIT 1
+    ) AS price_band
+    FROM matches m
+  ),
+  filtered AS (
+    SELECT * FROM banded
+    WHERE (p_category IS NULL OR category = p_category)
+      AND (p_price_band IS NULL OR price_band = p_price_band)
+  ),
+  page AS (
+    SELECT * FROM filtered
+    ORDER BY text_match DESC, text_rank * 2 + fuzzy_rank DESC, name
+    LIMIT p_limit OFFSET p_offset
+  )
+  SELECT jsonb_build_object(
+    'total', (SELECT COUNT(*) FROM filtered),
+    'results', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'id', id,
+        'name', name,
+        'description', description,
+        'price', price,
+        'category', category,
+        'images', images,
+        'delivery_eta', delivery_eta,
+        'stock_quantity', stock_quantity,
+        'low_stock_threshold', low_stock_threshold,
+        'price_band', price_band,
+        'matched_by', CASE WHEN text_match THEN 'text' ELSE 'fuzzy' END,
+        'score', round((text_rank * 2 + fuzzy_rank)::NUMERIC, 4),
+        'name_highlight', CASE
+          WHEN text_match THEN ts_headline('english', name, v_tsq, 'StartSel=⟦, StopSel=⟧, HighlightAll=true')
+          ELSE (
+            SELECT string_agg(
+              CASE WHEN EXISTS (SELECT 1 FROM unnest(v_words) AS q WHERE word_similarity(q, w) >= 0.4)
+                THEN '⟦' || w || '⟧' ELSE w END,
+              ' ' ORDER BY n
+            )
+            FROM regexp_split_to_table(name, '\s+') WITH ORDINALITY AS t(w, n)
+          )
+        END,
+        'description_highlight', CASE
+          WHEN text_match AND COALESCE(description, '') <> ''
+          THEN ts_headline('english', description, v_tsq, 'StartSel=⟦, StopSel=⟧, MaxWords=20, MinWords=8')
+        END
+      ) ORDER BY text_match DESC, text_rank * 2 + fuzzy_rank DESC, name)
+      FROM page
+    ), '[]'::jsonb),
+    'facets', jsonb_build_object(
+      'category', COALESCE((
+        SELECT jsonb_object_agg(category, hits)
+        FROM (
+          SELECT category, COUNT(*) AS hits FROM banded
+          WHERE p_price_band IS NULL OR price_band = p_price_band
+          GROUP BY category
+        ) AS categories
+      ), '{}'::jsonb),
+      'price_band', COALESCE((
+        SELECT jsonb_object_agg(price_band, hits)
+        FROM (
+          SELECT price_band, COUNT(*) AS hits FROM banded
+          WHERE (p_category IS NULL OR category = p_category) AND price_band IS NOT NULL
+          GROUP BY price_band
+        ) AS bands
+      ), '{}'::jsonb)
+    )
+  ) INTO v_result;
+
+  RETURN v_result;
+END;
+$$;
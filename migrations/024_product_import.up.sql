@@ -0,0 +1,68 @@
+-- Product SKUs and CSV import (upsert by SKU + ledger entries in one transaction)
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sku VARCHAR(64);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku ON products (sku);
+-- Products added before SKUs existed get one so they can be exported and re-imported
+UPDATE products SET sku = 'P-' || upper(substr(replace(id::text, '-', ''), 1, 8)) WHERE sku IS NULL;
+
+-- p_rows: [{ sku, name, description, price, category, images, delivery_eta,
+--            low_stock_threshold, is_active, opening_stock, stock_in, unit_cost }]
+-- opening_stock only applies to products this import creates.
+CREATE OR REPLACE FUNCTION import_products(
+  p_rows JSONB,
+  p_created_by UUID,
+  p_reference TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_row JSONB;
+  v_id UUID;
+  v_created BOOLEAN;
+  v_result JSONB := '[]'::jsonb;
+BEGIN
+  FOR v_row IN SELECT value FROM jsonb_array_elements(p_rows) LOOP
+    INSERT INTO products (
+      sku, name, description, price, category, images, delivery_eta, low_stock_threshold, is_active
+    )
+    VALUES (
+      v_row->>'sku',
+      v_row->>'name',
+      v_row->>'description',
+      (v_row->>'price')::DECIMAL,
+      v_row->>'category',
+      ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_row->'images', '[]'::jsonb))),
+      v_row->>'delivery_eta',
+      (v_row->>'low_stock_threshold')::INTEGER,
+      (v_row->>'is_active')::BOOLEAN
+    )
+    ON CONFLICT (sku) DO UPDATE SET
+      name = EXCLUDED.name,
+      description = EXCLUDED.description,
+      price = EXCLUDED.price,
+      category = EXCLUDED.category,
+      images = EXCLUDED.images,
+      delivery_eta = EXCLUDED.delivery_eta,
+      low_stock_threshold = EXCLUDED.low_stock_threshold,
+      is_active = EXCLUDED.is_active
+    RETURNING id, (xmax = 0) INTO v_id, v_created;
+
+    IF v_created AND COALESCE((v_row->>'opening_stock')::INTEGER, 0) > 0 THEN
+      INSERT INTO inventory_log (product_id, quantity_change, type, reason, reference, created_by)
+      VALUES (v_id, (v_row->>'opening_stock')::INTEGER, 'opening', 'Opening stock (CSV import)', p_reference, p_created_by);
+    END IF;
+
+    IF COALESCE((v_row->>'stock_in')::INTEGER, 0) > 0 THEN
+      INSERT INTO inventory_log (product_id, quantity_change, type, unit_cost, reason, reference, created_by)
+      VALUES (
+        v_id, (v_row->>'stock_in')::INTEGER, 'stock_in', (v_row->>'unit_cost')::DECIMAL,
+        'Purchase receipt (CSV import)', p_reference, p_created_by
+      );
+    END IF;
+
+    v_result := v_result || jsonb_build_object('sku', v_row->>'sku', 'id', v_id, 'created', v_created);
+  END LOOP;
+
+  RETURN v_result;
+END;
+$$;
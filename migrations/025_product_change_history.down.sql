@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS product_change_history;
+
+DROP TRIGGER IF EXISTS products_bump_version ON products;
+DROP FUNCTION IF EXISTS bump_product_version();
+
+ALTER TABLE products DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE products DROP COLUMN IF EXISTS version;
@@ -0,0 +1,42 @@
+-- Product edit version (optimistic concurrency) and change history
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+-- Any edit to catalogue fields (admin form, CSV import, threshold) bumps the version;
+-- stock and search index updates do not
+CREATE OR REPLACE FUNCTION bump_product_version() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (NEW.sku, NEW.name, NEW.description, NEW.price, NEW.category, NEW.images,
+      NEW.delivery_eta, NEW.low_stock_threshold, NEW.is_active)
+     IS DISTINCT FROM
+     (OLD.sku, OLD.name, OLD.description, OLD.price, OLD.category, OLD.images,
+      OLD.delivery_eta, OLD.low_stock_threshold, OLD.is_active) THEN
+    NEW.version := OLD.version + 1;
+    NEW.updated_at := NOW();
+  ELSE
+    NEW.version := OLD.version;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_bump_version ON products;
+CREATE TRIGGER products_bump_version
+  BEFORE UPDATE ON products
+  FOR EACH ROW EXECUTE FUNCTION bump_product_version();
+
+CREATE TABLE IF NOT EXISTS product_change_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+  version INTEGER,
+  -- { "price": { "from": 299, "to": 249 }, ... }
+  changes JSONB NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'admin' CHECK (source IN ('admin', 'csv_import')),
+  changed_by UUID,
+  changed_by_role VARCHAR(20),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_product_change_history_product ON product_change_history (product_id, created_at DESC);
@@ -0,0 +1,142 @@
+DROP FUNCTION IF EXISTS place_repair_order(UUID, DECIMAL, TEXT, TEXT);
+DROP FUNCTION IF EXISTS checkout_cart(UUID, VARCHAR, TEXT, TEXT);
+DROP FUNCTION IF EXISTS place_order(UUID, JSONB, VARCHAR, TEXT, TEXT);
+
+-- Ordering without coupons or sale prices (as in 022)
+CREATE OR REPLACE FUNCTION place_order(
+  p_customer_id UUID,
+  p_items JSONB,
+  p_payment_method VARCHAR,
+  p_delivery_address TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_item RECORD;
+  v_product products%ROWTYPE;
+  v_variant product_variants%ROWTYPE;
+  v_price DECIMAL(10,2);
+  v_total DECIMAL(10,2) := 0;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'ORDER_EMPTY';
+  END IF;
+
+  INSERT INTO orders (customer_id, total_amount, payment_method, delivery_address, status, payment_status)
+  VALUES (
+    p_customer_id, 0, COALESCE(p_payment_method, 'cod'), p_delivery_address, 'pending', 'pending'
+  )
+  RETURNING * INTO v_order;
+
+  -- Lock rows in a fixed order so concurrent orders cannot deadlock
+  FOR v_item IN
+    SELECT
+      (elem->>'product_id')::UUID AS product_id,
+      NULLIF(elem->>'variant_id', '')::UUID AS variant_id,
+      SUM((elem->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY 1, 2
+    ORDER BY 1, 2
+  LOOP
+    IF v_item.quantity IS NULL OR v_item.quantity <= 0 THEN
+      RAISE EXCEPTION 'INVALID_QUANTITY:%', v_item.product_id;
+    END IF;
+
+    SELECT * INTO v_product FROM products WHERE id = v_item.product_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT v_product.is_active THEN
+      RAISE EXCEPTION 'PRODUCT_UNAVAILABLE:%', v_item.product_id;
+    END IF;
+
+    IF v_item.variant_id IS NOT NULL THEN
+      SELECT * INTO v_variant FROM product_variants
+      WHERE id = v_item.variant_id AND product_id = v_product.id
+      FOR UPDATE;
+
+      IF NOT FOUND OR NOT v_variant.is_active THEN
+        RAISE EXCEPTION 'VARIANT_UNAVAILABLE:%', v_item.variant_id;
+      END IF;
+
+      IF v_variant.stock_quantity < v_item.quantity THEN
+        RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', v_item.product_id;
+      END IF;
+
+      v_price := v_variant.price;
+    ELSE
+      IF EXISTS (SELECT 1 FROM product_variants WHERE product_id = v_product.id AND is_active) THEN
+        RAISE EXCEPTION 'VARIANT_REQUIRED:%', v_item.product_id;
+      END IF;
+
+      IF v_product.stock_quantity < v_item.quantity THEN
+        RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', v_item.product_id;
+      END IF;
+
+      v_price := v_product.price;
+    END IF;
+
+    INSERT INTO order_items (order_id, product_id, variant_id, quantity, price)
+    VALUES (v_order.id, v_product.id, v_item.variant_id, v_item.quantity, v_price);
+
+    -- The inventory_log trigger decrements the product or variant stock
+    INSERT INTO inventory_log (product_id, variant_id, quantity_change, type, reason, reference)
+    VALUES (v_product.id, v_item.variant_id, -v_item.quantity, 'sale', 'Order ' || v_order.id, v_order.id::TEXT);
+
+    v_total := v_total + v_price * v_item.quantity;
+  END LOOP;
+
+  UPDATE orders SET total_amount = v_total WHERE id = v_order.id
+  RETURNING * INTO v_order;
+
+  RETURN to_jsonb(v_order);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION checkout_cart(
+  p_customer_id UUID,
+  p_payment_method VARCHAR,
+  p_delivery_address TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_items JSONB;
+  v_order JSONB;
+BEGIN
+  -- Lock the cart so a concurrent add/remove cannot slip between order and clear
+  PERFORM 1 FROM cart WHERE customer_id = p_customer_id FOR UPDATE;
+
+  SELECT jsonb_agg(jsonb_build_object('product_id', product_id, 'variant_id', variant_id, 'quantity', quantity))
+  INTO v_items
+  FROM cart
+  WHERE customer_id = p_customer_id;
+
+  IF v_items IS NULL THEN
+    RAISE EXCEPTION 'CART_EMPTY';
+  END IF;
+
+  v_order := place_order(p_customer_id, v_items, p_payment_method, p_delivery_address);
+
+  DELETE FROM cart WHERE customer_id = p_customer_id;
+
+  RETURN v_order;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS redeem_coupon(TEXT, UUID, UUID, TEXT, JSONB);
+DROP FUNCTION IF EXISTS coupon_discount(TEXT, UUID, TEXT, JSONB, BOOLEAN, UUID);
+DROP FUNCTION IF EXISTS price_order_lines(JSONB);
+DROP FUNCTION IF EXISTS sale_price(product_variants);
+DROP FUNCTION IF EXISTS sale_price(products);
+DROP FUNCTION IF EXISTS product_sale_price(UUID, TEXT, DECIMAL);
+
+ALTER TABLE order_items DROP COLUMN IF EXISTS list_price;
+ALTER TABLE orders DROP COLUMN IF EXISTS coupon_code;
+ALTER TABLE orders DROP COLUMN IF EXISTS coupon_id;
+ALTER TABLE orders DROP COLUMN IF EXISTS discount_amount;
+ALTER TABLE orders DROP COLUMN IF EXISTS subtotal;
+ALTER TABLE orders DROP COLUMN IF EXISTS order_type;
+
+DROP TABLE IF EXISTS price_promotions;
+DROP TABLE IF EXISTS coupon_redemptions;
+DROP TABLE IF EXISTS coupons;
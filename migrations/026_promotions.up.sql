@@ -0,0 +1,443 @@
+-- Promotions: coupon codes, automatic sale prices, discounts on orders
+
+CREATE TABLE IF NOT EXISTS coupons (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  code VARCHAR(32) NOT NULL,
+  description TEXT,
+  discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'flat')),
+  discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+  max_discount DECIMAL(10,2),
+  min_order_value DECIMAL(10,2) NOT NULL DEFAULT 0,
+  -- shop = accessories orders, repair = repair bookings
+  applies_to VARCHAR(10) NOT NULL DEFAULT 'shop' CHECK (applies_to IN ('shop', 'repair', 'all')),
+  -- Empty scope = every item; otherwise only matching categories/products count towards the discount
+  categories TEXT[] NOT NULL DEFAULT '{}',
+  product_ids UUID[] NOT NULL DEFAULT '{}',
+  first_order_only BOOLEAN NOT NULL DEFAULT false,
+  usage_limit INTEGER CHECK (usage_limit > 0),
+  per_customer_limit INTEGER DEFAULT 1 CHECK (per_customer_limit > 0),
+  starts_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  ends_at TIMESTAMP,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CHECK (discount_type <> 'percent' OR discount_value <= 100),
+  CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coupons_code ON coupons (upper(code));
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  coupon_id UUID REFERENCES coupons(id),
+  order_id UUID UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES customers(id),
+  discount_amount DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions (coupon_id, customer_id);
+
+-- Automatic sale prices: one product, one category, or (neither set) the whole shop
+CREATE TABLE IF NOT EXISTS price_promotions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'flat')),
+  discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+  category VARCHAR(50),
+  product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+  starts_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  ends_at TIMESTAMP,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CHECK (discount_type <> 'percent' OR discount_value < 100),
+  CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS order_type VARCHAR(10) NOT NULL DEFAULT 'shop';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10,2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_id UUID REFERENCES coupons(id);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(32);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS list_price DECIMAL(10,2);
+
+-- Best running sale for a product (or one of its variants) priced at p_price
+CREATE OR REPLACE FUNCTION product_sale_price(p_product_id UUID, p_category TEXT, p_price DECIMAL)
+RETURNS DECIMAL
+LANGUAGE sql STABLE
+AS $$
+  SELECT LEAST(p_price, COALESCE(MIN(
+    CASE WHEN discount_type = 'percent'
+      THEN round(p_price * (100 - discount_value) / 100, 2)
+      ELSE GREATEST(p_price - discount_value, 0)
+    END
+  ), p_price))
+  FROM price_promotions
+  WHERE is_active AND starts_at <= NOW() AND (ends_at IS NULL OR ends_at > NOW())
+    AND (product_id = p_product_id OR (product_id IS NULL AND (category IS NULL OR category = p_category)))
+$$;
+
+-- Computed columns: select=...,sale_price returns NULL when nothing is on sale
+CREATE OR REPLACE FUNCTION sale_price(products) RETURNS DECIMAL
+LANGUAGE sql STABLE
+AS $$
+  SELECT NULLIF(product_sale_price($1.id, $1.category, $1.price), $1.price)
+$$;
+
+CREATE OR REPLACE FUNCTION sale_price(product_variants) RETURNS DECIMAL
+LANGUAGE sql STABLE
+AS $$
+  SELECT NULLIF(product_sale_price(p.id, p.category, $1.price), $1.price)
+  FROM products p WHERE p.id = $1.product_id
+$$;
+
+-- Prices a basket the way place_order will: [{ product_id, variant_id, quantity }] ->
+-- [{ product_id, variant_id, category, quantity, list_price, unit_price, amount }].
+-- Unavailable items are left out.
+CREATE OR REPLACE FUNCTION price_order_lines(p_items JSONB) RETURNS JSONB
+LANGUAGE sql STABLE
+AS $$
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+    'product_id', line.product_id,
+    'variant_id', line.variant_id,
+    'category', line.category,
+    'quantity', line.quantity,
+    'list_price', line.list_price,
+    'unit_price', line.unit_price,
+    'amount', line.unit_price * line.quantity
+  )), '[]'::jsonb)
+  FROM (
+    SELECT
+      p.id AS product_id,
+      v.id AS variant_id,
+      p.category,
+      i.quantity,
+      COALESCE(v.price, p.price) AS list_price,
+      product_sale_price(p.id, p.category, COALESCE(v.price, p.price)) AS unit_price
+    FROM (
+      SELECT
+        (elem->>'product_id')::UUID AS product_id,
+        NULLIF(elem->>'variant_id', '')::UUID AS variant_id,
+        SUM((elem->>'quantity')::INTEGER) AS quantity
+      FROM jsonb_array_elements(p_items) AS elem
+      GROUP BY 1, 2
+    ) AS i
+    JOIN products p ON p.id = i.product_id AND p.is_active
+    LEFT JOIN product_variants v ON v.id = i.variant_id AND v.product_id = p.id AND v.is_active
+    WHERE i.variant_id IS NULL OR v.id IS NOT NULL
+  ) AS line
+$$;
+
+-- Works out a coupon's discount for priced lines ([{ product_id, category, amount }]).
+-- Raises COUPON_* codes when it cannot be used. Orders that were cancelled do not
+-- count towards usage limits. p_lock serialises redemptions of the same coupon.
+CREATE OR REPLACE FUNCTION coupon_discount(
+  p_code TEXT,
+  p_customer_id UUID,
+  p_order_type TEXT,
+  p_lines JSONB,
+  p_lock BOOLEAN DEFAULT false,
+  p_order_id UUID DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_coupon coupons%ROWTYPE;
+  v_subtotal DECIMAL(10,2);
+  v_eligible DECIMAL(10,2);
+  v_discount DECIMAL(10,2);
+  v_used INTEGER;
+BEGIN
+  IF p_lock THEN
+    SELECT * INTO v_coupon FROM coupons WHERE upper(code) = upper(trim(p_code)) FOR UPDATE;
+  ELSE
+    SELECT * INTO v_coupon FROM coupons WHERE upper(code) = upper(trim(p_code));
+  END IF;
+
+  IF NOT FOUND OR NOT v_coupon.is_active THEN
+    RAISE EXCEPTION 'COUPON_INVALID';
+  END IF;
+
+  IF v_coupon.starts_at > NOW() THEN
+    RAISE EXCEPTION 'COUPON_NOT_STARTED';
+  END IF;
+
+  IF v_coupon.ends_at IS NOT NULL AND v_coupon.ends_at <= NOW() THEN
+    RAISE EXCEPTION 'COUPON_EXPIRED';
+  END IF;
+
+  IF v_coupon.applies_to <> 'all' AND v_coupon.applies_to <> p_order_type THEN
+    RAISE EXCEPTION 'COUPON_NOT_APPLICABLE';
+  END IF;
+
+  IF v_coupon.usage_limit IS NOT NULL THEN
+    SELECT COUNT(*) INTO v_used
+    FROM coupon_redemptions r JOIN orders o ON o.id = r.order_id
+    WHERE r.coupon_id = v_coupon.id AND o.status <> 'cancelled';
+
+    IF v_used >= v_coupon.usage_limit THEN
+      RAISE EXCEPTION 'COUPON_EXHAUSTED';
+    END IF;
+  END IF;
+
+  IF v_coupon.per_customer_limit IS NOT NULL OR v_coupon.first_order_only THEN
+    IF p_customer_id IS NULL THEN
+      RAISE EXCEPTION 'COUPON_NEEDS_CUSTOMER';
+    END IF;
+
+    SELECT COUNT(*) INTO v_used
+    FROM coupon_redemptions r JOIN orders o ON o.id = r.order_id
+    WHERE r.coupon_id = v_coupon.id AND r.customer_id = p_customer_id AND o.status <> 'cancelled';
+
+    IF v_coupon.per_customer_limit IS NOT NULL AND v_used >= v_coupon.per_customer_limit THEN
+      RAISE EXCEPTION 'COUPON_ALREADY_USED';
+    END IF;
+
+    IF v_coupon.first_order_only AND EXISTS (
+      SELECT 1 FROM orders
+      WHERE customer_id = p_customer_id
+        AND status <> 'cancelled'
+        AND (p_order_id IS NULL OR id <> p_order_id)
+        AND (v_coupon.applies_to = 'all' OR order_type = v_coupon.applies_to)
+    ) THEN
+      RAISE EXCEPTION 'COUPON_FIRST_ORDER_ONLY';
+    END IF;
+  END IF;
+
+  SELECT
+    COALESCE(SUM((line->>'amount')::DECIMAL), 0),
+    COALESCE(SUM((line->>'amount')::DECIMAL) FILTER (WHERE
+      (cardinality(v_coupon.categories) = 0 AND cardinality(v_coupon.product_ids) = 0)
+      OR (line->>'category') = ANY(v_coupon.categories)
+      OR (line->>'product_id')::UUID = ANY(v_coupon.product_ids)
+    ), 0)
+  INTO v_subtotal, v_eligible
+  FROM jsonb_array_elements(p_lines) AS line;
+
+  IF v_subtotal < v_coupon.min_order_value THEN
+    RAISE EXCEPTION 'COUPON_MIN_ORDER:%', v_coupon.min_order_value;
+  END IF;
+
+  IF v_eligible <= 0 THEN
+    RAISE EXCEPTION 'COUPON_NOT_APPLICABLE';
+  END IF;
+
+  v_discount := CASE WHEN v_coupon.discount_type = 'percent'
+    THEN round(v_eligible * v_coupon.discount_value / 100, 2)
+    ELSE v_coupon.discount_value
+  END;
+  v_discount := LEAST(v_discount, v_eligible, COALESCE(v_coupon.max_discount, v_discount));
+
+  RETURN jsonb_build_object(
+    'coupon_id', v_coupon.id,
+    'code', v_coupon.code,
+    'description', v_coupon.description,
+    'discount', v_discount,
+    'subtotal', v_subtotal,
+    'eligible_subtotal', v_eligible
+  );
+END;
+$$;
+
+-- Applies a coupon to an order that already has its subtotal set
+CREATE OR REPLACE FUNCTION redeem_coupon(
+  p_code TEXT,
+  p_customer_id UUID,
+  p_order_id UUID,
+  p_order_type TEXT,
+  p_lines JSONB
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_result JSONB;
+BEGIN
+  v_result := coupon_discount(p_code, p_customer_id, p_order_type, p_lines, true, p_order_id);
+
+  INSERT INTO coupon_redemptions (coupon_id, order_id, customer_id, discount_amount)
+  VALUES ((v_result->>'coupon_id')::UUID, p_order_id, p_customer_id, (v_result->>'discount')::DECIMAL);
+
+  UPDATE orders SET
+    discount_amount = (v_result->>'discount')::DECIMAL,
+    coupon_id = (v_result->>'coupon_id')::UUID,
+    coupon_code = v_result->>'code',
+    total_amount = subtotal - (v_result->>'discount')::DECIMAL
+  WHERE id = p_order_id;
+
+  RETURN v_result;
+END;
+$$;
+
+-- place_order and checkout_cart gain a coupon; items are charged at their sale price
+DROP FUNCTION IF EXISTS checkout_cart(UUID, VARCHAR, TEXT);
+DROP FUNCTION IF EXISTS place_order(UUID, JSONB, VARCHAR, TEXT);
+
+CREATE OR REPLACE FUNCTION place_order(
+  p_customer_id UUID,
+  p_items JSONB,
+  p_payment_method VARCHAR,
+  p_delivery_address TEXT,
+  p_coupon_code TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_item RECORD;
+  v_product products%ROWTYPE;
+  v_variant product_variants%ROWTYPE;
+  v_list_price DECIMAL(10,2);
+  v_price DECIMAL(10,2);
+  v_total DECIMAL(10,2) := 0;
+  v_lines JSONB := '[]'::jsonb;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'ORDER_EMPTY';
+  END IF;
+
+  INSERT INTO orders (customer_id, total_amount, payment_method, delivery_address, status, payment_status, order_type)
+  VALUES (
+    p_customer_id, 0, COALESCE(p_payment_method, 'cod'), p_delivery_address, 'pending', 'pending', 'shop'
+  )
+  RETURNING * INTO v_order;
+
+  -- Lock rows in a fixed order so concurrent orders cannot deadlock
+  FOR v_item IN
+    SELECT
+      (elem->>'product_id')::UUID AS product_id,
+      NULLIF(elem->>'variant_id', '')::UUID AS variant_id,
+      SUM((elem->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY 1, 2
+    ORDER BY 1, 2
+  LOOP
+    IF v_item.quantity IS NULL OR v_item.quantity <= 0 THEN
+      RAISE EXCEPTION 'INVALID_QUANTITY:%', v_item.product_id;
+    END IF;
+
+    SELECT * INTO v_product FROM products WHERE id = v_item.product_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT v_product.is_active THEN
+      RAISE EXCEPTION 'PRODUCT_UNAVAILABLE:%', v_item.product_id;
+    END IF;
+
+    IF v_item.variant_id IS NOT NULL THEN
+      SELECT * INTO v_variant FROM product_variants
+      WHERE id = v_item.variant_id AND product_id = v_product.id
+      FOR UPDATE;
+
+      IF NOT FOUND OR NOT v_variant.is_active THEN
+        RAISE EXCEPTION 'VARIANT_UNAVAILABLE:%', v_item.variant_id;
+      END IF;
+
+      IF v_variant.stock_quantity < v_item.quantity THEN
+        RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', v_item.product_id;
+      END IF;
+
+      v_list_price := v_variant.price;
+    ELSE
+      IF EXISTS (SELECT 1 FROM product_variants WHERE product_id = v_product.id AND is_active) THEN
+        RAISE EXCEPTION 'VARIANT_REQUIRED:%', v_item.product_id;
+      END IF;
+
+      IF v_product.stock_quantity < v_item.quantity THEN
+        RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', v_item.product_id;
+      END IF;
+
+      v_list_price := v_product.price;
+    END IF;
+
+    v_price := product_sale_price(v_product.id, v_product.category, v_list_price);
+
+    INSERT INTO order_items (order_id, product_id, variant_id, quantity, price, list_price)
+    VALUES (v_order.id, v_product.id, v_item.variant_id, v_item.quantity, v_price, v_list_price);
+
+    -- The inventory_log trigger decrements the product or variant stock
+    INSERT INTO inventory_log (product_id, variant_id, quantity_change, type, reason, reference)
+    VALUES (v_product.id, v_item.variant_id, -v_item.quantity, 'sale', 'Order ' || v_order.id, v_order.id::TEXT);
+
+    v_total := v_total + v_price * v_item.quantity;
+    v_lines := v_lines || jsonb_build_object(
+      'product_id', v_product.id, 'category', v_product.category, 'amount', v_price * v_item.quantity
+    );
+  END LOOP;
+
+  UPDATE orders SET subtotal = v_total, total_amount = v_total WHERE id = v_order.id;
+
+  IF NULLIF(trim(p_coupon_code), '') IS NOT NULL THEN
+    PERFORM redeem_coupon(p_coupon_code, p_customer_id, v_order.id, 'shop', v_lines);
+  END IF;
+
+  SELECT * INTO v_order FROM orders WHERE id = v_order.id;
+
+  RETURN to_jsonb(v_order);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION checkout_cart(
+  p_customer_id UUID,
+  p_payment_method VARCHAR,
+  p_delivery_address TEXT,
+  p_coupon_code TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_items JSONB;
+  v_order JSONB;
+BEGIN
+  -- Lock the cart so a concurrent add/remove cannot slip between order and clear
+  PERFORM 1 FROM cart WHERE customer_id = p_customer_id FOR UPDATE;
+
+  SELECT jsonb_agg(jsonb_build_object('product_id', product_id, 'variant_id', variant_id, 'quantity', quantity))
+  INTO v_items
+  FROM cart
+  WHERE customer_id = p_customer_id;
+
+  IF v_items IS NULL THEN
+    RAISE EXCEPTION 'CART_EMPTY';
+  END IF;
+
+  v_order := place_order(p_customer_id, v_items, p_payment_method, p_delivery_address, p_coupon_code);
+
+  DELETE FROM cart WHERE customer_id = p_customer_id;
+
+  RETURN v_order;
+END;
+$$;
+
+-- Repair bookings from the WhatsApp quick-order flow, with an optional coupon
+CREATE OR REPLACE FUNCTION place_repair_order(
+  p_customer_id UUID,
+  p_amount DECIMAL,
+  p_delivery_address TEXT,
+  p_coupon_code TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+BEGIN
+  INSERT INTO orders (
+    customer_id, subtotal, total_amount, payment_method, delivery_address, status, payment_status, order_type
+  )
+  VALUES (
+    p_customer_id, COALESCE(p_amount, 0), COALESCE(p_amount, 0), 'cod', p_delivery_address, 'pending', 'pending', 'repair'
+  )
+  RETURNING * INTO v_order;
+
+  IF NULLIF(trim(p_coupon_code), '') IS NOT NULL THEN
+    IF COALESCE(p_amount, 0) <= 0 THEN
+      RAISE EXCEPTION 'COUPON_NEEDS_AMOUNT';
+    END IF;
+
+    PERFORM redeem_coupon(
+      p_coupon_code, p_customer_id, v_order.id, 'repair',
+      jsonb_build_array(jsonb_build_object('category', 'repair', 'amount', p_amount))
+    );
+
+    SELECT * INTO v_order FROM orders WHERE id = v_order.id;
+  END IF;
+
+  RETURN to_jsonb(v_order);
+END;
+$$;
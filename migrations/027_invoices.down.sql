@@ -0,0 +1,26 @@
+DROP FUNCTION IF EXISTS issue_invoice(JSONB, TEXT);
+DROP TABLE IF EXISTS invoices;
+DROP TABLE IF EXISTS invoice_sequences;
+
+-- Tax fields no longer bump the product version (as in 025)
+CREATE OR REPLACE FUNCTION bump_product_version() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (NEW.sku, NEW.name, NEW.description, NEW.price, NEW.category, NEW.images,
+      NEW.delivery_eta, NEW.low_stock_threshold, NEW.is_active)
+     IS DISTINCT FROM
+     (OLD.sku, OLD.name, OLD.description, OLD.price, OLD.category, OLD.images,
+      OLD.delivery_eta, OLD.low_stock_threshold, OLD.is_active) THEN
+    NEW.version := OLD.version + 1;
+    NEW.updated_at := NOW();
+  ELSE
+    NEW.version := OLD.version;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+ALTER TABLE customers DROP COLUMN IF EXISTS gstin;
+ALTER TABLE products DROP COLUMN IF EXISTS gst_rate;
+ALTER TABLE products DROP COLUMN IF EXISTS hsn_code;
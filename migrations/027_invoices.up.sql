@@ -0,0 +1,118 @@
+-- GST invoices: numbered per financial year, seller/buyer and tax split frozen at issue
+
+-- NULL = use the category default from GST_DEFAULTS
+ALTER TABLE products ADD COLUMN IF NOT EXISTS hsn_code VARCHAR(8);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS gst_rate DECIMAL(4,2);
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS gstin VARCHAR(15);
+
+CREATE OR REPLACE FUNCTION bump_product_version() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (NEW.sku, NEW.name, NEW.description, NEW.price, NEW.category, NEW.images,
+      NEW.delivery_eta, NEW.low_stock_threshold, NEW.is_active, NEW.hsn_code, NEW.gst_rate)
+     IS DISTINCT FROM
+     (OLD.sku, OLD.name, OLD.description, OLD.price, OLD.category, OLD.images,
+      OLD.delivery_eta, OLD.low_stock_threshold, OLD.is_active, OLD.hsn_code, OLD.gst_rate) THEN
+    NEW.version := OLD.version + 1;
+    NEW.updated_at := NOW();
+  ELSE
+    NEW.version := OLD.version;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+-- Financial year '2026-27' -> last invoice number used in it
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+  financial_year VARCHAR(7) PRIMARY KEY,
+  last_number INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  invoice_number VARCHAR(16) UNIQUE NOT NULL,
+  financial_year VARCHAR(7) NOT NULL,
+  sequence_number INTEGER NOT NULL,
+  source_type VARCHAR(10) NOT NULL CHECK (source_type IN ('order', 'service')),
+  order_id UUID UNIQUE REFERENCES orders(id),
+  service_id UUID UNIQUE REFERENCES services(id),
+  customer_id UUID REFERENCES customers(id),
+  -- { name, address, gstin, state_code } / { name, phone, address, gstin }
+  seller JSONB NOT NULL,
+  buyer JSONB NOT NULL,
+  place_of_supply VARCHAR(2) NOT NULL,
+  supply_type VARCHAR(12) NOT NULL CHECK (supply_type IN ('intra_state', 'inter_state')),
+  -- [{ description, hsn_sac, quantity, unit_price, discount, taxable_value, gst_rate, cgst, sgst, igst, total }]
+  lines JSONB NOT NULL,
+  discount_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+  taxable_total DECIMAL(10,2) NOT NULL,
+  cgst_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+  sgst_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+  igst_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+  grand_total DECIMAL(10,2) NOT NULL,
+  issued_by UUID,
+  issued_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (financial_year, sequence_number),
+  CHECK ((order_id IS NULL) <> (service_id IS NULL))
+);
+CREATE INDEX IF NOT EXISTS idx_invoices_issued ON invoices (financial_year, sequence_number DESC);
+
+-- Takes the next number for the current Indian financial year (April-March, IST) and
+-- saves the invoice in the same transaction, so a failed insert leaves no gap.
+-- An order or job that already has an invoice gets that invoice back.
+CREATE OR REPLACE FUNCTION issue_invoice(p_invoice JSONB, p_prefix TEXT) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_invoice invoices%ROWTYPE;
+  v_today DATE := (NOW() AT TIME ZONE 'Asia/Kolkata')::DATE;
+  v_start_year INTEGER;
+  v_year TEXT;
+  v_number INTEGER;
+BEGIN
+  SELECT * INTO v_invoice FROM invoices
+  WHERE order_id = (p_invoice->>'order_id')::UUID OR service_id = (p_invoice->>'service_id')::UUID;
+
+  IF FOUND THEN
+    RETURN to_jsonb(v_invoice);
+  END IF;
+
+  v_start_year := extract(year FROM v_today)::INTEGER - CASE WHEN extract(month FROM v_today) < 4 THEN 1 ELSE 0 END;
+  v_year := v_start_year || '-' || lpad(((v_start_year + 1) % 100)::TEXT, 2, '0');
+
+  INSERT INTO invoice_sequences (financial_year, last_number) VALUES (v_year, 1)
+  ON CONFLICT (financial_year) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+  RETURNING last_number INTO v_number;
+
+  INSERT INTO invoices (
+    invoice_number, financial_year, sequence_number, source_type, order_id, service_id, customer_id,
+    seller, buyer, place_of_supply, supply_type, lines,
+    discount_total, taxable_total, cgst_total, sgst_total, igst_total, grand_total, issued_by
+  )
+  VALUES (
+    p_prefix || '/' || v_year || '/' || lpad(v_number::TEXT, 5, '0'),
+    v_year,
+    v_number,
+    p_invoice->>'source_type',
+    (p_invoice->>'order_id')::UUID,
+    (p_invoice->>'service_id')::UUID,
+    (p_invoice->>'customer_id')::UUID,
+    p_invoice->'seller',
+    p_invoice->'buyer',
+    p_invoice->>'place_of_supply',
+    p_invoice->>'supply_type',
+    p_invoice->'lines',
+    (p_invoice->>'discount_total')::DECIMAL,
+    (p_invoice->>'taxable_total')::DECIMAL,
+    (p_invoice->>'cgst_total')::DECIMAL,
+    (p_invoice->>'sgst_total')::DECIMAL,
+    (p_invoice->>'igst_total')::DECIMAL,
+    (p_invoice->>'grand_total')::DECIMAL,
+    (p_invoice->>'issued_by')::UUID
+  )
+  RETURNING * INTO v_invoice;
+
+  RETURN to_jsonb(v_invoice);
+END;
+$$;
@@ -0,0 +1,7 @@
+DROP TRIGGER IF EXISTS orders_status_history ON orders;
+DROP FUNCTION IF EXISTS log_order_status_change();
+DROP TABLE IF EXISTS order_status_history;
+
+ALTER TABLE orders DROP COLUMN IF EXISTS status_note;
+ALTER TABLE orders DROP COLUMN IF EXISTS status_changed_by_role;
+ALTER TABLE orders DROP COLUMN IF EXISTS status_changed_by;
@@ -0,0 +1,54 @@
+-- Order status history (tracking timeline)
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status_changed_by UUID;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status_changed_by_role VARCHAR(20);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status_note TEXT;
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  note TEXT,
+  changed_by UUID,
+  changed_by_role VARCHAR(20),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history (order_id, created_at);
+
+-- Orders placed before the history existed: when they were placed, and their current status
+INSERT INTO order_status_history (order_id, from_status, to_status, created_at)
+SELECT o.id, NULL, 'pending', o.created_at
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id);
+
+INSERT INTO order_status_history (order_id, from_status, to_status, created_at)
+SELECT o.id, 'pending', o.status, COALESCE(o.updated_at, o.created_at)
+FROM orders o
+WHERE o.status <> 'pending'
+  AND NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id AND h.to_status = o.status);
+
+-- Every status change, from any code path, lands in the history table
+CREATE OR REPLACE FUNCTION log_order_status_change() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO order_status_history (order_id, from_status, to_status, note, changed_by, changed_by_role)
+    VALUES (
+      NEW.id,
+      CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+      NEW.status,
+      NEW.status_note,
+      NEW.status_changed_by,
+      NEW.status_changed_by_role
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS orders_status_history ON orders;
+CREATE TRIGGER orders_status_history
+  AFTER INSERT OR UPDATE OF status ON orders
+  FOR EACH ROW EXECUTE FUNCTION log_order_status_change();
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS notification_deliveries;
+ALTER TABLE customers DROP COLUMN IF EXISTS preferred_language;
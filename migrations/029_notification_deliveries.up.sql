@@ -0,0 +1,29 @@
+-- Customer notifications: preferred language and a delivery log with retries
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS preferred_language VARCHAR(2) NOT NULL DEFAULT 'en'
+  CHECK (preferred_language IN ('en', 'hi', 'mr'));
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  event VARCHAR(40) NOT NULL,
+  entity_type VARCHAR(10) NOT NULL CHECK (entity_type IN ('order', 'service')),
+  entity_id UUID NOT NULL,
+  status_to VARCHAR(20) NOT NULL,
+  customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+  channel VARCHAR(20) NOT NULL,
+  recipient VARCHAR(200) NOT NULL,
+  language VARCHAR(2) NOT NULL,
+  subject TEXT,
+  message TEXT NOT NULL,
+  -- pending -> sending -> sent, or -> retrying (until next_attempt_at) -> ... -> failed
+  status VARCHAR(10) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'sent', 'retrying', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP,
+  provider_message_id VARCHAR(200),
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_retry ON notification_deliveries (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_entity ON notification_deliveries (entity_type, entity_id, created_at);
@@ -0,0 +1,49 @@
+DROP FUNCTION IF EXISTS place_repair_order(UUID, DECIMAL, TEXT, TEXT, TEXT, TEXT);
+
+-- Repair orders without the service and phone model (as in 026)
+CREATE OR REPLACE FUNCTION place_repair_order(
+  p_customer_id UUID,
+  p_amount DECIMAL,
+  p_delivery_address TEXT,
+  p_coupon_code TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+BEGIN
+  INSERT INTO orders (
+    customer_id, subtotal, total_amount, payment_method, delivery_address, status, payment_status, order_type
+  )
+  VALUES (
+    p_customer_id, COALESCE(p_amount, 0), COALESCE(p_amount, 0), 'cod', p_delivery_address, 'pending', 'pending', 'repair'
+  )
+  RETURNING * INTO v_order;
+
+  IF NULLIF(trim(p_coupon_code), '') IS NOT NULL THEN
+    IF COALESCE(p_amount, 0) <= 0 THEN
+      RAISE EXCEPTION 'COUPON_NEEDS_AMOUNT';
+    END IF;
+
+    PERFORM redeem_coupon(
+      p_coupon_code, p_customer_id, v_order.id, 'repair',
+      jsonb_build_array(jsonb_build_object('category', 'repair', 'amount', p_amount))
+    );
+
+    SELECT * INTO v_order FROM orders WHERE id = v_order.id;
+  END IF;
+
+  RETURN to_jsonb(v_order);
+END;
+$$;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    GRANT INSERT, UPDATE, DELETE ON orders, order_items TO anon;
+  END IF;
+END;
+$$;
+
+ALTER TABLE orders DROP COLUMN IF EXISTS device_model;
+ALTER TABLE orders DROP COLUMN IF EXISTS service_type;
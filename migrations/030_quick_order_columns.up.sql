@@ -0,0 +1,56 @@
+-- Quick orders: repair bookings keep the service asked for and the customer's phone model;
+-- orders are only written through the API
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS service_type VARCHAR(100);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS device_model VARCHAR(100);
+
+-- anon is Supabase's public role; plain Postgres has no such role
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    REVOKE INSERT, UPDATE, DELETE ON orders, order_items FROM anon;
+  END IF;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS place_repair_order(UUID, DECIMAL, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION place_repair_order(
+  p_customer_id UUID,
+  p_amount DECIMAL,
+  p_delivery_address TEXT,
+  p_coupon_code TEXT DEFAULT NULL,
+  p_service_type TEXT DEFAULT NULL,
+  p_device_model TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+BEGIN
+  INSERT INTO orders (
+    customer_id, subtotal, total_amount, payment_method, delivery_address, status, payment_status, order_type,
+    service_type, device_model
+  )
+  VALUES (
+    p_customer_id, COALESCE(p_amount, 0), COALESCE(p_amount, 0), 'cod', p_delivery_address, 'pending', 'pending', 'repair',
+    p_service_type, p_device_model
+  )
+  RETURNING * INTO v_order;
+
+  IF NULLIF(trim(p_coupon_code), '') IS NOT NULL THEN
+    IF COALESCE(p_amount, 0) <= 0 THEN
+      RAISE EXCEPTION 'COUPON_NEEDS_AMOUNT';
+    END IF;
+
+    PERFORM redeem_coupon(
+      p_coupon_code, p_customer_id, v_order.id, 'repair',
+      jsonb_build_array(jsonb_build_object('category', 'repair', 'amount', p_amount))
+    );
+
+    SELECT * INTO v_order FROM orders WHERE id = v_order.id;
+  END IF;
+
+  RETURN to_jsonb(v_order);
+END;
+$$;
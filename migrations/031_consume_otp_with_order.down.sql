@@ -0,0 +1,5 @@
+DROP FUNCTION IF EXISTS book_verified_rental(UUID, UUID, UUID, VARCHAR, TIMESTAMP, TIMESTAMP, DECIMAL, VARCHAR, TEXT);
+DROP FUNCTION IF EXISTS place_verified_repair_order(UUID, UUID, DECIMAL, TEXT, TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS checkout_verified_cart(UUID, UUID, VARCHAR, TEXT, TEXT);
+DROP FUNCTION IF EXISTS place_verified_order(UUID, UUID, JSONB, VARCHAR, TEXT, TEXT);
+DROP FUNCTION IF EXISTS consume_otp_verification(UUID);
@@ -0,0 +1,113 @@
+-- OTP-verified orders use up their verification inside the order transaction, after
+-- everything else has passed, so a rejected order leaves the OTP usable for a retry
+
+CREATE OR REPLACE FUNCTION consume_otp_verification(p_otp_id UUID) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE otp_verifications
+  SET consumed_at = NOW()
+  WHERE id = p_otp_id AND verified_at IS NOT NULL AND consumed_at IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'OTP_ALREADY_USED';
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION place_verified_order(
+  p_otp_id UUID,
+  p_customer_id UUID,
+  p_items JSONB,
+  p_payment_method VARCHAR,
+  p_delivery_address TEXT,
+  p_coupon_code TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order JSONB;
+BEGIN
+  v_order := place_order(p_customer_id, p_items, p_payment_method, p_delivery_address, p_coupon_code);
+  PERFORM consume_otp_verification(p_otp_id);
+  RETURN v_order;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION checkout_verified_cart(
+  p_otp_id UUID,
+  p_customer_id UUID,
+  p_payment_method VARCHAR,
+  p_delivery_address TEXT,
+  p_coupon_code TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order JSONB;
+BEGIN
+  v_order := checkout_cart(p_customer_id, p_payment_method, p_delivery_address, p_coupon_code);
+  PERFORM consume_otp_verification(p_otp_id);
+  RETURN v_order;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION place_verified_repair_order(
+  p_otp_id UUID,
+  p_customer_id UUID,
+  p_amount DECIMAL,
+  p_delivery_address TEXT,
+  p_coupon_code TEXT DEFAULT NULL,
+  p_service_type TEXT DEFAULT NULL,
+  p_device_model TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order JSONB;
+BEGIN
+  v_order := place_repair_order(p_customer_id, p_amount, p_delivery_address, p_coupon_code, p_service_type, p_device_model);
+  PERFORM consume_otp_verification(p_otp_id);
+  RETURN v_order;
+END;
+$$;
+
+-- A unit taken by someone else fails on the exclusion constraint (23P01) and rolls the
+-- claim back with it, so the API can try the next free unit with the same OTP
+CREATE OR REPLACE FUNCTION book_verified_rental(
+  p_otp_id UUID,
+  p_unit_id UUID,
+  p_customer_id UUID,
+  p_period VARCHAR,
+  p_starts_at TIMESTAMP,
+  p_ends_at TIMESTAMP,
+  p_price DECIMAL,
+  p_delivery_option VARCHAR,
+  p_delivery_address TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_booking rental_bookings%ROWTYPE;
+BEGIN
+  INSERT INTO rental_bookings (
+    unit_id, customer_id, period, starts_at, ends_at, price, status, delivery_option, delivery_address, created_at
+  )
+  VALUES (
+    p_unit_id, p_customer_id, p_period, p_starts_at, p_ends_at, p_price, 'reserved', p_delivery_option, p_delivery_address, NOW()
+  )
+  RETURNING * INTO v_booking;
+
+  PERFORM consume_otp_verification(p_otp_id);
+
+  RETURN jsonb_build_object(
+    'id', v_booking.id,
+    'period', v_booking.period,
+    'starts_at', v_booking.starts_at,
+    'ends_at', v_booking.ends_at,
+    'price', v_booking.price,
+    'status', v_booking.status,
+    'delivery_option', v_booking.delivery_option
+  );
+END;
+$$;
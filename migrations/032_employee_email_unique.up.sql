@@ -0,0 +1,21 @@
+-- Email is a login name, so two employees cannot share one (case-insensitively)
+
+DO $$
+DECLARE
+  v_duplicates TEXT;
+BEGIN
+  SELECT string_agg(email, ', ') INTO v_duplicates
+  FROM (
+    SELECT lower(email) AS email FROM employees
+    WHERE email IS NOT NULL
+    GROUP BY lower(email)
+    HAVING COUNT(*) > 1
+  ) duplicates;
+
+  IF v_duplicates IS NOT NULL THEN
+    RAISE EXCEPTION 'Employees share these emails; give each a unique email or clear it first: %', v_duplicates;
+  END IF;
+END;
+$$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_employees_email_unique ON employees (lower(email)) WHERE email IS NOT NULL;
@@ -0,0 +1 @@
+DROP FUNCTION IF EXISTS create_product(JSONB, INTEGER, UUID);
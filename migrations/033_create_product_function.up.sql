@@ -0,0 +1,36 @@
+-- Adds a product and the ledger entry for its opening stock in one transaction,
+-- so stock can never exist without the entry that explains it
+
+CREATE OR REPLACE FUNCTION create_product(
+  p_product JSONB,
+  p_opening_stock INTEGER DEFAULT 0,
+  p_created_by UUID DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_product products%ROWTYPE;
+BEGIN
+  INSERT INTO products (sku, name, description, price, category, images, created_at)
+  VALUES (
+    p_product->>'sku',
+    p_product->>'name',
+    COALESCE(p_product->>'description', ''),
+    (p_product->>'price')::DECIMAL,
+    p_product->>'category',
+    ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_product->'images', '[]'::jsonb))),
+    NOW()
+  )
+  RETURNING * INTO v_product;
+
+  IF COALESCE(p_opening_stock, 0) > 0 THEN
+    -- The inventory_log trigger sets products.stock_quantity
+    INSERT INTO inventory_log (product_id, quantity_change, type, reason, created_by, created_at)
+    VALUES (v_product.id, p_opening_stock, 'opening', 'Opening stock', p_created_by, NOW());
+
+    SELECT * INTO v_product FROM products WHERE id = v_product.id;
+  END IF;
+
+  RETURN to_jsonb(v_product);
+END;
+$$;
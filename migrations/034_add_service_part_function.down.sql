@@ -0,0 +1 @@
+DROP FUNCTION IF EXISTS add_service_part(UUID, UUID, TEXT, INTEGER, DECIMAL, UUID);
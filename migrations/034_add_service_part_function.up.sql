@@ -0,0 +1,31 @@
+-- Books a part onto a repair job and, for parts taken from shop stock, its ledger entry
+-- in one transaction, so stock never leaves without the part being recorded
+
+CREATE OR REPLACE FUNCTION add_service_part(
+  p_service_id UUID,
+  p_product_id UUID,
+  p_part_name TEXT,
+  p_quantity INTEGER,
+  p_unit_cost DECIMAL,
+  p_added_by UUID
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_part service_parts%ROWTYPE;
+BEGIN
+  INSERT INTO service_parts (service_id, product_id, part_name, quantity, unit_cost, added_by, created_at)
+  VALUES (p_service_id, p_product_id, p_part_name, p_quantity, p_unit_cost, p_added_by, NOW())
+  RETURNING * INTO v_part;
+
+  IF p_product_id IS NOT NULL THEN
+    -- The inventory_log trigger decrements the stock and refuses to go below zero
+    INSERT INTO inventory_log (product_id, quantity_change, type, reason, reference, created_by, created_at)
+    VALUES (
+      p_product_id, -p_quantity, 'service_use', 'Used on service job ' || p_service_id, p_service_id::TEXT, p_added_by, NOW()
+    );
+  END IF;
+
+  RETURN to_jsonb(v_part);
+END;
+$$;
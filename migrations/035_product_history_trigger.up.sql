@@ -0,0 +1,106 @@
+-- Product change history is written by a trigger, in the same transaction as the edit.
+-- Writers say who made the change through the changed_by / changed_by_role / change_source columns.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS changed_by UUID;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS changed_by_role VARCHAR(20);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS change_source VARCHAR(20);
+
+-- Only catalogue fields are recorded; stock and search index updates are not edits
+CREATE OR REPLACE FUNCTION log_product_change() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_old JSONB := to_jsonb(OLD);
+  v_new JSONB := to_jsonb(NEW);
+  v_changes JSONB;
+BEGIN
+  SELECT jsonb_object_agg(field, jsonb_build_object('from', v_old -> field, 'to', v_new -> field))
+  INTO v_changes
+  FROM unnest(ARRAY[
+    'sku', 'name', 'description', 'price', 'category', 'images', 'delivery_eta',
+    'low_stock_threshold', 'is_active', 'hsn_code', 'gst_rate'
+  ]) AS field
+  WHERE v_old -> field IS DISTINCT FROM v_new -> field;
+
+  IF v_changes IS NOT NULL THEN
+    INSERT INTO product_change_history (product_id, version, changes, source, changed_by, changed_by_role)
+    VALUES (NEW.id, NEW.version, v_changes, COALESCE(NEW.change_source, 'admin'), NEW.changed_by, NEW.changed_by_role);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_change_history ON products;
+CREATE TRIGGER products_change_history
+  AFTER UPDATE ON products
+  FOR EACH ROW EXECUTE FUNCTION log_product_change();
+
+-- CSV imports now record who ran them
+DROP FUNCTION IF EXISTS import_products(JSONB, UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION import_products(
+  p_rows JSONB,
+  p_created_by UUID,
+  p_reference TEXT,
+  p_created_by_role VARCHAR(20) DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_row JSONB;
+  v_id UUID;
+  v_created BOOLEAN;
+  v_result JSONB := '[]'::jsonb;
+BEGIN
+  FOR v_row IN SELECT value FROM jsonb_array_elements(p_rows) LOOP
+    INSERT INTO products (
+      sku, name, description, price, category, images, delivery_eta, low_stock_threshold, is_active,
+      changed_by, changed_by_role, change_source
+    )
+    VALUES (
+      v_row->>'sku',
+      v_row->>'name',
+      v_row->>'description',
+      (v_row->>'price')::DECIMAL,
+      v_row->>'category',
+      ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_row->'images', '[]'::jsonb))),
+      v_row->>'delivery_eta',
+      (v_row->>'low_stock_threshold')::INTEGER,
+      (v_row->>'is_active')::BOOLEAN,
+      p_created_by,
+      p_created_by_role,
+      'csv_import'
+    )
+    ON CONFLICT (sku) DO UPDATE SET
+      name = EXCLUDED.name,
+      description = EXCLUDED.description,
+      price = EXCLUDED.price,
+      category = EXCLUDED.category,
+      images = EXCLUDED.images,
+      delivery_eta = EXCLUDED.delivery_eta,
+      low_stock_threshold = EXCLUDED.low_stock_threshold,
+      is_active = EXCLUDED.is_active,
+      changed_by = EXCLUDED.changed_by,
+      changed_by_role = EXCLUDED.changed_by_role,
+      change_source = EXCLUDED.change_source
+    RETURNING id, (xmax = 0) INTO v_id, v_created;
+
+    IF v_created AND COALESCE((v_row->>'opening_stock')::INTEGER, 0) > 0 THEN
+      INSERT INTO inventory_log (product_id, quantity_change, type, reason, reference, created_by)
+      VALUES (v_id, (v_row->>'opening_stock')::INTEGER, 'opening', 'Opening stock (CSV import)', p_reference, p_created_by);
+    END IF;
+
+    IF COALESCE((v_row->>'stock_in')::INTEGER, 0) > 0 THEN
+      INSERT INTO inventory_log (product_id, quantity_change, type, unit_cost, reason, reference, created_by)
+      VALUES (
+        v_id, (v_row->>'stock_in')::INTEGER, 'stock_in', (v_row->>'unit_cost')::DECIMAL,
+        'Purchase receipt (CSV import)', p_reference, p_created_by
+      );
+    END IF;
+
+    v_result := v_result || jsonb_build_object('sku', v_row->>'sku', 'id', v_id, 'created', v_created);
+  END LOOP;
+
+  RETURN v_result;
+END;
+$$;
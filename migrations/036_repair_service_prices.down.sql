@@ -0,0 +1,24 @@
+DROP FUNCTION IF EXISTS place_verified_repair_order(UUID, UUID, TEXT, TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION place_verified_repair_order(
+  p_otp_id UUID,
+  p_customer_id UUID,
+  p_amount DECIMAL,
+  p_delivery_address TEXT,
+  p_coupon_code TEXT DEFAULT NULL,
+  p_service_type TEXT DEFAULT NULL,
+  p_device_model TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order JSONB;
+BEGIN
+  v_order := place_repair_order(p_customer_id, p_amount, p_delivery_address, p_coupon_code, p_service_type, p_device_model);
+  PERFORM consume_otp_verification(p_otp_id);
+  RETURN v_order;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS repair_service_price(TEXT);
+DROP TABLE IF EXISTS repair_service_prices;
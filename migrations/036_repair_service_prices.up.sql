@@ -0,0 +1,53 @@
+-- Repair orders are priced from this list, never from the price the customer's browser sends.
+-- Service types not listed here are booked with no price (to be quoted after diagnosis).
+
+CREATE TABLE IF NOT EXISTS repair_service_prices (
+  service_type VARCHAR(100) PRIMARY KEY,
+  price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+  is_active BOOLEAN DEFAULT TRUE,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_repair_service_prices_type ON repair_service_prices (lower(service_type));
+
+INSERT INTO repair_service_prices (service_type, price) VALUES
+  ('Display Replacement', 1200),
+  ('Battery Replacement', 700),
+  ('Back Panel Repair', 800),
+  ('Charging Port Repair', 600),
+  ('Software Repair', 500),
+  ('Water Damage Repair', 1500),
+  ('Custom Service', 1000)
+ON CONFLICT (service_type) DO NOTHING;
+
+-- NULL for a service type with no listed price
+CREATE OR REPLACE FUNCTION repair_service_price(p_service_type TEXT) RETURNS DECIMAL
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT price FROM repair_service_prices
+  WHERE lower(service_type) = lower(trim(p_service_type)) AND is_active;
+$$;
+
+DROP FUNCTION IF EXISTS place_verified_repair_order(UUID, UUID, DECIMAL, TEXT, TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION place_verified_repair_order(
+  p_otp_id UUID,
+  p_customer_id UUID,
+  p_delivery_address TEXT,
+  p_coupon_code TEXT DEFAULT NULL,
+  p_service_type TEXT DEFAULT NULL,
+  p_device_model TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order JSONB;
+BEGIN
+  v_order := place_repair_order(
+    p_customer_id, COALESCE(repair_service_price(p_service_type), 0), p_delivery_address,
+    p_coupon_code, p_service_type, p_device_model
+  );
+  PERFORM consume_otp_verification(p_otp_id);
+  RETURN v_order;
+END;
+$$;
@@ -0,0 +1 @@
+ALTER TABLE price_promotions DROP CONSTRAINT IF EXISTS price_promotions_scope_check;
@@ -0,0 +1,7 @@
+-- A sale price promotion covers one product, one category, or everything; never a product and a category.
+-- Rows that already have both keep the product, the narrower of the two.
+
+UPDATE price_promotions SET category = NULL WHERE product_id IS NOT NULL AND category IS NOT NULL;
+
+ALTER TABLE price_promotions DROP CONSTRAINT IF EXISTS price_promotions_scope_check;
+ALTER TABLE price_promotions ADD CONSTRAINT price_promotions_scope_check CHECK (product_id IS NULL OR category IS NULL);
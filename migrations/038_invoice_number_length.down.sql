@@ -0,0 +1 @@
+ALTER TABLE invoices ALTER COLUMN invoice_number TYPE VARCHAR(16);
@@ -0,0 +1,2 @@
+-- Invoice numbers are PREFIX/2025-26/00001; room for prefixes up to 16 characters
+ALTER TABLE invoices ALTER COLUMN invoice_number TYPE VARCHAR(32);
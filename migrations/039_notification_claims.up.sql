@@ -0,0 +1,5 @@
+-- When a delivery was last claimed for sending, so one stuck in 'sending' (server crashed
+-- mid-send, or the outcome could not be saved) can be picked up again after a timeout
+
+ALTER TABLE notification_deliveries ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP;
+UPDATE notification_deliveries SET claimed_at = created_at WHERE status = 'sending' AND claimed_at IS NULL;
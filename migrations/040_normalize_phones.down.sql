@@ -0,0 +1,2 @@
+-- Normalized numbers and merged customers stay as they are; only the helper goes
+DROP FUNCTION IF EXISTS normalize_phone(TEXT);
@@ -0,0 +1,97 @@
+-- Phone numbers are looked up as the 10-digit number the API keeps ("+91 98765-43210" -> "9876543210"),
+-- so numbers stored as entered before that are rewritten the same way. Customers that turn out
+-- to share a number are merged into the one that can log in (else the oldest). The merge cannot
+-- be undone, so two accounts that can both log in stop the migration instead.
+
+CREATE OR REPLACE FUNCTION normalize_phone(p_phone TEXT) RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN digits ~ '^(\+?91|0)[0-9]{10}$' THEN right(digits, 10)
+    ELSE digits
+  END
+  FROM (SELECT regexp_replace(p_phone, '[\s().-]', '', 'g') AS digits) cleaned;
+$$;
+
+DO $$
+DECLARE
+  v_merge RECORD;
+  v_ref RECORD;
+  v_duplicates TEXT;
+BEGIN
+  -- Merging would throw away one of the passwords; an admin has to decide which account stays
+  SELECT string_agg(phone || ' (' || ids || ')', '; ') INTO v_duplicates
+  FROM (
+    SELECT normalize_phone(phone) AS phone, string_agg(id::TEXT, ', ' ORDER BY created_at, id) AS ids
+    FROM customers
+    WHERE password IS NOT NULL
+    GROUP BY normalize_phone(phone)
+    HAVING COUNT(*) > 1
+  ) duplicates;
+
+  IF v_duplicates IS NOT NULL THEN
+    RAISE EXCEPTION 'Customers with a password share these phone numbers once normalized; merge or renumber them first: %', v_duplicates;
+  END IF;
+
+  FOR v_merge IN
+    SELECT id AS duplicate_id, first_value(id) OVER same_phone AS keep_id
+    FROM (
+      SELECT id, normalize_phone(phone) AS phone, password, created_at,
+        row_number() OVER (
+          PARTITION BY normalize_phone(phone)
+          ORDER BY (password IS NOT NULL) DESC, created_at, id
+        ) AS rank
+      FROM customers
+    ) ranked
+    WINDOW same_phone AS (PARTITION BY phone ORDER BY rank)
+    ORDER BY rank
+  LOOP
+    CONTINUE WHEN v_merge.duplicate_id = v_merge.keep_id;
+
+    -- Cart lines the kept customer already has would break the one-line-per-item index
+    DELETE FROM cart dup
+    USING cart kept
+    WHERE dup.customer_id = v_merge.duplicate_id
+      AND kept.customer_id = v_merge.keep_id
+      AND kept.product_id = dup.product_id
+      AND kept.variant_id IS NOT DISTINCT FROM dup.variant_id;
+
+    -- Everything else that points at the duplicate moves to the kept customer
+    FOR v_ref IN
+      SELECT cl.relname AS table_name, a.attname AS column_name
+      FROM pg_constraint c
+      JOIN pg_class cl ON cl.oid = c.conrelid
+      JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[1]
+      WHERE c.contype = 'f' AND c.confrelid = 'customers'::regclass
+    LOOP
+      EXECUTE format('UPDATE %I SET %I = $1 WHERE %I = $2', v_ref.table_name, v_ref.column_name, v_ref.column_name)
+      USING v_merge.keep_id, v_merge.duplicate_id;
+    END LOOP;
+
+    UPDATE customers kept
+    SET email = COALESCE(kept.email, dup.email),
+        address = COALESCE(kept.address, dup.address)
+    FROM customers dup
+    WHERE kept.id = v_merge.keep_id AND dup.id = v_merge.duplicate_id;
+
+    DELETE FROM customers WHERE id = v_merge.duplicate_id;
+  END LOOP;
+
+  -- Employees are few and each is a login, so clashes are left to an admin to sort out
+  SELECT string_agg(phone, ', ') INTO v_duplicates
+  FROM (
+    SELECT normalize_phone(phone) AS phone FROM employees
+    GROUP BY normalize_phone(phone)
+    HAVING COUNT(*) > 1
+  ) duplicates;
+
+  IF v_duplicates IS NOT NULL THEN
+    RAISE EXCEPTION 'Employees share these phone numbers once normalized; give each a unique number first: %', v_duplicates;
+  END IF;
+END;
+$$;
+
+UPDATE customers SET phone = normalize_phone(phone) WHERE phone IS DISTINCT FROM normalize_phone(phone);
+UPDATE employees SET phone = normalize_phone(phone) WHERE phone IS DISTINCT FROM normalize_phone(phone);
+UPDATE otp_verifications SET phone = normalize_phone(phone) WHERE phone IS DISTINCT FROM normalize_phone(phone);
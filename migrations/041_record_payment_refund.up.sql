@@ -0,0 +1,26 @@
+-- Adds one processed refund to a payment in a single UPDATE, so two refund webhooks
+-- handled at the same time both count. Partial refunds add up to at most what was captured.
+
+CREATE OR REPLACE FUNCTION record_payment_refund(
+  p_payment_id UUID,
+  p_amount DECIMAL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_payment payments%ROWTYPE;
+BEGIN
+  UPDATE payments
+  SET refunded_amount = LEAST(COALESCE(refunded_amount, 0) + p_amount, amount),
+      refund_status = 'processed',
+      status = CASE
+        WHEN COALESCE(refunded_amount, 0) + p_amount >= amount THEN 'refunded'
+        ELSE 'partially_refunded'
+      END,
+      updated_at = NOW()
+  WHERE id = p_payment_id
+  RETURNING * INTO v_payment;
+
+  RETURN to_jsonb(v_payment);
+END;
+$$;
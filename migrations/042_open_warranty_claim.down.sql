@@ -0,0 +1 @@
+DROP FUNCTION IF EXISTS open_warranty_claim(UUID, UUID, TEXT, TEXT, TEXT, UUID, VARCHAR);
@@ -0,0 +1,41 @@
+-- Opens the zero-cost repair job for an accepted warranty claim and records the claim in
+-- one transaction, so a failed claim insert cannot leave behind an open job that
+-- idx_services_open_warranty_claim would hold against every later claim
+
+CREATE OR REPLACE FUNCTION open_warranty_claim(
+  p_warranty_id UUID,
+  p_customer_id UUID,
+  p_service_type TEXT,
+  p_device_type TEXT,
+  p_issue_description TEXT,
+  p_created_by UUID,
+  p_created_by_role VARCHAR
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_service services%ROWTYPE;
+  v_claim warranty_claims%ROWTYPE;
+BEGIN
+  -- Pre-approved at 0 so no quote is needed
+  INSERT INTO services (
+    customer_id, warranty_id, service_type, device_type, problem_description,
+    estimated_cost, approved_amount, approved_at, status, status_note,
+    status_changed_by, status_changed_by_role, created_at
+  ) VALUES (
+    p_customer_id, p_warranty_id, p_service_type, p_device_type, 'Warranty claim: ' || p_issue_description,
+    0, 0, NOW(), 'received', 'Opened under warranty',
+    p_created_by, p_created_by_role, NOW()
+  )
+  RETURNING * INTO v_service;
+
+  INSERT INTO warranty_claims (
+    warranty_id, customer_id, issue_description, status, claim_service_id, created_by, created_at
+  ) VALUES (
+    p_warranty_id, p_customer_id, p_issue_description, 'accepted', v_service.id, p_created_by, NOW()
+  )
+  RETURNING * INTO v_claim;
+
+  RETURN jsonb_build_object('claim', to_jsonb(v_claim), 'service', to_jsonb(v_service));
+END;
+$$;
@@ -0,0 +1 @@
+DROP FUNCTION IF EXISTS issue_service_quote(UUID, VARCHAR, JSONB, DECIMAL, DECIMAL, DECIMAL, TEXT, VARCHAR, TIMESTAMP, UUID, VARCHAR);
@@ -0,0 +1,60 @@
+-- Supersedes the quote awaiting an answer, inserts the next version and moves the job to
+-- quote_sent in one transaction. The job row is locked first, so two quotes sent at the
+-- same time get consecutive versions instead of a UNIQUE (service_id, version) error.
+
+CREATE OR REPLACE FUNCTION issue_service_quote(
+  p_service_id UUID,
+  p_expected_status VARCHAR,
+  p_items JSONB,
+  p_parts_total DECIMAL,
+  p_labour_total DECIMAL,
+  p_total DECIMAL,
+  p_notes TEXT,
+  p_link_token_hash VARCHAR,
+  p_link_expires_at TIMESTAMP,
+  p_created_by UUID,
+  p_created_by_role VARCHAR
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_service services%ROWTYPE;
+  v_quote service_quotes%ROWTYPE;
+  v_version INTEGER;
+BEGIN
+  SELECT * INTO v_service FROM services WHERE id = p_service_id FOR UPDATE;
+
+  IF NOT FOUND OR v_service.status <> p_expected_status THEN
+    RAISE EXCEPTION 'SERVICE_STATUS_CHANGED';
+  END IF;
+
+  UPDATE service_quotes SET status = 'superseded'
+  WHERE service_id = p_service_id AND status = 'sent';
+
+  SELECT COALESCE(MAX(version), 0) + 1 INTO v_version
+  FROM service_quotes WHERE service_id = p_service_id;
+
+  INSERT INTO service_quotes (
+    service_id, version, items, parts_total, labour_total, total, notes, status,
+    link_token_hash, link_expires_at, created_by, created_at
+  ) VALUES (
+    p_service_id, v_version, p_items, p_parts_total, p_labour_total, p_total, p_notes, 'sent',
+    p_link_token_hash, p_link_expires_at, p_created_by, NOW()
+  )
+  RETURNING * INTO v_quote;
+
+  -- A re-quote on an approved job goes back to the customer for approval
+  IF v_service.status <> 'quote_sent' THEN
+    UPDATE services
+    SET status = 'quote_sent',
+        status_note = 'Quote v' || v_version || ' sent (₹' || v_quote.total || ')',
+        status_changed_by = p_created_by,
+        status_changed_by_role = p_created_by_role,
+        updated_at = NOW()
+    WHERE id = p_service_id
+    RETURNING * INTO v_service;
+  END IF;
+
+  RETURN jsonb_build_object('quote', to_jsonb(v_quote), 'service', to_jsonb(v_service));
+END;
+$$;